@@ -1,110 +1,206 @@
-import { useState, useEffect } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import AccountCard from './components/AccountCard';
 import TransactionList from './components/TransactionList';
 import BudgetingView from './components/BudgetingView';
-import { accountsApi, transactionsApi, akahuApi } from './services/api';
+import IncomeView from './components/IncomeView';
+import SubscriptionsView from './components/SubscriptionsView';
+import CalendarView from './components/CalendarView';
+import TenantSwitcher from './components/TenantSwitcher';
+import DateRangeSelector from './components/DateRangeSelector';
+import CurrencySettings from './components/CurrencySettings';
+import AlertsPanel from './components/AlertsPanel';
+import NetWorthPanel from './components/NetWorthPanel';
+import BalanceHistoryPanel from './components/BalanceHistoryPanel';
+import ImportWizard from './components/ImportWizard';
+import SyncPanel from './components/SyncPanel';
+import AdminView from './components/AdminView';
+import { router } from './services/router';
+import { preferencesStore } from './services/preferences';
+import { tenantStore } from './services/tenantStore';
+import { useTenant } from './hooks/useTenant';
+import { useRoute } from './hooks/useRoute';
+import { useAccounts, useTransactions } from './hooks/queries';
+import { useCategoryOverrides } from './hooks/useCategoryOverride';
+import { useMoney } from './hooks/useMoney';
+import { usePreferences } from './hooks/usePreferences';
+import { useSync } from './hooks/useSync';
+import { useAutoRefresh } from './hooks/useAutoRefresh';
+import { useDateRange } from './hooks/useDateRange';
+import { applyCategoryOverrides } from './utils/transactions';
+import { getAccountCurrency, withAccountCurrency } from './utils/money';
+import { buildNetWorth } from './utils/accounts';
+import { markInternalTransfers, withoutInternalTransfers } from './utils/transfers';
+import { detectRecurringSeries } from './utils/recurring';
+import { describeSync } from './utils/sync';
+import { DATE_RANGE_SEARCH_PARAMS, filterByDateRange, formatDateRangeLabel } from './utils/dateRange';
+import { parseRoute, routes } from './utils/routes';
+
+const EMPTY_LIST = [];
+
+// Top-level views, in tab order. Each id has a matching path builder in `routes`.
+const VIEWS = [
+  { id: 'accounts', label: 'Accounts', title: 'Bank Accounts', description: 'Manage your accounts and view transaction history' },
+  { id: 'budgeting', label: 'Budgeting', title: 'Budgeting', description: 'Track your spending and manage budgets' },
+  { id: 'income', label: 'Income', title: 'Income', description: 'See where your money comes from and how much you save' },
+  { id: 'subscriptions', label: 'Subscriptions', title: 'Subscriptions', description: 'Recurring payments found in your transaction history' },
+  { id: 'calendar', label: 'Calendar', title: 'Upcoming Bills', description: 'Expected payments and projected balances for the next 60 days' },
+];
+
+// Only listed while admin mode is on
+const ADMIN_VIEW = { id: 'admin', label: 'Admin', title: 'Admin', description: 'Database counts per tenant and data maintenance' };
 
 function App() {
-  const [accounts, setAccounts] = useState([]);
-  const [transactions, setTransactions] = useState([]);
-  const [selectedAccount, setSelectedAccount] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [refreshing, setRefreshing] = useState(false);
+  const { tenantId } = useTenant();
+  const route = useRoute();
+  const accountsQuery = useAccounts();
+  const transactionsQuery = useTransactions();
+  const categoryOverrides = useCategoryOverrides();
+  const money = useMoney();
+  const syncState = useSync();
+  const preferences = usePreferences();
+  // Background syncs skip the status message; the sync panel shows how they went
+  const autoRefresh = useAutoRefresh({
+    sync: syncState.sync,
+    enabled: preferences.autoRefreshEnabled,
+    intervalMinutes: preferences.autoRefreshMinutes,
+  });
   const [refreshStatus, setRefreshStatus] = useState(null);
-  const [activeView, setActiveView] = useState('accounts');
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  // In the URL; navigating between views and tenants keeps it
+  const [dateRange, setDateRange] = useDateRange();
+  const previousTenantIdRef = useRef(tenantId);
+
+  const accounts = accountsQuery.data || EMPTY_LIST;
+  // Per-transaction overrides take precedence over the merchant category from the API
+  const transactions = useMemo(
+    () => markInternalTransfers(
+      applyCategoryOverrides(withAccountCurrency(transactionsQuery.data || EMPTY_LIST, accounts), categoryOverrides),
+      accounts
+    ),
+    [transactionsQuery.data, accounts, categoryOverrides]
+  );
+  // Transfers between our own accounts aren't income or spending unless the user opts in
+  const { includeTransfers } = preferences;
+  const countedTransactions = useMemo(
+    () => (includeTransfers ? transactions : withoutInternalTransfers(transactions)),
+    [transactions, includeTransfers]
+  );
+  const accountCurrencies = useMemo(
+    () => [...new Set(accounts.map(getAccountCurrency))].sort(),
+    [accounts]
+  );
+  // Recurring payments are found in the full history, for the subscriptions view and alerts
+  const recurringSeries = useMemo(() => detectRecurringSeries(countedTransactions), [countedTransactions]);
+  const transactionsInRange = useMemo(
+    () => filterByDateRange(transactions, dateRange),
+    [transactions, dateRange]
+  );
+  const countedTransactionsInRange = useMemo(
+    () => (includeTransfers ? transactionsInRange : withoutInternalTransfers(transactionsInRange)),
+    [transactionsInRange, includeTransfers]
+  );
+  const transferCount = transactionsInRange.length - withoutInternalTransfers(transactionsInRange).length;
+  // Budgets track the calendar month regardless of the selected range
+  const monthTransactions = useMemo(
+    () => filterByDateRange(countedTransactions, { preset: 'thisMonth' }),
+    [countedTransactions]
+  );
+  const dateRangeLabel = formatDateRangeLabel(dateRange);
+  const loading = accountsQuery.isLoading || transactionsQuery.isLoading;
+  // Background revalidation failures keep showing the cached data
+  const loadError = (!accountsQuery.data && accountsQuery.error) || (!transactionsQuery.data && transactionsQuery.error);
+  const error = loadError ? loadError.message : null;
+
+  // The view and selections come from the URL so they survive reloads and can be shared
+  const { adminMode } = preferences;
+  const views = adminMode ? [...VIEWS, ADMIN_VIEW] : VIEWS;
+  const activeView = route.view === 'admin' && !adminMode ? 'accounts' : route.view;
+  const activeViewInfo = views.find(view => view.id === activeView);
+  const selectedAccount = route.view === 'accounts'
+    ? accounts.find(a => a._id === route.accountId) || null
+    : null;
 
   useEffect(() => {
-    loadData();
-  }, []);
-
-  const loadData = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const [accountsData, transactionsData] = await Promise.all([
-        accountsApi.getAll(),
-        transactionsApi.getAll(),
-      ]);
-      setAccounts(accountsData);
-      setTransactions(transactionsData);
-    } catch (err) {
-      setError(err.message);
-      console.error('Error loading data:', err);
-    } finally {
-      setLoading(false);
+    const previousTenantId = previousTenantIdRef.current;
+    if (previousTenantId === tenantId) return;
+
+    // The URL still shows the previous tenant's view at this point
+    const currentPath = router.getPath();
+    // Each tenant's last path is kept in tenantStore, so it survives a reload
+    tenantStore.setLastPath(previousTenantId, currentPath);
+    previousTenantIdRef.current = tenantId;
+
+    const nextPath = tenantStore.getLastPath(tenantId) || routes[parseRoute(currentPath).view]();
+    router.navigate(nextPath, { replace: true, keepSearch: DATE_RANGE_SEARCH_PARAMS });
+  }, [tenantId]);
+
+  // Leaving admin mode while on the admin page goes back to the accounts
+  useEffect(() => {
+    if (route.view === 'admin' && !adminMode) {
+      router.navigate(routes.accounts(), { replace: true, keepSearch: DATE_RANGE_SEARCH_PARAMS });
     }
-  };
+  }, [route.view, adminMode]);
 
-  const handleAccountClick = (account) => {
-    setSelectedAccount(selectedAccount?._id === account._id ? null : account);
+  const setActiveView = (view) => {
+    router.navigate(routes[view](), { keepSearch: DATE_RANGE_SEARCH_PARAMS });
   };
 
-  const handleRefresh = async () => {
-    try {
-      setRefreshing(true);
-      setRefreshStatus(null);
-      setError(null);
-      
-      // Call Akahu refresh-all endpoint
-      const result = await akahuApi.refreshAll();
-      
-      // Show success message with details
-      setRefreshStatus({
-        type: 'success',
-        message: `Successfully refreshed! ${result.accountsResult?.accountsCreated || 0} new accounts, ${result.accountsResult?.accountsUpdated || 0} updated. ${result.transactionsResult?.transactionsCreated || 0} new transactions, ${result.transactionsResult?.transactionsUpdated || 0} updated.`
-      });
-      
-      // Reload data to show updated accounts and transactions
-      await loadData();
-    } catch (err) {
-      setRefreshStatus({
-        type: 'error',
-        message: `Failed to refresh: ${err.message}`
-      });
-      console.error('Error refreshing from Akahu:', err);
-    } finally {
-      setRefreshing(false);
-      
-      // Clear status message after 5 seconds
-      setTimeout(() => {
-        setRefreshStatus(null);
-      }, 5000);
-    }
+  const handleBudgetingSelect = ({ groupId, categoryId }) => {
+    router.navigate(routes.budgeting(groupId, categoryId), { keepSearch: DATE_RANGE_SEARCH_PARAMS });
   };
 
-  const calculateTotalBalance = () => {
-    return accounts.reduce((sum, account) => sum + (account.balance?.current || 0), 0);
+  const reloadData = () => Promise.all([
+    accountsQuery.refetch(),
+    transactionsQuery.refetch(),
+  ]).catch(err => console.error('Error loading data:', err));
+
+  const handleAccountClick = (account) => {
+    // Keep the transaction filters and date range in the query string when moving between accounts
+    router.navigate(routes.accounts(selectedAccount?._id === account._id ? null : account._id), { keepSearch: true });
   };
 
-  const getTransactionsLast31Days = () => {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - 31);
-    return transactions.filter(t => new Date(t.date) >= cutoffDate);
+  const handleSync = async (scope) => {
+    setRefreshStatus(null);
+    const entry = await syncState.sync(scope);
+    if (!entry) return;
+
+    setRefreshStatus({
+      type: entry.status === 'success' ? 'success' : 'error',
+      message: describeSync(entry),
+    });
+    // Clear status message after 5 seconds
+    setTimeout(() => {
+      setRefreshStatus(null);
+    }, 5000);
   };
 
+  // Totals are converted to the base currency; amounts without a rate are left out
   const calculateTotalIncome = () => {
-    return getTransactionsLast31Days()
+    return money.sumInBase(countedTransactionsInRange
       .filter(t => t.amount > 0)
-      .reduce((sum, t) => sum + t.amount, 0);
+      .map(t => ({ amount: t.amount, currency: t.currency })));
   };
 
   const calculateTotalExpenses = () => {
-    return getTransactionsLast31Days()
+    return money.sumInBase(countedTransactionsInRange
       .filter(t => t.amount < 0)
-      .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+      .map(t => ({ amount: Math.abs(t.amount), currency: t.currency })));
   };
 
   const getTransactionCount = (accountId) => {
     return transactions.filter(t => t._account === accountId).length;
   };
 
-  const formatCurrency = (amount, currency = 'NZD') => {
-    return '$' + new Intl.NumberFormat('en-US', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(amount);
-  };
+  // Loans and credit cards count as debts regardless of the sign of their balance
+  const netWorth = buildNetWorth(accounts, money.toBase);
+  const totalIncome = calculateTotalIncome();
+  const totalExpenses = calculateTotalExpenses();
+  const unconvertedCurrencies = [...new Set([
+    ...accountCurrencies.filter(currency => money.toBase(1, currency) === null),
+    ...totalIncome.missingCurrencies,
+    ...totalExpenses.missingCurrencies,
+  ])].sort();
+  const showBaseCurrency = accountCurrencies.some(currency => currency !== money.baseCurrency);
 
   if (loading) {
     return (
@@ -127,10 +223,13 @@ function App() {
         padding: '40px 20px',
         fontFamily: 'system-ui, -apple-system, sans-serif'
       }}>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '20px' }}>
+          <TenantSwitcher />
+        </div>
         <h2 style={{ fontSize: '24px', marginBottom: '12px', color: '#111' }}>Oops! Something went wrong</h2>
         <p style={{ fontSize: '16px', color: '#666', marginBottom: '20px' }}>{error}</p>
         <button 
-          onClick={loadData}
+          onClick={reloadData}
           style={{
             padding: '10px 20px',
             fontSize: '14px',
@@ -206,112 +305,91 @@ function App() {
               data-element="view-tabs"
               style={{ display: 'flex', gap: '8px' }}
             >
-              <button
-                id="accounts-tab"
-                data-tab="accounts"
-                data-active={activeView === 'accounts'}
-                onClick={() => setActiveView('accounts')}
-                style={{
-                  padding: '8px 16px',
-                  fontSize: '14px',
-                  fontWeight: '500',
-                  backgroundColor: activeView === 'accounts' ? '#f3f4f6' : 'transparent',
-                  color: activeView === 'accounts' ? '#111' : '#6b7280',
-                  border: 'none',
-                  borderRadius: '6px',
-                  cursor: 'pointer',
-                  transition: 'background-color 0.2s, color 0.2s'
-                }}
-                onMouseOver={(e) => {
-                  if (activeView !== 'accounts') {
-                    e.currentTarget.style.backgroundColor = '#f9fafb';
-                  }
-                }}
-                onMouseOut={(e) => {
-                  if (activeView !== 'accounts') {
-                    e.currentTarget.style.backgroundColor = 'transparent';
-                  }
-                }}
-              >
-                Accounts
-              </button>
-              
-              <button
-                id="budgeting-tab"
-                data-tab="budgeting"
-                data-active={activeView === 'budgeting'}
-                onClick={() => setActiveView('budgeting')}
-                style={{
-                  padding: '8px 16px',
-                  fontSize: '14px',
-                  fontWeight: '500',
-                  backgroundColor: activeView === 'budgeting' ? '#f3f4f6' : 'transparent',
-                  color: activeView === 'budgeting' ? '#111' : '#6b7280',
-                  border: 'none',
-                  borderRadius: '6px',
-                  cursor: 'pointer',
-                  transition: 'background-color 0.2s, color 0.2s'
-                }}
-                onMouseOver={(e) => {
-                  if (activeView !== 'budgeting') {
-                    e.currentTarget.style.backgroundColor = '#f9fafb';
-                  }
-                }}
-                onMouseOut={(e) => {
-                  if (activeView !== 'budgeting') {
-                    e.currentTarget.style.backgroundColor = 'transparent';
-                  }
-                }}
-              >
-                Budgeting
-              </button>
+              {views.map(view => {
+                const isActive = activeView === view.id;
+                return (
+                  <button
+                    key={view.id}
+                    id={`${view.id}-tab`}
+                    data-tab={view.id}
+                    data-active={isActive}
+                    onClick={() => setActiveView(view.id)}
+                    style={{
+                      padding: '8px 16px',
+                      fontSize: '14px',
+                      fontWeight: '500',
+                      backgroundColor: isActive ? '#f3f4f6' : 'transparent',
+                      color: isActive ? '#111' : '#6b7280',
+                      border: 'none',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      transition: 'background-color 0.2s, color 0.2s'
+                    }}
+                    onMouseOver={(e) => {
+                      if (!isActive) {
+                        e.currentTarget.style.backgroundColor = '#f9fafb';
+                      }
+                    }}
+                    onMouseOut={(e) => {
+                      if (!isActive) {
+                        e.currentTarget.style.backgroundColor = 'transparent';
+                      }
+                    }}
+                  >
+                    {view.label}
+                  </button>
+                );
+              })}
             </nav>
           </div>
           
-          {/* Refresh Button */}
-          <button
-            id="refresh-button"
-            data-element="refresh-button"
-            data-refreshing={refreshing}
-            onClick={handleRefresh}
-            disabled={refreshing}
-            title={refreshing ? 'Refreshing...' : 'Refresh from Akahu'}
-            style={{
-              padding: '0',
-              fontSize: '24px',
-              backgroundColor: 'transparent',
-              color: refreshing ? '#9ca3af' : '#6b7280',
-              border: 'none',
-              borderRadius: '8px',
-              cursor: refreshing ? 'not-allowed' : 'pointer',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              transition: 'color 0.2s, background-color 0.2s',
-              width: '40px',
-              height: '40px'
-            }}
-            onMouseOver={(e) => {
-              if (!refreshing) {
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <AlertsPanel series={recurringSeries} onViewSubscriptions={() => setActiveView('subscriptions')} />
+            <CurrencySettings currencies={accountCurrencies} />
+            <TenantSwitcher />
+
+            {/* Statement import, for accounts Akahu doesn't cover */}
+            <button
+              id="import-button"
+              data-element="import-button"
+              onClick={() => setIsImportOpen(true)}
+              title="Import a bank statement"
+              aria-label="Import a bank statement"
+              style={{
+                padding: '0',
+                fontSize: '20px',
+                backgroundColor: 'transparent',
+                color: '#6b7280',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                transition: 'color 0.2s, background-color 0.2s',
+                width: '40px',
+                height: '40px'
+              }}
+              onMouseOver={(e) => {
                 e.currentTarget.style.backgroundColor = '#f3f4f6';
                 e.currentTarget.style.color = '#111';
-              }
-            }}
-            onMouseOut={(e) => {
-              if (!refreshing) {
+              }}
+              onMouseOut={(e) => {
                 e.currentTarget.style.backgroundColor = 'transparent';
                 e.currentTarget.style.color = '#6b7280';
-              }
-            }}
-          >
-            <span style={{ 
-              display: 'inline-block',
-              animation: refreshing ? 'spin 2s linear infinite' : 'none',
-              opacity: refreshing ? '0.5' : '1'
-            }}>
-              ↻
-            </span>
-          </button>
+              }}
+            >
+              📥
+            </button>
+
+            <SyncPanel
+              accounts={accounts}
+              sync={handleSync}
+              current={syncState.current}
+              isSyncing={syncState.isSyncing}
+              autoRefresh={autoRefresh}
+            />
+          </div>
         </div>
         
         {/* Refresh Status Message */}
@@ -353,25 +431,57 @@ function App() {
       >
         <div style={{ 
           maxWidth: '1400px', 
-          margin: '0 auto'
+          margin: '0 auto',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '16px',
+          flexWrap: 'wrap'
         }}>
-          <h2 style={{ 
-            fontSize: '24px', 
-            fontWeight: '600', 
-            marginBottom: '4px',
-            color: '#111'
-          }}>
-            {activeView === 'accounts' ? 'Bank Accounts' : 'Budgeting'}
-          </h2>
-          <p style={{ 
-            fontSize: '14px', 
-            color: '#6b7280',
-            margin: 0
-          }}>
-            {activeView === 'accounts' 
-              ? 'Manage your accounts and view transaction history'
-              : 'Track your spending and manage budgets'}
-          </p>
+          <div>
+            <h2 style={{ 
+              fontSize: '24px', 
+              fontWeight: '600', 
+              marginBottom: '4px',
+              color: '#111'
+            }}>
+              {activeViewInfo.title}
+            </h2>
+            <p style={{ 
+              fontSize: '14px', 
+              color: '#6b7280',
+              margin: 0
+            }}>
+              {activeViewInfo.description}
+            </p>
+          </div>
+
+          {/* The admin counts aren't filtered by date or transfers */}
+          {activeView !== 'admin' && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap' }}>
+              <label
+                id="include-transfers-toggle"
+                data-element="include-transfers-toggle"
+                title="Money moved between your own accounts, matched by amount, date and account number"
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  fontSize: '13px',
+                  color: '#4b5563',
+                  cursor: 'pointer'
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={includeTransfers}
+                  onChange={(e) => preferencesStore.setPreference('includeTransfers', e.target.checked)}
+                />
+                Include transfers{transferCount > 0 && ` (${transferCount})`}
+              </label>
+              <DateRangeSelector value={dateRange} onChange={setDateRange} />
+            </div>
+          )}
         </div>
       </div>
 
@@ -412,22 +522,23 @@ function App() {
             }}
           >
             <div style={{ marginBottom: '20px' }}>
-              <p style={{ 
-                fontSize: '14px', 
-                color: '#6b7280',
-                margin: '0 0 8px 0',
-                fontWeight: '500'
-              }}>
-                Total Balance
-              </p>
-              <p style={{ 
-                fontSize: '32px', 
-                fontWeight: '600',
-                margin: 0,
-                color: '#111'
-              }}>
-                {formatCurrency(calculateTotalBalance())}
-              </p>
+              <NetWorthPanel
+                netWorth={netWorth}
+                label={`Net Worth${showBaseCurrency ? ` (${money.baseCurrency})` : ''}`}
+              />
+              {unconvertedCurrencies.length > 0 && (
+                <p
+                  id="total-balance-unconverted"
+                  data-element="unconverted-currencies"
+                  style={{
+                    fontSize: '12px',
+                    color: '#b45309',
+                    margin: '8px 0 0 0'
+                  }}
+                >
+                  Excludes {unconvertedCurrencies.join(', ')} amounts — set an exchange rate under 💱 {money.baseCurrency}
+                </p>
+              )}
             </div>
 
             <div style={{
@@ -443,7 +554,7 @@ function App() {
                   margin: '0 0 4px 0',
                   fontWeight: '500'
                 }}>
-                  Income (31 days)
+                  Income ({dateRangeLabel})
                 </p>
                 <p style={{ 
                   fontSize: '18px', 
@@ -451,7 +562,7 @@ function App() {
                   margin: 0,
                   color: '#059669'
                 }}>
-                  {formatCurrency(calculateTotalIncome())}
+                  {money.format(totalIncome.total)}
                 </p>
               </div>
 
@@ -462,7 +573,7 @@ function App() {
                   margin: '0 0 4px 0',
                   fontWeight: '500'
                 }}>
-                  Expenses (31 days)
+                  Expenses ({dateRangeLabel})
                 </p>
                 <p style={{ 
                   fontSize: '18px', 
@@ -470,12 +581,17 @@ function App() {
                   margin: 0,
                   color: '#dc2626'
                 }}>
-                  {formatCurrency(calculateTotalExpenses())}
+                  {money.format(totalExpenses.total)}
                 </p>
               </div>
             </div>
           </div>
 
+          {/* Net Worth History - uses the full history rather than the selected date range */}
+          {accounts.length > 0 && (
+            <BalanceHistoryPanel accounts={accounts} transactions={transactions} />
+          )}
+
           {/* Accounts List */}
           <div 
             id="accounts-list-card"
@@ -514,7 +630,7 @@ function App() {
                     account={account}
                     isSelected={selectedAccount?._id === account._id}
                     onClick={handleAccountClick}
-                    transactions={transactions.filter(t => t._account === account._id)}
+                    transactions={transactionsInRange.filter(t => t._account === account._id)}
                   />
                 ))}
               </div>
@@ -551,6 +667,13 @@ function App() {
               minWidth: '300px'
             }}
           >
+            <BalanceHistoryPanel
+              key={selectedAccount._id}
+              accounts={accounts}
+              transactions={transactions}
+              account={selectedAccount}
+            />
+
             <div 
               id="transactions-card"
               data-component="transactions-container"
@@ -562,7 +685,9 @@ function App() {
               }}
             >
               <TransactionList
-                transactions={transactions}
+                transactions={transactionsInRange}
+                accounts={accounts}
+                dateRangeLabel={dateRangeLabel}
                 accountId={selectedAccount._id}
                 account={selectedAccount}
               />
@@ -618,10 +743,40 @@ function App() {
           </div>
         )}
         </div>
+      ) : activeView === 'admin' ? (
+        <AdminView />
+      ) : activeView === 'calendar' ? (
+        <CalendarView key={tenantId} accounts={accounts} transactions={transactions} />
+      ) : activeView === 'subscriptions' ? (
+        <SubscriptionsView key={tenantId} allSeries={recurringSeries} />
+      ) : activeView === 'income' ? (
+        <IncomeView
+          key={tenantId}
+          transactions={countedTransactionsInRange}
+          allTransactions={countedTransactions}
+          dateRangeLabel={dateRangeLabel}
+        />
       ) : (
         /* Budgeting View */
-        <BudgetingView transactions={transactions} onTransactionUpdate={loadData} />
+        <BudgetingView
+          key={tenantId}
+          transactions={countedTransactionsInRange}
+          monthTransactions={monthTransactions}
+          accounts={accounts}
+          dateRangeLabel={dateRangeLabel}
+          selectedGroupId={route.groupId}
+          selectedCategoryId={route.categoryId}
+          onSelect={handleBudgetingSelect}
+        />
       )}
+
+      <ImportWizard
+        key={`import-${tenantId}`}
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        accounts={accounts}
+        transactions={transactions}
+      />
     </div>
   );
 }
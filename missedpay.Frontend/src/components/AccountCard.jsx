@@ -1,34 +1,39 @@
+import { useMoney } from '../hooks/useMoney';
+import { usePreferences } from '../hooks/usePreferences';
+import { useNow } from '../hooks/useNow';
+import { getAccountCurrency } from '../utils/money';
+import { getAccountTypeInfo } from '../utils/accounts';
+import { formatTimeAgo, getAccountFreshness } from '../utils/sync';
+import { MANUAL_CONNECTION } from '../utils/statementImport';
+
 const AccountCard = ({ account, isSelected, onClick, transactions = [] }) => {
-  const formatCurrency = (amount, currency = 'NZD') => {
-    return '$' + new Intl.NumberFormat('en-US', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(amount);
-  };
+  const money = useMoney();
+  const currency = getAccountCurrency(account);
+  const { includeTransfers } = usePreferences();
+  const now = useNow();
+  const isImported = account.connection?._id === MANUAL_CONNECTION._id;
+  const freshness = getAccountFreshness(account, now);
 
-  const getTransactionsLast31Days = () => {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - 31);
-    return transactions.filter(t => new Date(t.date) >= cutoffDate);
-  };
+  // `transactions` are already limited to the selected date range
+  const countedTransactions = includeTransfers ? transactions : transactions.filter(t => !t.isInternalTransfer);
 
   const calculateIncome = () => {
-    return getTransactionsLast31Days()
+    return countedTransactions
       .filter(t => t.amount > 0)
       .reduce((sum, t) => sum + t.amount, 0);
   };
 
   const calculateExpenses = () => {
-    return getTransactionsLast31Days()
+    return countedTransactions
       .filter(t => t.amount < 0)
       .reduce((sum, t) => sum + Math.abs(t.amount), 0);
   };
 
-  const getAccountIcon = (type) => {
-    if (type === 'Savings' || account.name.toLowerCase().includes('savings')) {
+  const getAccountIcon = () => {
+    if (account.name.toLowerCase().includes('savings')) {
       return '🏦';
     }
-    return '💳';
+    return getAccountTypeInfo(account).icon;
   };
 
   const formatAccountNumber = (formatted) => {
@@ -91,7 +96,7 @@ const AccountCard = ({ account, isSelected, onClick, transactions = [] }) => {
             flexShrink: 0
           }}
         >
-          {getAccountIcon(account.type)}
+          {getAccountIcon()}
         </div>
         
         <div data-element="account-info" style={{ flex: 1 }}>
@@ -126,6 +131,22 @@ const AccountCard = ({ account, isSelected, onClick, transactions = [] }) => {
           >
             {account.type}
           </div>
+          <div
+            data-element="account-refreshed"
+            data-stale={!isImported && freshness.isStale}
+            title={freshness.oldest ? `Balance and transactions as of ${freshness.oldest.toLocaleString()}` : undefined}
+            style={{
+              fontSize: '12px',
+              color: !isImported && freshness.isStale ? '#b45309' : '#9ca3af',
+              marginTop: '2px'
+            }}
+          >
+            {isImported
+              ? 'Imported from statements'
+              : freshness.oldest
+                ? `${freshness.isStale ? '⚠️ ' : ''}Updated ${formatTimeAgo(freshness.oldest, now)}`
+                : '⚠️ Never refreshed'}
+          </div>
         </div>
       </div>
 
@@ -145,7 +166,7 @@ const AccountCard = ({ account, isSelected, onClick, transactions = [] }) => {
               marginBottom: '8px'
             }}
           >
-            {formatCurrency(account.balance.current, account.balance.currency)}
+            {money.format(account.balance.current, currency)}
           </div>
           <div 
             data-element="account-income-expenses"
@@ -162,7 +183,7 @@ const AccountCard = ({ account, isSelected, onClick, transactions = [] }) => {
                 data-element="income-amount"
                 style={{ color: '#059669', fontWeight: '600' }}
               >
-                {formatCurrency(calculateIncome())}
+                {money.format(calculateIncome(), currency)}
               </div>
             </div>
             <div data-element="expenses-summary" style={{ textAlign: 'right' }}>
@@ -171,7 +192,7 @@ const AccountCard = ({ account, isSelected, onClick, transactions = [] }) => {
                 data-element="expenses-amount"
                 style={{ color: '#dc2626', fontWeight: '600' }}
               >
-                {formatCurrency(calculateExpenses())}
+                {money.format(calculateExpenses(), currency)}
               </div>
             </div>
           </div>
@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { ALL_TENANTS } from '../services/api';
+import { getAdminAction, getConfirmationPhrase, isConfirmationMatch } from '../utils/admin';
+
+/**
+ * Confirmation for a destructive admin action. The action only runs once the
+ * household's name (or ALL for every tenant) has been typed exactly.
+ * `stats` is the target's current { accounts, transactions } count, when known.
+ */
+const AdminConfirmDialog = ({ actionId, target, targetName, stats, isRunning, onConfirm, onCancel }) => {
+  const [typed, setTyped] = useState('');
+  const action = getAdminAction(actionId);
+  const phrase = getConfirmationPhrase(target, targetName);
+  const isAllTenants = target === ALL_TENANTS;
+  const canConfirm = isConfirmationMatch(typed, phrase) && !isRunning;
+
+  const cancel = () => {
+    if (!isRunning) onCancel();
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') cancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (canConfirm) onConfirm();
+  };
+
+  return (
+    <div
+      id="admin-confirm-overlay"
+      onClick={cancel}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <form
+        id="admin-confirm-dialog"
+        data-component="admin-confirm-dialog"
+        data-action={actionId}
+        data-target={target}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="admin-confirm-title"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        style={{
+          width: '90%',
+          maxWidth: '440px',
+          backgroundColor: '#fff',
+          borderRadius: '12px',
+          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)',
+          padding: '24px'
+        }}
+      >
+        <h2 id="admin-confirm-title" style={{ fontSize: '18px', fontWeight: '600', color: '#111', margin: '0 0 8px 0' }}>
+          {action.label} for {isAllTenants ? 'all tenants' : targetName}?
+        </h2>
+        <p style={{ fontSize: '14px', color: '#4b5563', margin: '0 0 12px 0' }}>
+          {action.description}
+          {isAllTenants && ' This applies to every tenant in the database, not just the households listed here.'}
+        </p>
+        {stats && (
+          <p data-element="admin-confirm-impact" style={{ fontSize: '13px', color: '#991b1b', margin: '0 0 12px 0' }}>
+            Currently {stats.accounts} accounts and {stats.transactions} transactions.
+          </p>
+        )}
+        <div style={{
+          padding: '10px 12px',
+          marginBottom: '16px',
+          fontSize: '13px',
+          color: '#991b1b',
+          backgroundColor: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: '6px'
+        }}>
+          This can't be undone.
+        </div>
+
+        <label style={{ display: 'block', fontSize: '13px', color: '#374151', marginBottom: '6px' }}>
+          Type <strong style={{ fontFamily: 'monospace' }}>{phrase}</strong> to confirm
+        </label>
+        <input
+          id="admin-confirm-input"
+          data-element="admin-confirm-input"
+          type="text"
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          disabled={isRunning}
+          autoFocus
+          autoComplete="off"
+          spellCheck={false}
+          style={{
+            width: '100%',
+            boxSizing: 'border-box',
+            padding: '8px 10px',
+            fontSize: '14px',
+            border: '1px solid #e5e7eb',
+            borderRadius: '6px',
+            marginBottom: '20px'
+          }}
+        />
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+          <button
+            type="button"
+            onClick={cancel}
+            disabled={isRunning}
+            style={{
+              padding: '8px 16px',
+              fontSize: '14px',
+              backgroundColor: '#fff',
+              color: '#374151',
+              border: '1px solid #e5e7eb',
+              borderRadius: '6px',
+              cursor: isRunning ? 'not-allowed' : 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            id="admin-confirm-button"
+            data-element="admin-confirm-button"
+            type="submit"
+            disabled={!canConfirm}
+            style={{
+              padding: '8px 16px',
+              fontSize: '14px',
+              fontWeight: '500',
+              backgroundColor: '#dc2626',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: canConfirm ? 'pointer' : 'not-allowed',
+              opacity: canConfirm ? 1 : 0.5
+            }}
+          >
+            {isRunning ? 'Deleting…' : action.label}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AdminConfirmDialog;
@@ -0,0 +1,248 @@
+import { useState } from 'react';
+import AdminConfirmDialog from './AdminConfirmDialog';
+import { useTenant } from '../hooks/useTenant';
+import { useAdminStats } from '../hooks/queries';
+import { useAdminActions, useAdminLog } from '../hooks/useAdminActions';
+import { ALL_TENANTS } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { preferencesStore } from '../services/preferences';
+import { ADMIN_ACTIONS, describeAdminResult, getAdminAction } from '../utils/admin';
+
+const STATUS_ICONS = { success: '✅', error: '❌' };
+
+const formatLogTime = (value) =>
+  new Intl.DateTimeFormat('en-NZ', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', second: '2-digit' }).format(new Date(value));
+
+const cardStyle = {
+  backgroundColor: '#fff',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  padding: '20px'
+};
+
+const cellStyle = { padding: '10px 12px', fontSize: '14px', borderBottom: '1px solid #f3f4f6', textAlign: 'left' };
+const numericCellStyle = { ...cellStyle, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+
+const actionButtonStyle = (disabled) => ({
+  padding: '4px 8px',
+  fontSize: '12px',
+  backgroundColor: 'transparent',
+  color: disabled ? '#9ca3af' : '#dc2626',
+  border: `1px solid ${disabled ? '#e5e7eb' : '#fecaca'}`,
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  whiteSpace: 'nowrap'
+});
+
+// One row of the stats table, with its own stats request
+const AdminStatsRow = ({ target, name, detail, isActive, disabled, onAction }) => {
+  const { data: stats, error, isLoading } = useAdminStats(target);
+  const renderCount = (value) => (isLoading ? '…' : error ? '—' : value);
+
+  return (
+    <tr data-element="admin-stats-row" data-target={target}>
+      <td style={cellStyle}>
+        <div style={{ fontWeight: isActive || target === ALL_TENANTS ? '600' : '500', color: '#111' }}>
+          {name}
+        </div>
+        <div style={{ fontSize: '11px', color: error ? '#b91c1c' : '#9ca3af' }}>
+          {error ? error.message : detail}
+        </div>
+      </td>
+      <td style={numericCellStyle}>{renderCount(stats?.accounts)}</td>
+      <td style={numericCellStyle}>{renderCount(stats?.transactions)}</td>
+      <td style={numericCellStyle}>{renderCount(stats?.total)}</td>
+      <td style={{ ...cellStyle, textAlign: 'right' }}>
+        <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+          {ADMIN_ACTIONS.map(action => (
+            <button
+              key={action.id}
+              data-element="admin-action-button"
+              data-action={action.id}
+              onClick={() => onAction(action.id, target, stats)}
+              disabled={disabled}
+              title={action.description}
+              style={actionButtonStyle(disabled)}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+/**
+ * Admin console for server-side data maintenance: account and transaction
+ * counts per known household and across all tenants, clear actions behind a
+ * typed confirmation, and a log of what they did. Only shown in admin mode.
+ */
+const AdminView = () => {
+  const { tenantId, tenants } = useTenant();
+  const { run, isRunning } = useAdminActions();
+  const { log, clear } = useAdminLog();
+  const [pending, setPending] = useState(null); // { actionId, target, targetName, stats }
+
+  const openConfirm = (actionId, target, stats) => {
+    const targetName = target === ALL_TENANTS ? 'All tenants' : tenants.find(tenant => tenant.id === target)?.name || target;
+    setPending({ actionId, target, targetName, stats });
+  };
+
+  const handleConfirm = async () => {
+    await run(pending.actionId, pending.target);
+    setPending(null);
+  };
+
+  const sectionTitleStyle = { fontSize: '16px', fontWeight: '600', color: '#111', margin: 0 };
+
+  return (
+    <div
+      id="admin-view"
+      data-component="admin-view"
+      style={{ maxWidth: '1400px', margin: '0 auto', padding: '24px 20px', display: 'flex', flexDirection: 'column', gap: '20px' }}
+    >
+      <div
+        data-element="admin-warning"
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '16px',
+          padding: '12px 16px',
+          fontSize: '14px',
+          color: '#92400e',
+          backgroundColor: '#fffbeb',
+          border: '1px solid #fde68a',
+          borderRadius: '8px'
+        }}
+      >
+        <span>⚠️ Actions here delete data from the server for every user of a household and can't be undone.</span>
+        <button
+          id="admin-mode-off-button"
+          onClick={() => preferencesStore.setPreference('adminMode', false)}
+          style={{
+            padding: '6px 10px',
+            fontSize: '13px',
+            backgroundColor: '#fff',
+            color: '#374151',
+            border: '1px solid #e5e7eb',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            whiteSpace: 'nowrap'
+          }}
+        >
+          Leave admin mode
+        </button>
+      </div>
+
+      <section id="admin-stats" data-element="admin-stats" style={cardStyle}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+          <h3 style={sectionTitleStyle}>Database</h3>
+          <button
+            id="admin-stats-refresh"
+            onClick={() => queryClient.invalidateQueries(['adminStats'])}
+            style={{
+              padding: '6px 10px',
+              fontSize: '13px',
+              backgroundColor: '#fff',
+              color: '#374151',
+              border: '1px solid #e5e7eb',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            ↻ Refresh counts
+          </button>
+        </div>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#6b7280' }}>
+                <th style={{ ...cellStyle, fontSize: '12px', fontWeight: '600' }}>Household</th>
+                <th style={{ ...numericCellStyle, fontSize: '12px', fontWeight: '600' }}>Accounts</th>
+                <th style={{ ...numericCellStyle, fontSize: '12px', fontWeight: '600' }}>Transactions</th>
+                <th style={{ ...numericCellStyle, fontSize: '12px', fontWeight: '600' }}>Total</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {tenants.map(tenant => (
+                <AdminStatsRow
+                  key={tenant.id}
+                  target={tenant.id}
+                  name={tenant.id === tenantId ? `${tenant.name} (active)` : tenant.name}
+                  detail={tenant.id}
+                  isActive={tenant.id === tenantId}
+                  disabled={isRunning}
+                  onAction={openConfirm}
+                />
+              ))}
+              {/* The server counts every tenant, including ones not in the household list */}
+              <AdminStatsRow
+                target={ALL_TENANTS}
+                name="All tenants"
+                detail="Every tenant in the database"
+                disabled={isRunning}
+                onAction={openConfirm}
+              />
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section id="admin-log" data-element="admin-log" style={cardStyle}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+          <h3 style={sectionTitleStyle}>Result log</h3>
+          {log.length > 0 && (
+            <button
+              id="admin-log-clear"
+              onClick={clear}
+              style={{ background: 'none', border: 'none', fontSize: '13px', color: '#6b7280', cursor: 'pointer' }}
+            >
+              Clear log
+            </button>
+          )}
+        </div>
+        {log.length === 0 ? (
+          <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>No admin actions have been run yet.</p>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column' }}>
+            {log.map(entry => (
+              <div
+                key={entry.id}
+                data-element="admin-log-entry"
+                data-status={entry.status}
+                style={{ display: 'flex', gap: '10px', padding: '8px 0', fontSize: '13px', borderBottom: '1px solid #f3f4f6' }}
+              >
+                <span>{STATUS_ICONS[entry.status]}</span>
+                <span style={{ color: '#6b7280', width: '150px', flexShrink: 0 }}>{formatLogTime(entry.at)}</span>
+                <span style={{ fontWeight: '500', color: '#111', width: '260px', flexShrink: 0 }}>
+                  {getAdminAction(entry.action)?.label || entry.action} · {entry.targetName}
+                </span>
+                <span style={{ color: entry.status === 'error' ? '#b91c1c' : '#374151' }}>
+                  {describeAdminResult(entry)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {pending && (
+        <AdminConfirmDialog
+          key={`${pending.actionId}-${pending.target}`}
+          actionId={pending.actionId}
+          target={pending.target}
+          targetName={pending.targetName}
+          stats={pending.stats}
+          isRunning={isRunning}
+          onConfirm={handleConfirm}
+          onCancel={() => setPending(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdminView;
@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import SeriesAlertSettings from './SeriesAlertSettings';
+import { usePaymentAlerts } from '../hooks/usePaymentAlerts';
+import { useMoney } from '../hooks/useMoney';
+
+const SNOOZE_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 7, label: '1 week' },
+];
+
+const formatAlertDate = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { weekday: 'short', day: 'numeric', month: 'short' }).format(date);
+
+/**
+ * Navigation bar bell listing missed recurring payments and payments whose
+ * amount changed, with dismiss, snooze and per-series tolerance settings.
+ * `series` come from detectRecurringSeries over the full history.
+ */
+const AlertsPanel = ({ series, onViewSubscriptions }) => {
+  const money = useMoney();
+  const { alerts, hiddenCount, seriesSettings, dismiss, snooze, restoreAll, setSeriesSettings } = usePaymentAlerts(series);
+  const [isOpen, setIsOpen] = useState(false);
+  const [settingsKey, setSettingsKey] = useState(null);
+
+  const describe = (alert) => {
+    const usual = money.format(alert.expectedAmount, alert.currency);
+    if (alert.type === 'missed') {
+      const what = alert.direction === 'credit' ? 'not received' : 'not paid';
+      return {
+        title: `${alert.name} ${what}`,
+        detail: `Expected ${formatAlertDate(alert.expectedDate)} (${alert.daysLate} day${alert.daysLate !== 1 ? 's' : ''} ago), usually ${usual}`,
+      };
+    }
+    const sign = alert.changePercent > 0 ? '+' : '';
+    return {
+      title: `${alert.name} ${alert.changePercent > 0 ? 'went up' : 'went down'}`,
+      detail: `${money.format(alert.actualAmount, alert.currency)} on ${formatAlertDate(alert.date)}, usually ${usual} (${sign}${alert.changePercent.toFixed(0)}%)`,
+    };
+  };
+
+  const actionStyle = {
+    padding: 0,
+    fontSize: '12px',
+    color: '#3b82f6',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div
+      id="payment-alerts"
+      data-component="payment-alerts"
+      data-alert-count={alerts.length}
+      style={{ position: 'relative' }}
+    >
+      <button
+        id="payment-alerts-button"
+        data-element="payment-alerts-button"
+        onClick={() => setIsOpen(!isOpen)}
+        title={alerts.length > 0 ? `${alerts.length} payment alert${alerts.length !== 1 ? 's' : ''}` : 'No payment alerts'}
+        aria-label="Payment alerts"
+        style={{
+          position: 'relative',
+          width: '32px',
+          height: '32px',
+          padding: 0,
+          fontSize: '18px',
+          backgroundColor: isOpen ? '#f3f4f6' : 'transparent',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer'
+        }}
+      >
+        🔔
+        {alerts.length > 0 && (
+          <span
+            data-element="payment-alerts-badge"
+            style={{
+              position: 'absolute',
+              top: '0',
+              right: '0',
+              minWidth: '16px',
+              height: '16px',
+              padding: '0 4px',
+              boxSizing: 'border-box',
+              fontSize: '10px',
+              fontWeight: '700',
+              lineHeight: '16px',
+              color: '#fff',
+              backgroundColor: '#dc2626',
+              borderRadius: '9999px'
+            }}
+          >
+            {alerts.length > 9 ? '9+' : alerts.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div
+          id="payment-alerts-panel"
+          data-element="payment-alerts-panel"
+          style={{
+            position: 'absolute',
+            top: '44px',
+            right: 0,
+            width: '380px',
+            maxHeight: '480px',
+            overflowY: 'auto',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)',
+            padding: '16px',
+            zIndex: 20
+          }}
+        >
+          <h3 style={{ fontSize: '14px', fontWeight: '600', color: '#111', margin: '0 0 12px 0' }}>
+            Payment alerts
+          </h3>
+
+          {alerts.length === 0 && (
+            <p style={{ fontSize: '13px', color: '#6b7280', margin: '0 0 12px 0' }}>
+              All expected payments have arrived on time.
+            </p>
+          )}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {alerts.map(alert => {
+              const { title, detail } = describe(alert);
+              const seriesItem = series.find(s => s.key === alert.seriesKey);
+              const showSettings = settingsKey === alert.id && seriesItem;
+              return (
+                <div
+                  key={alert.id}
+                  data-element="payment-alert"
+                  data-alert-type={alert.type}
+                  data-alert-id={alert.id}
+                  style={{
+                    padding: '10px 12px',
+                    backgroundColor: alert.type === 'missed' ? '#fef2f2' : '#fffbeb',
+                    border: `1px solid ${alert.type === 'missed' ? '#fecaca' : '#fde68a'}`,
+                    borderRadius: '6px'
+                  }}
+                >
+                  <p style={{ fontSize: '13px', fontWeight: '600', color: '#111', margin: 0 }}>
+                    {alert.type === 'missed' ? '⚠️' : '📈'} {title}
+                  </p>
+                  <p style={{ fontSize: '12px', color: '#4b5563', margin: '2px 0 6px 0' }}>{detail}</p>
+                  <div style={{ display: 'flex', gap: '12px' }}>
+                    <button data-element="payment-alert-dismiss" onClick={() => dismiss(alert.id)} style={actionStyle}>
+                      Dismiss
+                    </button>
+                    {SNOOZE_OPTIONS.map(option => (
+                      <button
+                        key={option.days}
+                        data-element="payment-alert-snooze"
+                        data-days={option.days}
+                        onClick={() => snooze(alert.id, option.days)}
+                        style={actionStyle}
+                      >
+                        Snooze {option.label}
+                      </button>
+                    ))}
+                    <button
+                      data-element="payment-alert-settings"
+                      onClick={() => setSettingsKey(showSettings ? null : alert.id)}
+                      style={{ ...actionStyle, color: '#6b7280' }}
+                    >
+                      Tolerance
+                    </button>
+                  </div>
+                  {showSettings && (
+                    <div style={{ marginTop: '8px' }}>
+                      <SeriesAlertSettings
+                        series={seriesItem}
+                        overrides={seriesSettings[seriesItem.key]}
+                        onChange={(settings) => setSeriesSettings(seriesItem.key, settings)}
+                      />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            marginTop: '12px',
+            paddingTop: '12px',
+            borderTop: '1px solid #f3f4f6'
+          }}>
+            {hiddenCount > 0 ? (
+              <button data-element="payment-alerts-restore" onClick={restoreAll} style={{ ...actionStyle, color: '#6b7280' }}>
+                Show {hiddenCount} dismissed or snoozed
+              </button>
+            ) : <span />}
+            <button
+              data-element="payment-alerts-view-subscriptions"
+              onClick={() => {
+                setIsOpen(false);
+                onViewSubscriptions();
+              }}
+              style={actionStyle}
+            >
+              View recurring payments →
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,190 @@
+import { useMemo, useState } from 'react';
+import TimeSeriesChart from './TimeSeriesChart';
+import { useMoney } from '../hooks/useMoney';
+import { getAccountCurrency } from '../utils/money';
+import {
+  buildDailyBalances,
+  buildNetWorthHistory,
+  getEarliestTransactionDate,
+} from '../utils/balanceHistory';
+import { eachDay } from '../utils/dates';
+
+const CHART_RANGES = [
+  { id: '1M', label: '1M', days: 31 },
+  { id: '3M', label: '3M', days: 91 },
+  { id: '6M', label: '6M', days: 182 },
+  { id: '1Y', label: '1Y', days: 365 },
+  { id: 'ALL', label: 'All', days: null },
+];
+
+const ASSET_COLORS = ['#10b981', '#3b82f6', '#8b5cf6', '#14b8a6', '#f59e0b', '#6366f1', '#84cc16'];
+const LIABILITY_COLORS = ['#ef4444', '#f97316', '#ec4899', '#a855f7'];
+
+const formatRangeDate = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+
+/**
+ * Balance history reconstructed from transaction running balances: one
+ * account's balance when `account` is given, otherwise net worth stacked by
+ * account type. Drag across the chart to zoom into a range.
+ * `transactions` should be the full history, not the date-range selection.
+ */
+const BalanceHistoryPanel = ({ accounts, transactions, account = null }) => {
+  const money = useMoney();
+  const [rangeId, setRangeId] = useState('3M');
+  const [zoom, setZoom] = useState(null);
+
+  const chartTransactions = useMemo(
+    () => (account ? transactions.filter(t => t._account === account._id) : transactions),
+    [account, transactions]
+  );
+
+  const days = useMemo(() => {
+    if (zoom) return eachDay(zoom.start, zoom.end);
+
+    const range = CHART_RANGES.find(r => r.id === rangeId);
+    const now = new Date();
+    let start;
+    if (range.days) {
+      start = new Date(now);
+      start.setDate(start.getDate() - range.days);
+    } else {
+      start = getEarliestTransactionDate(chartTransactions) || now;
+    }
+    return eachDay(start, now);
+  }, [zoom, rangeId, chartTransactions]);
+
+  const currency = account ? getAccountCurrency(account) : money.baseCurrency;
+
+  const chart = useMemo(() => {
+    if (account) {
+      return {
+        areas: [],
+        line: { label: 'Balance', color: '#3b82f6', values: buildDailyBalances(account, chartTransactions, days) },
+      };
+    }
+
+    const history = buildNetWorthHistory(accounts, chartTransactions, days, money.toBase);
+    let assetIndex = 0;
+    let liabilityIndex = 0;
+    const areas = history.series.map(series => ({
+      ...series,
+      color: series.kind === 'asset'
+        ? ASSET_COLORS[assetIndex++ % ASSET_COLORS.length]
+        : LIABILITY_COLORS[liabilityIndex++ % LIABILITY_COLORS.length],
+    }));
+    return { areas, line: { label: 'Net worth', color: '#111', values: history.netWorth } };
+  }, [account, accounts, chartTransactions, days, money]);
+
+  const values = chart.line.values;
+  const change = values.length > 1 ? values[values.length - 1] - values[0] : 0;
+  const changePercent = values.length > 1 && values[0] !== 0 ? (change / Math.abs(values[0])) * 100 : null;
+
+  const buttonStyle = (isActive) => ({
+    padding: '4px 10px',
+    fontSize: '12px',
+    fontWeight: '500',
+    backgroundColor: isActive ? '#fff' : 'transparent',
+    color: isActive ? '#111' : '#6b7280',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    boxShadow: isActive ? '0 1px 2px rgba(0, 0, 0, 0.05)' : 'none'
+  });
+
+  const panelId = account ? 'account-balance-history' : 'net-worth-history';
+
+  return (
+    <div
+      id={panelId}
+      data-component="balance-history"
+      data-account-id={account?._id}
+      style={{
+        backgroundColor: '#fff',
+        borderRadius: '12px',
+        padding: '20px',
+        marginBottom: '20px',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)'
+      }}
+    >
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        gap: '12px',
+        flexWrap: 'wrap',
+        marginBottom: '12px'
+      }}>
+        <div>
+          <h2 style={{ fontSize: '16px', fontWeight: '600', color: '#111', margin: '0 0 4px 0' }}>
+            {account ? 'Balance History' : 'Net Worth Over Time'}
+          </h2>
+          <p data-element="balance-history-change" style={{ fontSize: '13px', color: '#6b7280', margin: 0 }}>
+            <span style={{ color: change < 0 ? '#dc2626' : '#059669', fontWeight: '600' }}>
+              {change < 0 ? '▼' : '▲'} {money.format(Math.abs(change), currency)}
+              {changePercent !== null && ` (${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(1)}%)`}
+            </span>
+            {days.length > 0 && ` ${formatRangeDate(days[0])} – ${formatRangeDate(days[days.length - 1])}`}
+          </p>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          {zoom && (
+            <button
+              data-element="balance-history-reset-zoom"
+              onClick={() => setZoom(null)}
+              style={{
+                padding: '4px 10px',
+                fontSize: '12px',
+                color: '#3b82f6',
+                backgroundColor: 'transparent',
+                border: '1px solid #bfdbfe',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Reset zoom
+            </button>
+          )}
+          <div
+            data-element="balance-history-ranges"
+            style={{ display: 'flex', gap: '2px', padding: '3px', backgroundColor: '#f3f4f6', borderRadius: '6px' }}
+          >
+            {CHART_RANGES.map(range => (
+              <button
+                key={range.id}
+                data-element="balance-history-range"
+                data-range={range.id}
+                onClick={() => {
+                  setRangeId(range.id);
+                  setZoom(null);
+                }}
+                style={buttonStyle(!zoom && rangeId === range.id)}
+              >
+                {range.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <TimeSeriesChart
+        id={`${panelId}-chart`}
+        label={account ? `${account.name} balance history` : 'Net worth over time'}
+        days={days}
+        areas={chart.areas}
+        line={chart.line}
+        formatValue={(value) => money.format(value, currency)}
+        formatAxisValue={(value) => money.formatCompact(value, currency)}
+        onRangeSelect={(start, end) => setZoom({ start, end })}
+      />
+
+      <p style={{ fontSize: '11px', color: '#9ca3af', margin: '8px 0 0 0' }}>
+        Drag across the chart to zoom in.
+        {!account && ' Loans and credit cards are shown below zero.'}
+      </p>
+    </div>
+  );
+};
+
+export default BalanceHistoryPanel;
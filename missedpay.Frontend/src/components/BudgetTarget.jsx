@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { useMoney } from '../hooks/useMoney';
+import { BUDGET_STATUS_COLORS, getBudgetStatus, projectMonthEndSpend } from '../utils/budgets';
+
+/**
+ * This month's progress against a budget target, with inline set/edit/remove.
+ * Rendered inside clickable group and category rows, so clicks don't propagate.
+ */
+const BudgetTarget = ({ id, budget, spent, compact = false, onSave, onRemove }) => {
+  const money = useMoney();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const fontSize = compact ? '10px' : '12px';
+
+  const startEditing = (e) => {
+    e.stopPropagation();
+    setDraft(budget ? String(budget.amount) : '');
+    setEditing(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(draft);
+    if (!Number.isFinite(amount) || amount <= 0) return;
+    onSave(Math.round(amount * 100) / 100);
+    setEditing(false);
+  };
+
+  const linkStyle = {
+    padding: 0,
+    fontSize,
+    color: '#3b82f6',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer'
+  };
+
+  if (editing) {
+    return (
+      <form
+        id={id}
+        data-component="budget-target"
+        data-element="budget-target-form"
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}
+      >
+        <label style={{ fontSize, color: '#6b7280' }}>
+          Monthly budget ({money.baseCurrency})
+        </label>
+        <input
+          data-element="budget-target-amount"
+          type="number"
+          min="0"
+          step="any"
+          autoFocus
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setEditing(false);
+          }}
+          style={{
+            width: '90px',
+            padding: '2px 6px',
+            fontSize,
+            border: '1px solid #d1d5db',
+            borderRadius: '4px'
+          }}
+        />
+        <button type="submit" data-element="budget-target-save" style={{ ...linkStyle, fontWeight: '600' }}>
+          Save
+        </button>
+        <button type="button" data-element="budget-target-cancel" onClick={() => setEditing(false)} style={{ ...linkStyle, color: '#6b7280' }}>
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  if (!budget) {
+    return (
+      <button
+        id={id}
+        data-component="budget-target"
+        data-element="budget-target-set"
+        onClick={startEditing}
+        style={{ ...linkStyle, marginTop: '4px' }}
+      >
+        + Set monthly budget
+      </button>
+    );
+  }
+
+  const projected = projectMonthEndSpend(spent);
+  const status = getBudgetStatus(spent, projected, budget.amount);
+  const color = BUDGET_STATUS_COLORS[status];
+  const remaining = budget.amount - spent;
+  const progress = Math.min(100, (spent / budget.amount) * 100);
+
+  return (
+    <div
+      id={id}
+      data-component="budget-target"
+      data-status={status}
+      style={{ marginTop: '6px' }}
+    >
+      <div style={{
+        height: compact ? '4px' : '6px',
+        backgroundColor: '#e5e7eb',
+        borderRadius: '3px',
+        overflow: 'hidden'
+      }}>
+        <div
+          data-element="budget-target-progress"
+          style={{
+            width: `${progress}%`,
+            height: '100%',
+            backgroundColor: color,
+            transition: 'width 0.3s ease'
+          }}
+        />
+      </div>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'baseline',
+        gap: '8px',
+        marginTop: '3px',
+        fontSize
+      }}>
+        <span data-element="budget-target-remaining" style={{ color, fontWeight: '600' }}>
+          {remaining >= 0
+            ? `${money.format(remaining)} left of ${money.format(budget.amount)}`
+            : `${money.format(-remaining)} over ${money.format(budget.amount)}`}
+        </span>
+        <span style={{ display: 'flex', gap: '8px' }}>
+          <button data-element="budget-target-edit" onClick={startEditing} style={linkStyle}>
+            Edit
+          </button>
+          <button
+            data-element="budget-target-remove"
+            onClick={(e) => {
+              e.stopPropagation();
+              onRemove();
+            }}
+            style={{ ...linkStyle, color: '#9ca3af' }}
+          >
+            Remove
+          </button>
+        </span>
+      </div>
+      {status !== 'over' && (
+        <p data-element="budget-target-projection" style={{ fontSize, color: '#6b7280', margin: '2px 0 0 0' }}>
+          On pace for {money.format(projected)} this month
+          {status === 'at-risk' && ' — over budget'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BudgetTarget;
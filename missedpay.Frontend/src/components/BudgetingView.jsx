@@ -1,118 +1,84 @@
-import { useState, useMemo, useEffect, useRef } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import CategoryPicker from './CategoryPicker';
+import CategoryOverrideBadge from './CategoryOverrideBadge';
+import VirtualTransactionList from './VirtualTransactionList';
+import BudgetTarget from './BudgetTarget';
+import TransferBadge from './TransferBadge';
+import ExportMenu from './ExportMenu';
 import { categorizationApi } from '../services/api';
+import { queryClient } from '../services/queryClient';
+import { queryKeys, useBudgets } from '../hooks/queries';
+import { useTenant } from '../hooks/useTenant';
+import { useCategoryOverride } from '../hooks/useCategoryOverride';
+import { useBudgetActions } from '../hooks/useBudgetActions';
+import { applyCategory, getMerchantName, isCategorized } from '../utils/transactions';
+import { formatDate } from '../utils/dates';
+import { getConversion } from '../utils/money';
+import { useMoney } from '../hooks/useMoney';
+import { BUDGET_STATUS_COLORS, buildMonthlySpending, getBudgetStatus, getMonthProgress, projectMonthEndSpend } from '../utils/budgets';
+import { getBudgetId } from '../services/budgets';
 
-const BudgetingView = ({ transactions, onTransactionUpdate }) => {
-  const [selectedGroup, setSelectedGroup] = useState(null);
-  const [selectedCategory, setSelectedCategory] = useState(null);
+/**
+ * Spending by group and category. The selected group and category are
+ * controlled by the parent (from the URL); `onSelect` is called with
+ * { groupId, categoryId } when the user changes them.
+ * Budget targets are monthly, so their progress always uses
+ * `monthTransactions` (this calendar month) whatever the date range.
+ */
+const BudgetingView = ({
+  transactions,
+  monthTransactions = [],
+  accounts = [],
+  dateRangeLabel = 'All time',
+  selectedGroupId = null,
+  selectedCategoryId = null,
+  onSelect,
+}) => {
+  const { tenantId } = useTenant();
   const [sortOrder, setSortOrder] = useState('date'); // 'date' or 'amount'
   const [categorizingTransaction, setCategorizingTransaction] = useState(null);
   const [categorizingInProgress, setCategorizingInProgress] = useState(null);
-  const [isRefreshing, setIsRefreshing] = useState(false);
-  const pendingTransactionIdRef = useRef(null);
+  const [toast, setToast] = useState(null);
+  const categoryOverride = useCategoryOverride({
+    onError: (message) => setToast({ type: 'error', message })
+  });
 
-  // Effect to load pending transaction after refresh
+  // Clear the toast after 5 seconds
   useEffect(() => {
-    const pendingId = sessionStorage.getItem('pendingCategorizationId');
-    
-    if (!isRefreshing && pendingId && transactions) {
-      sessionStorage.removeItem('pendingCategorizationId');
-      
-      // Build fresh groups from updated transactions
-      const groups = {};
-      let uncategorizedTransactions = [];
-      
-      transactions.forEach(transaction => {
-        if (transaction.amount >= 0) return;
-        
-        const personalFinanceGroup = transaction.category?.groups?.personal_finance;
-        
-        if (!personalFinanceGroup) {
-          uncategorizedTransactions.push(transaction);
-          return;
-        }
-        
-        const groupName = personalFinanceGroup.name;
-        if (!groupName) return;
-
-        if (!groups[groupName]) {
-          groups[groupName] = {
-            name: groupName,
-            id: personalFinanceGroup._id,
-            categories: {}
-          };
-        }
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 5000);
+    return () => clearTimeout(timer);
+  }, [toast]);
 
-        const categoryName = transaction.category?.name;
-        if (categoryName) {
-          if (!groups[groupName].categories[categoryName]) {
-            groups[groupName].categories[categoryName] = {
-              name: categoryName,
-              id: transaction.category._id,
-              transactions: []
-            };
-          }
-          groups[groupName].categories[categoryName].transactions.push(transaction);
-        }
-      });
+  const money = useMoney();
+  const budgetsQuery = useBudgets();
+  const budgets = budgetsQuery.data || [];
+  const budgetActions = useBudgetActions({
+    onError: (message) => setToast({ type: 'error', message: `Budget not saved: ${message}` })
+  });
 
-      // Add uncategorized
-      if (uncategorizedTransactions.length > 0) {
-        groups['Uncategorized'] = {
-          name: 'Uncategorized',
-          id: 'uncategorized',
-          categories: {
-            'No category data': {
-              name: 'No category data',
-              id: 'no-category',
-              transactions: uncategorizedTransactions
-            }
-          }
-        };
-      }
-      
-      // Find the transaction by ID
-      let foundTransaction = null;
-      
-      for (const group of Object.values(groups)) {
-        for (const category of Object.values(group.categories)) {
-          foundTransaction = category.transactions.find(t => t._id === pendingId);
-          if (foundTransaction) break;
-        }
-        if (foundTransaction) break;
-      }
-      
-      if (foundTransaction) {
-        setCategorizingTransaction(foundTransaction);
-        setIsRefreshing(false);  // Clear refresh flag after loading
-      } else {
-        setCategorizingTransaction(null);
-        setIsRefreshing(false);
-      }
-    }
-  }, [isRefreshing, transactions]);
+  const monthlySpending = useMemo(
+    () => buildMonthlySpending(monthTransactions, money.toBase),
+    [monthTransactions, money]
+  );
 
-  const formatCurrency = (amount) => {
-    return '$' + new Intl.NumberFormat('en-US', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(Math.abs(amount));
+  const getBudget = (scope, targetId) => budgets.find(b => b.id === getBudgetId(scope, targetId));
+  const getMonthSpend = (scope, targetId) => monthlySpending.get(getBudgetId(scope, targetId)) || 0;
+  const isOverBudget = (scope, targetId) => {
+    const budget = getBudget(scope, targetId);
+    return Boolean(budget) && getMonthSpend(scope, targetId) > budget.amount;
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-
-    if (date.toDateString() === today.toDateString()) {
-      return 'Today';
-    } else if (date.toDateString() === yesterday.toDateString()) {
-      return 'Yesterday';
-    } else {
-      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-    }
-  };
+  const renderBudgetTarget = (scope, target, compact) => (
+    <BudgetTarget
+      id={`budget-target-${scope}-${target.id}`}
+      budget={getBudget(scope, target.id)}
+      spent={getMonthSpend(scope, target.id)}
+      compact={compact}
+      onSave={(amount) => budgetActions.setBudget(scope, target, amount)}
+      onRemove={() => budgetActions.removeBudget(scope, target.id)}
+    />
+  );
 
   // Aggregate transactions by personal_finance group
   const groupAggregates = useMemo(() => {
@@ -124,13 +90,16 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
     transactions.forEach(transaction => {
       // Only process expenses (negative amounts)
       if (transaction.amount >= 0) return;
+
+      // Totals are in the base currency; amounts without an exchange rate count as 0
+      const amount = money.toBase(Math.abs(transaction.amount), transaction.currency) ?? 0;
       
       // Access the personal_finance group from the groups dictionary
       const personalFinanceGroup = transaction.category?.groups?.personal_finance;
       
       if (!personalFinanceGroup) {
         // Track uncategorized transactions
-        uncategorizedTotal += Math.abs(transaction.amount);
+        uncategorizedTotal += amount;
         uncategorizedCount += 1;
         uncategorizedTransactions.push(transaction);
         return;
@@ -151,7 +120,7 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
         };
       }
 
-      groups[groupName].total += Math.abs(transaction.amount);
+      groups[groupName].total += amount;
       groups[groupName].count += 1;
 
       // Aggregate by category within the group
@@ -166,7 +135,7 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
             transactions: []
           };
         }
-        groups[groupName].categories[categoryName].total += Math.abs(transaction.amount);
+        groups[groupName].categories[categoryName].total += amount;
         groups[groupName].categories[categoryName].count += 1;
         groups[groupName].categories[categoryName].transactions.push(transaction);
       }
@@ -193,7 +162,15 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
     
     // Convert to array and sort by total descending
     return Object.values(groups).sort((a, b) => b.total - a.total);
-  }, [transactions]);
+  }, [transactions, money]);
+
+  // Currencies left out of the totals because they have no exchange rate
+  const unconvertedCurrencies = useMemo(() => {
+    const currencies = transactions
+      .filter(t => t.amount < 0 && money.toBase(1, t.currency) === null)
+      .map(t => t.currency);
+    return [...new Set(currencies)].sort();
+  }, [transactions, money]);
 
   const totalSpending = useMemo(() => {
     return groupAggregates.reduce((sum, group) => sum + group.total, 0);
@@ -226,49 +203,223 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
     return '📊';
   };
 
-  const handleCategorySelect = async (category) => {
+  // Selections are kept as ids so they follow the regrouped data after a categorization
+  const selectedGroup = groupAggregates.find(group => group.id === selectedGroupId) || null;
+  const selectedCategory = selectedGroup
+    ? Object.values(selectedGroup.categories).find(category => category.id === selectedCategoryId) || null
+    : null;
+
+  const sortedCategoryTransactions = useMemo(() => {
+    if (!selectedCategory) return [];
+    return [...selectedCategory.transactions].sort((a, b) => {
+      if (sortOrder === 'date') {
+        return new Date(b.date) - new Date(a.date);
+      } else {
+        return Math.abs(b.amount) - Math.abs(a.amount);
+      }
+    });
+  }, [selectedCategory, sortOrder]);
+
+  const renderCategoryTransactionRow = (transaction) => (
+    <div
+      data-component="budgeting-transaction-item"
+      data-transaction-id={transaction._id}
+      className="transaction-row"
+      style={{
+        border: '1px solid #e5e7eb',
+        borderRadius: '8px',
+        padding: '12px 16px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px'
+      }}
+    >
+      {/* Merchant Logo */}
+      {transaction.merchant?.logo && (
+        <img
+          src={transaction.merchant.logo}
+          alt={transaction.merchant.name}
+          style={{
+            width: '32px',
+            height: '32px',
+            borderRadius: '6px',
+            objectFit: 'cover'
+          }}
+        />
+      )}
+      {!transaction.merchant?.logo && (
+        <div style={{
+          width: '32px',
+          height: '32px',
+          borderRadius: '6px',
+          backgroundColor: '#f3f4f6',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          fontSize: '16px'
+        }}>
+          💳
+        </div>
+      )}
+
+      {/* Transaction Details */}
+      <div style={{ flex: 1, minWidth: 0, display: 'flex', alignItems: 'center', gap: '8px' }}>
+        {/* Description */}
+        <span style={{
+          fontSize: '14px',
+          fontWeight: '500',
+          color: '#111',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+          flex: '1 1 auto',
+          minWidth: '100px'
+        }}>
+          {transaction.description}
+        </span>
+
+        {transaction.isInternalTransfer && <TransferBadge transaction={transaction} accounts={accounts} />}
+
+        {transaction.isCategoryOverride && (
+          <CategoryOverrideBadge
+            transaction={transaction}
+            onRevert={categoryOverride.revertOverride}
+            disabled={categoryOverride.pendingTransactionId === transaction._id}
+          />
+        )}
+
+        {/* Date - shown in the day headers when sorted by date */}
+        {sortOrder !== 'date' && (
+          <span style={{
+            fontSize: '12px',
+            color: '#9ca3af',
+            whiteSpace: 'nowrap',
+            flex: '0 0 auto'
+          }}>
+            {formatDate(transaction.date)}
+          </span>
+        )}
+      </div>
+
+      {/* Original amount for foreign-currency transactions */}
+      {getConversion(transaction) && (
+        <span
+          data-element="transaction-original-amount"
+          title="Original amount and exchange rate"
+          style={{
+            fontSize: '12px',
+            color: '#9ca3af',
+            whiteSpace: 'nowrap',
+            flex: '0 0 auto'
+          }}
+        >
+          {money.formatConversion(getConversion(transaction))}
+        </span>
+      )}
+
+      {/* Amount */}
+      <span style={{
+        fontSize: '14px',
+        fontWeight: '600',
+        color: transaction.amount < 0 ? '#dc2626' : '#059669',
+        whiteSpace: 'nowrap',
+        flex: '0 0 auto'
+      }}>
+        {money.format(Math.abs(transaction.amount), transaction.currency)}
+      </span>
+
+      {/* Categorize Button */}
+      <button
+        className="transaction-row-action primary"
+        onClick={() => setCategorizingTransaction(transaction)}
+        disabled={categorizingInProgress === transaction._id}
+        style={{
+          padding: '6px 12px',
+          fontSize: '12px',
+          fontWeight: '500',
+          color: '#3b82f6',
+          backgroundColor: 'transparent',
+          border: '1px solid #3b82f6',
+          borderRadius: '6px',
+          cursor: categorizingInProgress === transaction._id ? 'not-allowed' : 'pointer',
+          whiteSpace: 'nowrap',
+          flex: '0 0 auto',
+          opacity: categorizingInProgress === transaction._id ? 0.5 : 1
+        }}
+      >
+        {categorizingInProgress === transaction._id ? '...' : '📝 Categorize'}
+      </button>
+
+      {/* Override Button - this transaction only */}
+      <button
+        className="transaction-row-action"
+        onClick={() => categoryOverride.startOverride(transaction)}
+        disabled={categoryOverride.pendingTransactionId === transaction._id}
+        title="Change the category of this transaction only, without changing the merchant"
+        style={{
+          padding: '6px 10px',
+          fontSize: '12px',
+          fontWeight: '500',
+          color: '#6b7280',
+          backgroundColor: 'transparent',
+          border: '1px solid #e5e7eb',
+          borderRadius: '6px',
+          cursor: categoryOverride.pendingTransactionId === transaction._id ? 'not-allowed' : 'pointer',
+          whiteSpace: 'nowrap',
+          flex: '0 0 auto',
+          opacity: categoryOverride.pendingTransactionId === transaction._id ? 0.5 : 1
+        }}
+      >
+        🏷️ This only
+      </button>
+    </div>
+  );
+
+  const handleCategorySelect = async (category, { method = 'Manual' } = {}) => {
     if (!categorizingTransaction) return;
     
     const currentTransactionId = categorizingTransaction._id;
-    const categorizedMerchantName = categorizingTransaction.merchant?.name || categorizingTransaction.description;
-    
+    const categorizedMerchantName = getMerchantName(categorizingTransaction);
+    const transactionsKey = queryKeys.transactions(tenantId);
+
+    // Find the next uncategorized transaction BEFORE regrouping
+    const nextTransactionId = findNextUncategorizedTransaction(currentTransactionId, categorizedMerchantName);
+    const nextTransaction = nextTransactionId
+      ? transactions.find(t => t._id === nextTransactionId)
+      : null;
+
+    // Optimistically apply the category to every transaction from this merchant,
+    // mirroring how the API applies a confirmed merchant mapping
+    const originals = new Map();
+    queryClient.optimisticUpdate(transactionsKey, (data = []) => data.map(t => {
+      if (getMerchantName(t) !== categorizedMerchantName) return t;
+      originals.set(t._id, t);
+      return applyCategory(t, category);
+    }));
+
     setCategorizingInProgress(currentTransactionId);
+    setCategorizingTransaction(nextTransaction);
     
     try {
       // Call the API to save the merchant→category mapping
       await categorizationApi.confirmCategory(
         categorizedMerchantName,
-        category.id
+        category.id,
+        { method }
       );
-      
-      // Find the next uncategorized transaction ID BEFORE refresh
-      const nextTransactionId = findNextUncategorizedTransaction(currentTransactionId, categorizedMerchantName);
-      
-      if (nextTransactionId) {
-        // Store the pending transaction ID in sessionStorage (survives component remounts)
-        sessionStorage.setItem('pendingCategorizationId', nextTransactionId);
-      } else {
-        sessionStorage.removeItem('pendingCategorizationId');
-      }
-      
-      // Set refreshing flag BEFORE calling onTransactionUpdate
-      setIsRefreshing(true);
-      
-      // Notify parent to refresh transactions
-      if (onTransactionUpdate) {
-        await onTransactionUpdate();
-      }
-      
     } catch (error) {
       console.error('Failed to save category:', error);
-      alert('Failed to save category. Please try again.');
-      sessionStorage.removeItem('pendingCategorizationId');
-      setCategorizingInProgress(null);
-      setIsRefreshing(false);
+      // Roll back only this merchant's transactions so other confirmations in flight are kept
+      queryClient.setQueryData(transactionsKey, (data = []) =>
+        data.map(t => originals.get(t._id) || t)
+      );
+      setToast({
+        type: 'error',
+        message: `Couldn't categorize ${categorizedMerchantName} as ${category.name}: ${error.message}`
+      });
+    } finally {
+      setCategorizingInProgress(current => current === currentTransactionId ? null : current);
     }
-    
-    // Clear in-progress state (useEffect will handle loading next transaction)
-    setCategorizingInProgress(null);
   };
 
   const findNextUncategorizedTransaction = (currentTransactionId, categorizedMerchant) => {
@@ -284,33 +435,17 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
     });
     
     // Filter to only uncategorized transactions (those without a category or in "Uncategorized" group)
-    const uncategorizedTransactions = allTransactions.filter(t => {
-      // Skip transactions from the merchant we just categorized (they'll be updated on next refresh)
-      const merchantName = t.merchant?.name || t.description;
-      if (merchantName === categorizedMerchant) {
-        return false;
-      }
-      
-      // Check if transaction is uncategorized
-      const hasCategory = t.category && 
-                         t.category.groups && 
-                         t.category.groups.personal_finance &&
-                         t.category.groups.personal_finance.name !== 'Uncategorized';
-      
-      return !hasCategory;
-    });
+    const uncategorizedTransactions = allTransactions.filter(t => !isCategorized(t));
     
-    // Find the current transaction's index
-    const currentIndex = uncategorizedTransactions.findIndex(t => t._id === currentTransactionId);
+    // Skip transactions from the merchant we just categorized (they are regrouped locally)
+    const isOtherMerchant = (t) => getMerchantName(t) !== categorizedMerchant;
     
-    // Return the ID of the next one, or the first one if current is not found or is the last
-    if (currentIndex >= 0 && currentIndex < uncategorizedTransactions.length - 1) {
-      return uncategorizedTransactions[currentIndex + 1]._id;
-    } else if (uncategorizedTransactions.length > 0) {
-      return uncategorizedTransactions[0]._id;
-    }
+    // Return the next one after the current transaction, wrapping around to the first
+    const currentIndex = uncategorizedTransactions.findIndex(t => t._id === currentTransactionId);
+    const next = uncategorizedTransactions.slice(currentIndex + 1).find(isOtherMerchant)
+      || uncategorizedTransactions.find(isOtherMerchant);
     
-    return null;
+    return next?._id || null;
   };
 
   const countUncategorizedTransactions = () => {
@@ -326,14 +461,96 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
     });
     
     // Count uncategorized transactions
-    return allTransactions.filter(t => {
-      const hasCategory = t.category && 
-                         t.category.groups && 
-                         t.category.groups.personal_finance &&
-                         t.category.groups.personal_finance.name !== 'Uncategorized';
-      
-      return !hasCategory;
-    }).length;
+    return allTransactions.filter(t => !isCategorized(t)).length;
+  };
+
+  const renderBudgetSummary = () => {
+    const { daysLeft } = getMonthProgress();
+    const rows = budgets
+      .map(budget => {
+        const spent = getMonthSpend(budget.scope, budget.targetId);
+        const projected = projectMonthEndSpend(spent);
+        return { budget, spent, projected, status: getBudgetStatus(spent, projected, budget.amount) };
+      })
+      .sort((a, b) => b.spent / b.budget.amount - a.spent / a.budget.amount);
+    const totalBudgeted = budgets
+      .filter(b => b.scope === 'group')
+      .reduce((sum, b) => sum + b.amount, 0);
+
+    return (
+      <div
+        id="monthly-budgets"
+        data-component="monthly-budgets"
+        style={{
+          backgroundColor: '#fff',
+          borderRadius: '12px',
+          padding: '20px',
+          marginBottom: '20px',
+          boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '12px' }}>
+          <h2 style={{ fontSize: '18px', fontWeight: '600', color: '#111', margin: 0 }}>
+            Monthly Budgets
+          </h2>
+          <span style={{ fontSize: '12px', color: '#6b7280' }}>
+            {daysLeft} day{daysLeft !== 1 ? 's' : ''} left this month
+          </span>
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {rows.map(({ budget, spent, projected, status }) => (
+            <div
+              key={budget.id}
+              data-element="monthly-budget"
+              data-budget-id={budget.id}
+              data-status={status}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', fontSize: '13px' }}>
+                <span style={{ fontWeight: '500', color: '#111' }}>
+                  {budget.name}
+                  {budget.scope === 'category' && (
+                    <span style={{ fontSize: '11px', color: '#9ca3af', marginLeft: '6px' }}>category</span>
+                  )}
+                </span>
+                <span style={{ color: BUDGET_STATUS_COLORS[status], fontWeight: '600' }}>
+                  {money.format(spent)} / {money.format(budget.amount)}
+                </span>
+              </div>
+              <div style={{
+                height: '6px',
+                backgroundColor: '#e5e7eb',
+                borderRadius: '3px',
+                overflow: 'hidden',
+                margin: '4px 0 2px 0'
+              }}>
+                <div style={{
+                  width: `${Math.min(100, (spent / budget.amount) * 100)}%`,
+                  height: '100%',
+                  backgroundColor: BUDGET_STATUS_COLORS[status]
+                }} />
+              </div>
+              <p style={{ fontSize: '11px', color: '#6b7280', margin: 0 }}>
+                {status === 'over'
+                  ? `${money.format(spent - budget.amount)} over budget`
+                  : `${money.format(budget.amount - spent)} left · on pace for ${money.format(projected)}`}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        {totalBudgeted > 0 && (
+          <p style={{ fontSize: '12px', color: '#9ca3af', margin: '12px 0 0 0' }}>
+            {money.format(totalBudgeted)} budgeted across groups this month
+          </p>
+        )}
+        {budgetsQuery.error && (
+          <p data-element="monthly-budgets-error" style={{ fontSize: '12px', color: '#dc2626', margin: '8px 0 0 0' }}>
+            Couldn't refresh budgets: {budgetsQuery.error.message}
+          </p>
+        )}
+      </div>
+    );
   };
 
   if (transactions.length === 0) {
@@ -406,7 +623,7 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
             margin: '0 0 8px 0',
             fontWeight: '500'
           }}>
-            Total Spending (Last 31 Days)
+            Total Spending ({dateRangeLabel})
           </p>
           <p style={{ 
             fontSize: '32px', 
@@ -414,8 +631,21 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
             margin: 0,
             color: '#dc2626'
           }}>
-            {formatCurrency(totalSpending)}
+            {money.format(totalSpending)}
           </p>
+          {unconvertedCurrencies.length > 0 && (
+            <p
+              id="budgeting-unconverted-currencies"
+              data-element="unconverted-currencies"
+              style={{
+                fontSize: '12px',
+                color: '#b45309',
+                margin: '8px 0 0 0'
+              }}
+            >
+              Excludes {unconvertedCurrencies.join(', ')} spending — set an exchange rate under 💱 {money.baseCurrency}
+            </p>
+          )}
           <p style={{ 
             fontSize: '13px', 
             color: '#9ca3af',
@@ -425,6 +655,8 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
           </p>
         </div>
 
+        {budgets.length > 0 && renderBudgetSummary()}
+
         {/* Spending Groups */}
         <div style={{
           backgroundColor: '#fff',
@@ -445,13 +677,14 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
             {groupAggregates.map((group) => {
               const percentage = (group.total / totalSpending * 100).toFixed(1);
               const isExpanded = selectedGroup?.id === group.id;
+              const groupOverBudget = isOverBudget('group', group.id);
               
               return (
                 <div
                   key={group.id}
                   style={{
                     backgroundColor: '#fff',
-                    border: `1px solid ${isExpanded ? '#d1d5db' : '#e5e7eb'}`,
+                    border: `1px solid ${groupOverBudget ? BUDGET_STATUS_COLORS.over : isExpanded ? '#d1d5db' : '#e5e7eb'}`,
                     borderRadius: '8px',
                     overflow: 'hidden',
                     transition: 'all 0.2s ease'
@@ -461,11 +694,9 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                   <div
                     onClick={() => {
                       if (isExpanded) {
-                        setSelectedGroup(null);
-                        setSelectedCategory(null);
+                        onSelect({ groupId: null, categoryId: null });
                       } else {
-                        setSelectedGroup(group);
-                        setSelectedCategory(null);
+                        onSelect({ groupId: group.id, categoryId: null });
                       }
                     }}
                     style={{
@@ -507,7 +738,7 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                             fontWeight: '600',
                             color: '#dc2626'
                           }}>
-                            {formatCurrency(group.total)}
+                            {money.format(group.total)}
                           </span>
                         </div>
                         
@@ -548,6 +779,8 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                         }}>
                           {group.count} transaction{group.count !== 1 ? 's' : ''}
                         </p>
+
+                        {group.id !== 'uncategorized' && renderBudgetTarget('group', group, false)}
                       </div>
                       
                       <span style={{
@@ -574,17 +807,18 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                           .map((category) => {
                             const catPercentage = (category.total / group.total * 100).toFixed(1);
                             const isSelected = selectedCategory?.id === category.id;
+                            const categoryOverBudget = isOverBudget('category', category.id);
                             
                             return (
                               <div
                                 key={category.id}
                                 onClick={(e) => {
                                   e.stopPropagation();
-                                  setSelectedCategory(isSelected ? null : category);
+                                  onSelect({ groupId: selectedGroupId, categoryId: isSelected ? null : category.id });
                                 }}
                                 style={{
                                   backgroundColor: isSelected ? '#fff' : '#f3f4f6',
-                                  border: `1px solid ${isSelected ? '#3b82f6' : 'transparent'}`,
+                                  border: `1px solid ${isSelected ? '#3b82f6' : categoryOverBudget ? BUDGET_STATUS_COLORS.over : 'transparent'}`,
                                   borderRadius: '6px',
                                   padding: '10px 12px',
                                   cursor: 'pointer',
@@ -627,7 +861,7 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                                         color: '#dc2626',
                                         marginLeft: '8px'
                                       }}>
-                                        {formatCurrency(category.total)}
+                                        {money.format(category.total)}
                                       </span>
                                     </div>
                                     
@@ -668,6 +902,8 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                                     }}>
                                       {category.count} transaction{category.count !== 1 ? 's' : ''}
                                     </p>
+
+                                    {group.id !== 'uncategorized' && renderBudgetTarget('category', category, true)}
                                   </div>
                                 </div>
                               </div>
@@ -715,7 +951,7 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                   color: '#6b7280',
                   margin: 0
                 }}>
-                  {selectedCategory.count} transaction{selectedCategory.count !== 1 ? 's' : ''} • {formatCurrency(selectedCategory.total)}
+                  {selectedCategory.count} transaction{selectedCategory.count !== 1 ? 's' : ''} • {money.format(selectedCategory.total)}
                 </p>
               </div>
               <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
@@ -762,8 +998,14 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
                     💰 Amount
                   </button>
                 </div>
+                <ExportMenu
+                  id="budgeting-category-export"
+                  transactions={sortedCategoryTransactions}
+                  accounts={accounts}
+                  name={`${selectedCategory.name} ${dateRangeLabel}`}
+                />
                 <button
-                  onClick={() => setSelectedCategory(null)}
+                  onClick={() => onSelect({ groupId: selectedGroupId, categoryId: null })}
                   style={{
                     padding: '8px 12px',
                     fontSize: '14px',
@@ -786,137 +1028,14 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
               </div>
             </div>
 
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-              {selectedCategory.transactions
-                .sort((a, b) => {
-                  if (sortOrder === 'date') {
-                    return new Date(b.date) - new Date(a.date);
-                  } else {
-                    return Math.abs(b.amount) - Math.abs(a.amount);
-                  }
-                })
-                .map((transaction) => (
-                  <div
-                    key={transaction._id}
-                    style={{
-                      backgroundColor: '#fff',
-                      border: '1px solid #e5e7eb',
-                      borderRadius: '8px',
-                      padding: '12px 16px',
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '12px',
-                      transition: 'all 0.2s ease'
-                    }}
-                    onMouseEnter={(e) => {
-                      e.currentTarget.style.backgroundColor = '#f9fafb';
-                      e.currentTarget.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.05)';
-                    }}
-                    onMouseLeave={(e) => {
-                      e.currentTarget.style.backgroundColor = '#fff';
-                      e.currentTarget.style.boxShadow = 'none';
-                    }}
-                  >
-                    {/* Merchant Logo */}
-                    {transaction.merchant?.logo && (
-                      <img
-                        src={transaction.merchant.logo}
-                        alt={transaction.merchant.name}
-                        style={{
-                          width: '32px',
-                          height: '32px',
-                          borderRadius: '6px',
-                          objectFit: 'cover'
-                        }}
-                      />
-                    )}
-                    {!transaction.merchant?.logo && (
-                      <div style={{
-                        width: '32px',
-                        height: '32px',
-                        borderRadius: '6px',
-                        backgroundColor: '#f3f4f6',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        fontSize: '16px'
-                      }}>
-                        💳
-                      </div>
-                    )}
-
-                    {/* Transaction Details */}
-                    <div style={{ flex: 1, minWidth: 0, display: 'flex', alignItems: 'center', gap: '8px' }}>
-                      {/* Description */}
-                      <span style={{
-                        fontSize: '14px',
-                        fontWeight: '500',
-                        color: '#111',
-                        overflow: 'hidden',
-                        textOverflow: 'ellipsis',
-                        whiteSpace: 'nowrap',
-                        flex: '1 1 auto',
-                        minWidth: '100px'
-                      }}>
-                        {transaction.description}
-                      </span>
-
-                      {/* Date */}
-                      <span style={{
-                        fontSize: '12px',
-                        color: '#9ca3af',
-                        whiteSpace: 'nowrap',
-                        flex: '0 0 auto'
-                      }}>
-                        {formatDate(transaction.date)}
-                      </span>
-                    </div>
-
-                    {/* Amount */}
-                    <span style={{
-                      fontSize: '14px',
-                      fontWeight: '600',
-                      color: transaction.amount < 0 ? '#dc2626' : '#059669',
-                      whiteSpace: 'nowrap',
-                      flex: '0 0 auto'
-                    }}>
-                      {formatCurrency(transaction.amount)}
-                    </span>
-
-                    {/* Categorize Button */}
-                    <button
-                      onClick={() => setCategorizingTransaction(transaction)}
-                      disabled={categorizingInProgress === transaction._id}
-                      style={{
-                        padding: '6px 12px',
-                        fontSize: '12px',
-                        fontWeight: '500',
-                        color: '#3b82f6',
-                        backgroundColor: 'transparent',
-                        border: '1px solid #3b82f6',
-                        borderRadius: '6px',
-                        cursor: categorizingInProgress === transaction._id ? 'not-allowed' : 'pointer',
-                        whiteSpace: 'nowrap',
-                        flex: '0 0 auto',
-                        opacity: categorizingInProgress === transaction._id ? 0.5 : 1,
-                        transition: 'all 0.2s ease'
-                      }}
-                      onMouseEnter={(e) => {
-                        if (categorizingInProgress !== transaction._id) {
-                          e.currentTarget.style.backgroundColor = '#3b82f6';
-                          e.currentTarget.style.color = '#fff';
-                        }
-                      }}
-                      onMouseLeave={(e) => {
-                        e.currentTarget.style.backgroundColor = 'transparent';
-                        e.currentTarget.style.color = '#3b82f6';
-                      }}
-                    >
-                      {categorizingInProgress === transaction._id ? '...' : '📝 Categorize'}
-                    </button>
-                  </div>
-                ))}
-            </div>
+            <VirtualTransactionList
+              id="budgeting-category-transactions"
+              label={`${selectedCategory.name} transactions`}
+              transactions={sortedCategoryTransactions}
+              renderRow={renderCategoryTransactionRow}
+              groupByDate={sortOrder === 'date'}
+              onActivate={setCategorizingTransaction}
+            />
           </div>
         </div>
       )}
@@ -965,18 +1084,81 @@ const BudgetingView = ({ transactions, onTransactionUpdate }) => {
         </div>
       )}
 
+      {/* Error Toast */}
+      {toast && (
+        <div
+          id="budgeting-toast"
+          data-element="toast"
+          data-toast-type={toast.type}
+          role="alert"
+          style={{
+            position: 'fixed',
+            bottom: '24px',
+            right: '24px',
+            maxWidth: '400px',
+            padding: '12px 16px',
+            borderRadius: '8px',
+            backgroundColor: '#fee2e2',
+            border: '1px solid #fca5a5',
+            color: '#991b1b',
+            fontSize: '14px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)',
+            display: 'flex',
+            alignItems: 'flex-start',
+            gap: '12px',
+            zIndex: 1100
+          }}
+        >
+          <span style={{ flex: 1 }}>{toast.message}</span>
+          <button
+            onClick={() => setToast(null)}
+            aria-label="Dismiss"
+            style={{
+              background: 'none',
+              border: 'none',
+              color: '#991b1b',
+              fontSize: '18px',
+              lineHeight: 1,
+              cursor: 'pointer',
+              padding: 0
+            }}
+          >
+            ×
+          </button>
+        </div>
+      )}
+
       {/* Category Picker Modal */}
       <CategoryPicker
         isOpen={categorizingTransaction !== null}
         onClose={() => setCategorizingTransaction(null)}
         onSelect={handleCategorySelect}
-        merchantName={categorizingTransaction?.merchant?.name || categorizingTransaction?.description}
+        merchantName={categorizingTransaction ? getMerchantName(categorizingTransaction) : null}
+        description={categorizingTransaction?.description}
+        amount={categorizingTransaction?.amount}
         currentCategory={categorizingTransaction?.category ? {
+          id: categorizingTransaction.category._id,
           name: categorizingTransaction.category.name,
           groupName: categorizingTransaction.category.groups?.personal_finance?.name
         } : null}
         remainingCount={countUncategorizedTransactions()}
       />
+
+      {/* Per-transaction category override */}
+      <CategoryPicker
+        isOpen={categoryOverride.overridingTransaction !== null}
+        title="Categorize This Transaction Only"
+        onClose={categoryOverride.cancelOverride}
+        onSelect={categoryOverride.selectOverride}
+        merchantName={categoryOverride.overridingTransaction ? getMerchantName(categoryOverride.overridingTransaction) : null}
+        description={categoryOverride.overridingTransaction?.description}
+        amount={categoryOverride.overridingTransaction?.amount}
+        currentCategory={categoryOverride.overridingTransaction?.category ? {
+          id: categoryOverride.overridingTransaction.category._id,
+          name: categoryOverride.overridingTransaction.category.name,
+          groupName: categoryOverride.overridingTransaction.category.groups?.personal_finance?.name
+        } : null}
+      />
     </div>
   );
 };
@@ -0,0 +1,256 @@
+import { useMemo, useState } from 'react';
+import TimeSeriesChart from './TimeSeriesChart';
+import { useMoney } from '../hooks/useMoney';
+import { getAccountCurrency } from '../utils/money';
+import { getDayKey } from '../utils/dates';
+import { detectRecurringSeries } from '../utils/recurring';
+import { buildCashFlowForecast, buildExpectedEvents, FORECAST_DAYS } from '../utils/forecast';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MAX_EVENTS_PER_DAY = 3;
+
+const formatDayHeading = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { weekday: 'long', day: 'numeric', month: 'long' }).format(date);
+
+const formatMonthDay = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { day: 'numeric', month: 'short' }).format(date);
+
+const cardStyle = {
+  backgroundColor: '#fff',
+  borderRadius: '12px',
+  padding: '20px',
+  marginBottom: '20px',
+  boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)'
+};
+
+/**
+ * The next 60 days of expected debits and credits from recurring series, as
+ * a calendar, with a projected balance per account starting from today's
+ * available balance. Days where a checking account is forecast below zero
+ * are highlighted.
+ *
+ * `transactions` is the full history including transfers between our own
+ * accounts: a regular transfer out of checking still moves its balance.
+ */
+const CalendarView = ({ accounts, transactions }) => {
+  const money = useMoney();
+  const [selectedDayKey, setSelectedDayKey] = useState(null);
+
+  const series = useMemo(() => detectRecurringSeries(transactions), [transactions]);
+  const events = useMemo(() => buildExpectedEvents(series), [series]);
+  const forecast = useMemo(() => buildCashFlowForecast(accounts, events), [accounts, events]);
+
+  const eventsByDay = useMemo(() => {
+    const byDay = new Map();
+    events.forEach(event => {
+      const key = getDayKey(event.date);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(event);
+    });
+    return byDay;
+  }, [events]);
+
+  // Pad the first week back to Monday so the grid lines up
+  const leadingBlanks = (forecast.days[0].getDay() + 6) % 7;
+  const todayKey = getDayKey(forecast.days[0]);
+  const accountName = (accountId) => accounts.find(a => a._id === accountId)?.name || 'Unknown account';
+  const selectedEvents = selectedDayKey ? eventsByDay.get(selectedDayKey) || [] : [];
+  const selectedDay = forecast.days.find(day => getDayKey(day) === selectedDayKey);
+  const atRisk = forecast.projections.filter(p => p.firstNegativeDate);
+
+  const totals = events.reduce((sum, event) => {
+    const amount = money.toBase(event.amount, event.currency) ?? 0;
+    if (amount < 0) sum.out += -amount;
+    else sum.in += amount;
+    return sum;
+  }, { in: 0, out: 0 });
+
+  return (
+    <div
+      id="calendar-view"
+      data-component="calendar-view"
+      style={{ maxWidth: '1400px', margin: '0 auto', padding: '20px' }}
+    >
+      <div id="calendar-summary" data-component="calendar-summary" style={cardStyle}>
+        <div style={{ display: 'flex', gap: '32px', flexWrap: 'wrap' }}>
+          <div>
+            <p style={{ fontSize: '13px', color: '#6b7280', margin: '0 0 4px 0' }}>Expected in (next {FORECAST_DAYS} days)</p>
+            <p style={{ fontSize: '24px', fontWeight: '600', color: '#059669', margin: 0 }}>{money.format(totals.in)}</p>
+          </div>
+          <div>
+            <p style={{ fontSize: '13px', color: '#6b7280', margin: '0 0 4px 0' }}>Expected out</p>
+            <p style={{ fontSize: '24px', fontWeight: '600', color: '#dc2626', margin: 0 }}>{money.format(totals.out)}</p>
+          </div>
+          <div>
+            <p style={{ fontSize: '13px', color: '#6b7280', margin: '0 0 4px 0' }}>Bills and payments</p>
+            <p style={{ fontSize: '24px', fontWeight: '600', color: '#111', margin: 0 }}>{events.length}</p>
+          </div>
+        </div>
+        {atRisk.length > 0 && (
+          <div
+            data-element="calendar-overdraft-warning"
+            style={{
+              marginTop: '16px',
+              padding: '10px 12px',
+              backgroundColor: '#fef2f2',
+              border: '1px solid #fecaca',
+              borderRadius: '6px',
+              fontSize: '13px',
+              color: '#991b1b'
+            }}
+          >
+            {atRisk.map(p => (
+              <p key={p.account._id} style={{ margin: 0 }}>
+                ⚠️ {p.account.name} is forecast to go below zero on {formatMonthDay(p.firstNegativeDate)}
+                {' '}(lowest {money.format(p.lowestBalance, getAccountCurrency(p.account))})
+              </p>
+            ))}
+          </div>
+        )}
+        <p style={{ fontSize: '11px', color: '#9ca3af', margin: '12px 0 0 0' }}>
+          Based on recurring payments found in your history at their usual amounts. One-off spending isn't included.
+        </p>
+      </div>
+
+      <div id="calendar-grid" data-component="calendar-grid" style={cardStyle}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', gap: '4px' }}>
+          {WEEKDAYS.map(day => (
+            <div key={day} style={{ fontSize: '11px', fontWeight: '600', color: '#9ca3af', textAlign: 'center', padding: '4px 0' }}>
+              {day}
+            </div>
+          ))}
+          {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+          {forecast.days.map(day => {
+            const key = getDayKey(day);
+            const dayEvents = eventsByDay.get(key) || [];
+            const isNegative = forecast.negativeDays.has(key);
+            const isSelected = key === selectedDayKey;
+            return (
+              <button
+                key={key}
+                data-element="calendar-day"
+                data-date={key}
+                data-negative={isNegative}
+                onClick={() => setSelectedDayKey(isSelected ? null : key)}
+                style={{
+                  minHeight: '84px',
+                  padding: '6px',
+                  textAlign: 'left',
+                  verticalAlign: 'top',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '2px',
+                  backgroundColor: isNegative ? '#fef2f2' : key === todayKey ? '#eff6ff' : '#f9fafb',
+                  border: `1px solid ${isSelected ? '#3b82f6' : isNegative ? '#fecaca' : '#f3f4f6'}`,
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontFamily: 'inherit',
+                  overflow: 'hidden'
+                }}
+              >
+                <span style={{ fontSize: '12px', fontWeight: '600', color: isNegative ? '#991b1b' : '#4b5563' }}>
+                  {day.getDate() === 1 || key === todayKey ? formatMonthDay(day) : day.getDate()}
+                </span>
+                {dayEvents.slice(0, MAX_EVENTS_PER_DAY).map(event => (
+                  <span
+                    key={event.id}
+                    title={`${event.name} ${money.format(event.amount, event.currency)}`}
+                    style={{
+                      fontSize: '11px',
+                      color: event.amount < 0 ? '#b91c1c' : '#047857',
+                      whiteSpace: 'nowrap',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis'
+                    }}
+                  >
+                    {event.isOverdue && '⏰ '}{event.name}
+                  </span>
+                ))}
+                {dayEvents.length > MAX_EVENTS_PER_DAY && (
+                  <span style={{ fontSize: '11px', color: '#9ca3af' }}>+{dayEvents.length - MAX_EVENTS_PER_DAY} more</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+
+        {selectedDay && (
+          <div data-element="calendar-day-details" style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #f3f4f6' }}>
+            <h3 style={{ fontSize: '15px', fontWeight: '600', color: '#111', margin: '0 0 8px 0' }}>
+              {formatDayHeading(selectedDay)}
+            </h3>
+            {selectedEvents.length === 0 ? (
+              <p style={{ fontSize: '13px', color: '#9ca3af', margin: 0 }}>Nothing expected.</p>
+            ) : (
+              selectedEvents.map(event => (
+                <div
+                  key={event.id}
+                  data-element="calendar-event"
+                  style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', fontSize: '13px', padding: '4px 0' }}
+                >
+                  <span style={{ color: '#111' }}>
+                    {event.name}
+                    <span style={{ color: '#9ca3af' }}>
+                      {' · '}{accountName(event.accountId)} · {event.cadence.label.toLowerCase()}
+                      {event.isOverdue && ` · due ${formatMonthDay(event.expectedDate)}, not seen yet`}
+                    </span>
+                  </span>
+                  <strong style={{ color: event.amount < 0 ? '#dc2626' : '#059669', whiteSpace: 'nowrap' }}>
+                    {money.format(event.amount, event.currency)}
+                  </strong>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      <div id="calendar-forecast" data-component="calendar-forecast" style={cardStyle}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', color: '#111', margin: '0 0 16px 0' }}>
+          Projected Balances
+        </h2>
+        {forecast.projections.length === 0 && (
+          <p style={{ fontSize: '13px', color: '#9ca3af', margin: 0 }}>No accounts have expected payments.</p>
+        )}
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+          {forecast.projections.map(projection => {
+            const currency = getAccountCurrency(projection.account);
+            return (
+              <div
+                key={projection.account._id}
+                data-element="account-forecast"
+                data-account-id={projection.account._id}
+                data-goes-negative={Boolean(projection.firstNegativeDate)}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '12px', marginBottom: '4px', flexWrap: 'wrap' }}>
+                  <span style={{ fontSize: '14px', fontWeight: '600', color: '#111' }}>{projection.account.name}</span>
+                  <span style={{ fontSize: '12px', color: '#6b7280' }}>
+                    {money.format(projection.startingBalance, currency)} available now → {money.format(projection.endBalance, currency)}
+                    {' · '}lowest <strong style={{ color: projection.lowestBalance < 0 ? '#dc2626' : '#111' }}>
+                      {money.format(projection.lowestBalance, currency)}
+                    </strong>
+                  </span>
+                </div>
+                <TimeSeriesChart
+                  id={`account-forecast-${projection.account._id}`}
+                  label={`${projection.account.name} projected balance`}
+                  days={forecast.days}
+                  line={{
+                    label: 'Projected',
+                    color: projection.firstNegativeDate ? '#dc2626' : '#3b82f6',
+                    values: projection.values,
+                  }}
+                  height={160}
+                  formatValue={(value) => money.format(value, currency)}
+                  formatAxisValue={(value) => money.formatCompact(value, currency)}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -0,0 +1,54 @@
+/**
+ * Marker for a transaction whose category was overridden individually,
+ * with a button to revert it to the merchant's category.
+ */
+const CategoryOverrideBadge = ({ transaction, onRevert, disabled }) => {
+  const merchantCategoryName = transaction.merchantCategory?.name || 'uncategorized';
+
+  return (
+    <span
+      data-element="category-override-badge"
+      data-transaction-id={transaction._id}
+      title={`Overridden for this transaction only. Merchant default: ${merchantCategoryName}`}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '4px',
+        padding: '2px 4px 2px 8px',
+        fontSize: '11px',
+        fontWeight: '500',
+        color: '#92400e',
+        backgroundColor: '#fef3c7',
+        borderRadius: '9999px',
+        flexShrink: 0,
+        whiteSpace: 'nowrap'
+      }}
+    >
+      Overridden
+      <button
+        data-element="category-override-revert"
+        onClick={(e) => {
+          e.stopPropagation();
+          onRevert(transaction);
+        }}
+        disabled={disabled}
+        title={`Revert to ${merchantCategoryName}`}
+        style={{
+          padding: '0 4px',
+          fontSize: '12px',
+          lineHeight: '16px',
+          color: '#92400e',
+          backgroundColor: 'transparent',
+          border: 'none',
+          borderRadius: '9999px',
+          cursor: disabled ? 'not-allowed' : 'pointer',
+          opacity: disabled ? 0.5 : 1
+        }}
+      >
+        ↺
+      </button>
+    </span>
+  );
+};
+
+export default CategoryOverrideBadge;
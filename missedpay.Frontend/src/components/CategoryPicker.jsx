@@ -1,119 +1,200 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { categorizationApi } from '../services/api';
+import { useCategories, useCategorySuggestions } from '../hooks/queries';
 import './CategoryPicker.css';
 
+const toPickerItem = ({ categoryId, categoryName, groupId, groupName }, extra) => ({
+  id: categoryId,
+  name: categoryName,
+  groupId,
+  groupName,
+  display: `${categoryName} - ${groupName}`,
+  ...extra,
+});
+
 /**
  * CategoryPicker component for selecting transaction categories
  * Features:
+ * - "Suggested" section with ranked AI/hybrid suggestions and their confidence
  * - Single-depth flat list with "Category - Group" pairs
- * - Keyboard shortcuts (1-9 for quick selection)
+ * - Keyboard shortcuts (1-9 for quick selection, suggestions first)
  * - ESC to close
  * - Shows merchant name being categorized
  * - Auto-advances to next uncategorized transaction
+ *
+ * onSelect receives the category and `{ method }`: 'Hybrid' or 'AI' when a
+ * suggestion is accepted, otherwise 'Manual'.
  */
-const CategoryPicker = ({ isOpen, onClose, onSelect, merchantName, currentCategory, remainingCount }) => {
-  const [categories, setCategories] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+const CategoryPicker = ({ isOpen, title = 'Categorize Transaction', onClose, onSelect, merchantName, description, amount, currentCategory, remainingCount }) => {
+  // Categories are cached for the session, so reopening the picker doesn't refetch them
+  const categoriesQuery = useCategories({ enabled: isOpen });
+  const suggestionsQuery = useCategorySuggestions(merchantName, { description, amount, enabled: isOpen });
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedIndex, setSelectedIndex] = useState(null);
+  const [aiResult, setAiResult] = useState(null);
+  const [aiStatus, setAiStatus] = useState(null); // null | 'loading' | error message
+
+  const loading = categoriesQuery.isLoading;
+  const error = categoriesQuery.error && !categoriesQuery.data
+    ? `${categoriesQuery.error.message}. Please try again.`
+    : null;
+
+  const categories = useMemo(() => {
+    if (!categoriesQuery.data) return [];
+
+    // Flatten grouped categories to single-depth list
+    const flatList = [];
+    Object.entries(categoriesQuery.data).forEach(([groupName, cats]) => {
+      cats.forEach(cat => {
+        flatList.push({
+          id: cat._id,  // API returns _id, not id
+          name: cat.name,
+          groupId: cat.groups?.personal_finance?._id,
+          groupName: groupName,
+          display: `${cat.name} - ${groupName}`,
+        });
+      });
+    });
+
+    // Sort alphabetically by display name
+    flatList.sort((a, b) => a.display.localeCompare(b.display));
+    return flatList;
+  }, [categoriesQuery.data]);
+
+  // AI result first, then the hybrid suggestions ranked by score
+  const suggestions = useMemo(() => {
+    const items = [];
+    if (aiResult) {
+      items.push(toPickerItem(aiResult, {
+        confidence: aiResult.confidence,
+        reason: 'AI categorization',
+        method: 'AI',
+      }));
+    }
+    (suggestionsQuery.data || [])
+      .filter(suggestion => suggestion.categoryId !== aiResult?.categoryId)
+      .sort((a, b) => b.score - a.score)
+      .forEach(suggestion => {
+        items.push(toPickerItem(suggestion, {
+          confidence: suggestion.score,
+          reason: suggestion.reason,
+          method: 'Hybrid',
+        }));
+      });
+    return items;
+  }, [aiResult, suggestionsQuery.data]);
+
+  const filteredCategories = useMemo(() => {
+    if (!searchTerm) return categories;
+
+    const term = searchTerm.toLowerCase();
+    return categories.filter(cat =>
+      cat.display.toLowerCase().includes(term)
+    );
+  }, [categories, searchTerm]);
+
+  // Suggestions are hidden while searching; shortcut numbers run across both lists
+  const visibleSuggestions = useMemo(() => (searchTerm ? [] : suggestions), [searchTerm, suggestions]);
+  const selectableItems = useMemo(
+    () => [...visibleSuggestions, ...filteredCategories],
+    [visibleSuggestions, filteredCategories]
+  );
 
   useEffect(() => {
     if (isOpen) {
-      setLoading(true);
-      setError(null);
       setSearchTerm('');
       setSelectedIndex(null);
-      
-      categorizationApi.getAllCategories()
-        .then(data => {
-          // Flatten grouped categories to single-depth list
-          const flatList = [];
-          Object.entries(data).forEach(([groupName, cats]) => {
-            cats.forEach(cat => {
-              flatList.push({
-                id: cat._id,  // API returns _id, not id
-                name: cat.name,
-                groupName: groupName,
-                display: `${cat.name} - ${groupName}`,
-              });
-            });
-          });
-          
-          // Sort alphabetically by display name
-          flatList.sort((a, b) => a.display.localeCompare(b.display));
-          
-          setCategories(flatList);
-          setLoading(false);
-        })
-        .catch(err => {
-          console.error('Failed to load categories:', err);
-          setError('Failed to load categories. Please try again.');
-          setLoading(false);
-        });
+      setAiResult(null);
+      setAiStatus(null);
     }
-  }, [isOpen]);
+  }, [isOpen, merchantName]);
 
   useEffect(() => {
     const handleKeyPress = (e) => {
       if (!isOpen) return;
-      
+
       // ESC to close
       if (e.key === 'Escape') {
         onClose();
         return;
       }
-      
+
       // Number keys 1-9 for quick selection
       const num = parseInt(e.key);
       if (num >= 1 && num <= 9) {
         // Prevent the number from being typed in the search field
         e.preventDefault();
-        
-        const filteredCategories = getFilteredCategories();
-        if (filteredCategories[num - 1]) {
+
+        const item = selectableItems[num - 1];
+        if (item) {
           // Show visual feedback
           setSelectedIndex(num - 1);
-          
+
           // Brief delay to show selection, then trigger onSelect
           setTimeout(() => {
-            onSelect(filteredCategories[num - 1]);
+            onSelect(item, { method: item.method || 'Manual' });
             setSelectedIndex(null);
           }, 150);
         }
       }
     };
-    
+
     if (isOpen) {
       // Use keydown instead of keypress to catch the event before it reaches the input
       window.addEventListener('keydown', handleKeyPress);
       return () => window.removeEventListener('keydown', handleKeyPress);
     }
-  }, [isOpen, categories, searchTerm, onClose, onSelect]);
+  }, [isOpen, selectableItems, onClose, onSelect]);
 
-  const getFilteredCategories = () => {
-    if (!searchTerm) return categories;
-    
-    const term = searchTerm.toLowerCase();
-    return categories.filter(cat => 
-      cat.display.toLowerCase().includes(term)
-    );
+  const handleAskAi = async () => {
+    setAiStatus('loading');
+    try {
+      const result = await categorizationApi.categorize(merchantName, { description, amount });
+      setAiResult(result);
+      setAiStatus(null);
+    } catch (err) {
+      console.error('AI categorization failed:', err);
+      setAiStatus(err.message);
+    }
   };
 
   if (!isOpen) return null;
 
-  const filteredCategories = getFilteredCategories();
+  const renderItem = (category, index, className = '') => (
+    <li
+      key={`${className}-${category.id}`}
+      className={`category-item ${className} ${currentCategory?.id === category.id ? 'current' : ''} ${selectedIndex === index ? 'selecting' : ''}`}
+      onClick={() => onSelect(category, { method: category.method || 'Manual' })}
+      data-category-id={category.id}
+      data-method={category.method || 'Manual'}
+    >
+      {index < 9 && (
+        <span className="keyboard-shortcut">{index + 1}</span>
+      )}
+      <span className="category-display">
+        {category.display}
+        {category.reason && (
+          <span className="suggestion-reason">{category.reason}</span>
+        )}
+      </span>
+      {category.confidence !== undefined && (
+        <span className="confidence-badge" title="Confidence">
+          {Math.round(category.confidence * 100)}%
+        </span>
+      )}
+    </li>
+  );
 
   return (
     <div className="category-picker-overlay" onClick={onClose}>
       <div className="category-picker-modal" onClick={(e) => e.stopPropagation()}>
         <div className="category-picker-header">
           <div>
-            <h3>Categorize Transaction</h3>
+            <h3>{title}</h3>
             {remainingCount > 0 && (
-              <p style={{ 
-                margin: '4px 0 0 0', 
-                fontSize: '13px', 
+              <p style={{
+                margin: '4px 0 0 0',
+                fontSize: '13px',
                 color: '#6b7280',
                 fontWeight: 'normal'
               }}>
@@ -125,19 +206,19 @@ const CategoryPicker = ({ isOpen, onClose, onSelect, merchantName, currentCatego
             ×
           </button>
         </div>
-        
+
         {merchantName && (
           <div className="merchant-info">
             <strong>Merchant:</strong> {merchantName}
           </div>
         )}
-        
+
         {currentCategory && (
           <div className="current-category">
             <strong>Current:</strong> {currentCategory.name} - {currentCategory.groupName}
           </div>
         )}
-        
+
         <div className="search-box">
           <input
             type="text"
@@ -149,45 +230,67 @@ const CategoryPicker = ({ isOpen, onClose, onSelect, merchantName, currentCatego
         </div>
 
         <div className="category-list-container">
+          {!searchTerm && merchantName && (
+            <div className="suggested-section" data-element="suggested-section">
+              <div className="suggested-header">
+                <span>Suggested</span>
+                {suggestionsQuery.isFetching && <span className="suggested-status">Loading…</span>}
+                {!aiResult && (
+                  <button
+                    className="ask-ai-button"
+                    onClick={handleAskAi}
+                    disabled={aiStatus === 'loading'}
+                  >
+                    {aiStatus === 'loading' ? 'Asking AI…' : '✨ Ask AI'}
+                  </button>
+                )}
+              </div>
+              {aiStatus && aiStatus !== 'loading' && (
+                <p className="suggested-status suggested-error">{aiStatus}</p>
+              )}
+              {suggestionsQuery.error && (
+                <p className="suggested-status suggested-error">{suggestionsQuery.error.message}</p>
+              )}
+              {visibleSuggestions.length > 0 && (
+                <ul className="category-list">
+                  {visibleSuggestions.map((category, index) => renderItem(category, index, 'suggested'))}
+                </ul>
+              )}
+              {visibleSuggestions.length === 0 && !suggestionsQuery.isFetching && !suggestionsQuery.error && (
+                <p className="suggested-status">No suggestions for this merchant</p>
+              )}
+            </div>
+          )}
+
           {loading && (
             <div className="loading-state">
               <div className="spinner"></div>
               <p>Loading categories...</p>
             </div>
           )}
-          
+
           {error && (
             <div className="error-state">
               <p>{error}</p>
-              <button onClick={() => window.location.reload()}>Reload</button>
+              <button onClick={() => categoriesQuery.refetch().catch(() => {})}>Retry</button>
             </div>
           )}
-          
+
           {!loading && !error && filteredCategories.length === 0 && (
             <div className="empty-state">
               <p>No categories found matching "{searchTerm}"</p>
             </div>
           )}
-          
+
           {!loading && !error && filteredCategories.length > 0 && (
             <ul className="category-list">
-              {filteredCategories.map((category, index) => (
-                <li
-                  key={category.id}
-                  className={`category-item ${currentCategory?.id === category.id ? 'current' : ''} ${selectedIndex === index ? 'selecting' : ''}`}
-                  onClick={() => onSelect(category)}
-                  data-category-id={category.id}
-                >
-                  {index < 9 && (
-                    <span className="keyboard-shortcut">{index + 1}</span>
-                  )}
-                  <span className="category-display">{category.display}</span>
-                </li>
-              ))}
+              {filteredCategories.map((category, index) =>
+                renderItem(category, visibleSuggestions.length + index)
+              )}
             </ul>
           )}
         </div>
-        
+
         <div className="category-picker-footer">
           <small>
             Use number keys 1-9 for quick selection • ESC to close
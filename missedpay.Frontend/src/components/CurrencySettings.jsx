@@ -0,0 +1,246 @@
+import { useState } from 'react';
+import { currencySettingsStore } from '../services/currencySettings';
+import { useCurrencySettings } from '../hooks/useMoney';
+import { LOCALE_OPTIONS } from '../utils/money';
+
+/**
+ * Navigation bar popover for the display locale, base currency and the
+ * exchange rates used to total accounts held in other currencies.
+ * `currencies` are the account currencies in use, listed even before a rate is set.
+ */
+const CurrencySettings = ({ currencies = [] }) => {
+  const settings = useCurrencySettings();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newCurrency, setNewCurrency] = useState('');
+  const [newRate, setNewRate] = useState('');
+  const [error, setError] = useState(null);
+
+  const { baseCurrency, locale, rates } = settings;
+  const listedCurrencies = [...new Set([...currencies, ...Object.keys(rates)])]
+    .filter(currency => currency !== baseCurrency)
+    .sort();
+  const missingCount = listedCurrencies.filter(currency => !rates[currency]).length;
+
+  const runUpdate = (update) => {
+    try {
+      update();
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleRateChange = (currency, value) => {
+    if (value === '') {
+      currencySettingsStore.removeRate(currency);
+      return;
+    }
+    runUpdate(() => currencySettingsStore.setRate(currency, value));
+  };
+
+  const handleAddRate = (e) => {
+    e.preventDefault();
+    if (runUpdate(() => currencySettingsStore.setRate(newCurrency, newRate))) {
+      setNewCurrency('');
+      setNewRate('');
+    }
+  };
+
+  const handleBaseCurrencyChange = (currency) => {
+    runUpdate(() => currencySettingsStore.setBaseCurrency(currency));
+  };
+
+  const inputStyle = {
+    padding: '6px 8px',
+    fontSize: '13px',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    boxSizing: 'border-box'
+  };
+
+  const labelStyle = {
+    display: 'block',
+    fontSize: '12px',
+    fontWeight: '500',
+    color: '#6b7280',
+    marginBottom: '4px'
+  };
+
+  return (
+    <div
+      id="currency-settings"
+      data-component="currency-settings"
+      data-base-currency={baseCurrency}
+      style={{ position: 'relative' }}
+    >
+      <button
+        id="currency-settings-button"
+        data-element="currency-settings-button"
+        onClick={() => setIsOpen(!isOpen)}
+        title={missingCount > 0
+          ? `Currency settings (${missingCount} currenc${missingCount === 1 ? 'y' : 'ies'} without a rate)`
+          : 'Currency settings'}
+        style={{
+          padding: '0 8px',
+          height: '32px',
+          fontSize: '13px',
+          fontWeight: '500',
+          backgroundColor: isOpen ? '#f3f4f6' : 'transparent',
+          color: missingCount > 0 ? '#b45309' : '#6b7280',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer'
+        }}
+      >
+        💱 {baseCurrency}
+      </button>
+
+      {isOpen && (
+        <div
+          id="currency-settings-panel"
+          data-element="currency-settings-panel"
+          style={{
+            position: 'absolute',
+            top: '44px',
+            right: 0,
+            width: '320px',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)',
+            padding: '16px',
+            zIndex: 20
+          }}
+        >
+          <h3 style={{ fontSize: '14px', fontWeight: '600', color: '#111', margin: '0 0 12px 0' }}>
+            Currency
+          </h3>
+
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+            <label style={{ flex: 1 }}>
+              <span style={labelStyle}>Base currency</span>
+              <select
+                id="currency-base-select"
+                data-element="currency-base-select"
+                value={baseCurrency}
+                onChange={(e) => handleBaseCurrencyChange(e.target.value)}
+                style={{ ...inputStyle, width: '100%', cursor: 'pointer' }}
+              >
+                {[baseCurrency, ...listedCurrencies].map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ flex: 2 }}>
+              <span style={labelStyle}>Number format</span>
+              <select
+                id="currency-locale-select"
+                data-element="currency-locale-select"
+                value={locale}
+                onChange={(e) => currencySettingsStore.setLocale(e.target.value)}
+                style={{ ...inputStyle, width: '100%', cursor: 'pointer' }}
+              >
+                {LOCALE_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <span style={labelStyle}>Exchange rates (1 unit = ? {baseCurrency})</span>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' }}>
+            {listedCurrencies.length === 0 && (
+              <p style={{ fontSize: '12px', color: '#9ca3af', margin: 0 }}>
+                All accounts are in {baseCurrency}
+              </p>
+            )}
+            {listedCurrencies.map(currency => (
+              <div
+                key={currency}
+                data-element="currency-rate-row"
+                data-currency={currency}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                <span style={{ width: '48px', fontSize: '13px', fontWeight: '500', color: '#111' }}>
+                  {currency}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="No rate"
+                  aria-label={`${currency} to ${baseCurrency} rate`}
+                  // Keyed by value so a rebased rate replaces what was typed
+                  key={`${currency}-${rates[currency] ?? ''}`}
+                  defaultValue={rates[currency] ?? ''}
+                  onBlur={(e) => handleRateChange(currency, e.target.value)}
+                  style={{
+                    ...inputStyle,
+                    flex: 1,
+                    borderColor: rates[currency] ? '#e5e7eb' : '#fcd34d'
+                  }}
+                />
+              </div>
+            ))}
+          </div>
+
+          <form
+            id="currency-rate-add-form"
+            onSubmit={handleAddRate}
+            style={{
+              display: 'flex',
+              gap: '8px',
+              paddingTop: '12px',
+              borderTop: '1px solid #e5e7eb'
+            }}
+          >
+            <input
+              type="text"
+              placeholder="USD"
+              maxLength={3}
+              aria-label="Currency code"
+              value={newCurrency}
+              onChange={(e) => setNewCurrency(e.target.value.toUpperCase())}
+              style={{ ...inputStyle, width: '64px' }}
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Rate"
+              aria-label="Rate"
+              value={newRate}
+              onChange={(e) => setNewRate(e.target.value)}
+              style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+            />
+            <button
+              type="submit"
+              disabled={!newCurrency.trim() || !newRate}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                fontWeight: '500',
+                backgroundColor: '#111',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: newCurrency.trim() && newRate ? 'pointer' : 'not-allowed',
+                opacity: newCurrency.trim() && newRate ? 1 : 0.5
+              }}
+            >
+              Add
+            </button>
+          </form>
+
+          {error && (
+            <p style={{ fontSize: '12px', color: '#dc2626', margin: '8px 0 0 0' }}>{error}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,82 @@
+import { DATE_RANGE_PRESETS, resolveDateRange } from '../utils/dateRange';
+import { toDateInputValue } from '../utils/dates';
+
+/**
+ * Date range picker shared by the accounts summary, account cards, transaction
+ * list and budgeting view. Shows start/end inputs for the custom range.
+ */
+const DateRangeSelector = ({ value, onChange }) => {
+  const handlePresetChange = (preset) => {
+    if (preset === 'custom') {
+      // Start the custom range from whatever was showing before
+      const { start, end } = resolveDateRange(value);
+      onChange({
+        preset,
+        start: start ? toDateInputValue(start) : '',
+        end: toDateInputValue(end || new Date()),
+      });
+    } else {
+      onChange({ preset });
+    }
+  };
+
+  const controlStyle = {
+    padding: '8px 12px',
+    fontSize: '14px',
+    color: '#111',
+    backgroundColor: '#fff',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px'
+  };
+
+  return (
+    <div
+      id="date-range-selector"
+      data-component="date-range-selector"
+      data-preset={value.preset}
+      style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}
+    >
+      <select
+        id="date-range-preset"
+        data-element="date-range-preset"
+        value={value.preset}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        style={{ ...controlStyle, cursor: 'pointer' }}
+      >
+        {DATE_RANGE_PRESETS.map((preset) => (
+          <option key={preset.id} value={preset.id}>
+            {preset.label}
+          </option>
+        ))}
+      </select>
+
+      {value.preset === 'custom' && (
+        <>
+          <input
+            type="date"
+            id="date-range-start"
+            data-element="date-range-start"
+            aria-label="Start date"
+            value={value.start || ''}
+            max={value.end || undefined}
+            onChange={(e) => onChange({ ...value, start: e.target.value })}
+            style={controlStyle}
+          />
+          <span style={{ fontSize: '14px', color: '#6b7280' }}>to</span>
+          <input
+            type="date"
+            id="date-range-end"
+            data-element="date-range-end"
+            aria-label="End date"
+            value={value.end || ''}
+            min={value.start || undefined}
+            onChange={(e) => onChange({ ...value, end: e.target.value })}
+            style={controlStyle}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DateRangeSelector;
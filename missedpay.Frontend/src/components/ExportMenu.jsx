@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { usePreferences } from '../hooks/usePreferences';
+import { preferencesStore } from '../services/preferences';
+import {
+  buildExport,
+  DEFAULT_EXPORT_COLUMNS,
+  downloadFile,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  QIF_DATE_FORMATS,
+} from '../utils/export';
+
+const optionStyle = (isSelected) => ({
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: '500',
+  backgroundColor: isSelected ? '#fff' : 'transparent',
+  color: isSelected ? '#111' : '#6b7280',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  boxShadow: isSelected ? '0 1px 2px rgba(0, 0, 0, 0.05)' : 'none'
+});
+
+/**
+ * Export button that downloads `transactions` (what the list is currently
+ * showing) as CSV, OFX or QIF. Format, CSV columns and the QIF date order are
+ * remembered between exports. `name` goes in the file name.
+ */
+const ExportMenu = ({ id, transactions, accounts = [], name }) => {
+  const preferences = usePreferences();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const format = preferences.exportFormat;
+  const columnIds = preferences.exportColumns || DEFAULT_EXPORT_COLUMNS;
+
+  const toggleColumn = (columnId) => {
+    const next = columnIds.includes(columnId)
+      ? columnIds.filter(c => c !== columnId)
+      : EXPORT_COLUMNS.map(c => c.id).filter(c => c === columnId || columnIds.includes(c));
+    preferencesStore.setPreference('exportColumns', next);
+  };
+
+  const handleExport = () => {
+    const file = buildExport(format, transactions, {
+      name,
+      accounts,
+      columnIds,
+      qifDateFormat: preferences.qifDateFormat,
+    });
+    downloadFile(file.filename, file.content, file.mimeType);
+    setIsOpen(false);
+  };
+
+  const canExport = transactions.length > 0 && (format !== 'csv' || columnIds.length > 0);
+
+  return (
+    <div id={id} data-component="export-menu" style={{ position: 'relative' }}>
+      <button
+        data-element="export-menu-button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={transactions.length === 0}
+        title={transactions.length === 0 ? 'Nothing to export' : 'Export these transactions'}
+        style={{
+          padding: '8px 12px',
+          fontSize: '14px',
+          backgroundColor: isOpen ? '#f3f4f6' : 'transparent',
+          color: transactions.length === 0 ? '#9ca3af' : '#374151',
+          border: '1px solid #e5e7eb',
+          borderRadius: '6px',
+          cursor: transactions.length === 0 ? 'default' : 'pointer'
+        }}
+      >
+        ⬇️ Export
+      </button>
+
+      {isOpen && (
+        <div
+          data-element="export-menu-panel"
+          style={{
+            position: 'absolute',
+            top: '42px',
+            right: 0,
+            width: '320px',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)',
+            padding: '16px',
+            zIndex: 20
+          }}
+        >
+          <div style={{
+            display: 'inline-flex',
+            gap: '4px',
+            padding: '4px',
+            marginBottom: '12px',
+            backgroundColor: '#f3f4f6',
+            borderRadius: '6px'
+          }}>
+            {EXPORT_FORMATS.map(option => (
+              <button
+                key={option.id}
+                data-element="export-format"
+                data-format={option.id}
+                onClick={() => preferencesStore.setPreference('exportFormat', option.id)}
+                style={optionStyle(format === option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {format === 'csv' && (
+            <fieldset data-element="export-columns" style={{ border: 'none', padding: 0, margin: '0 0 12px 0' }}>
+              <legend style={{ fontSize: '12px', fontWeight: '600', color: '#6b7280', marginBottom: '6px' }}>Columns</legend>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 12px' }}>
+                {EXPORT_COLUMNS.map(column => (
+                  <label key={column.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#374151', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      data-element="export-column"
+                      data-column={column.id}
+                      checked={columnIds.includes(column.id)}
+                      onChange={() => toggleColumn(column.id)}
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+              {preferences.exportColumns && (
+                <button
+                  data-element="export-columns-reset"
+                  onClick={() => preferencesStore.setPreference('exportColumns', null)}
+                  style={{ marginTop: '6px', padding: 0, fontSize: '12px', color: '#3b82f6', backgroundColor: 'transparent', border: 'none', cursor: 'pointer' }}
+                >
+                  Reset columns
+                </button>
+              )}
+            </fieldset>
+          )}
+
+          {format === 'qif' && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#374151', marginBottom: '12px' }}>
+              Date format
+              <select
+                data-element="export-qif-date-format"
+                value={preferences.qifDateFormat}
+                onChange={(e) => preferencesStore.setPreference('qifDateFormat', e.target.value)}
+                style={{ padding: '4px 8px', fontSize: '13px', border: '1px solid #e5e7eb', borderRadius: '4px' }}
+              >
+                {QIF_DATE_FORMATS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {format === 'ofx' && (
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '0 0 12px 0' }}>
+              OFX 1.02 with one statement per account, for accounting software.
+            </p>
+          )}
+
+          <button
+            data-element="export-download"
+            onClick={handleExport}
+            disabled={!canExport}
+            style={{
+              width: '100%',
+              padding: '8px 12px',
+              fontSize: '14px',
+              fontWeight: '500',
+              color: '#fff',
+              backgroundColor: canExport ? '#3b82f6' : '#93c5fd',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: canExport ? 'pointer' : 'default'
+            }}
+          >
+            Export {transactions.length} transaction{transactions.length !== 1 ? 's' : ''}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,560 @@
+import { useEffect, useMemo, useState } from 'react';
+import StatementCsvMapping from './StatementCsvMapping';
+import { useMoney } from '../hooks/useMoney';
+import { useStatementImport } from '../hooks/useStatementImport';
+import { findProfileForHeaders } from '../services/importProfiles';
+import { formatDate } from '../utils/dates';
+import { normalizeAccountNumber } from '../utils/transfers';
+import {
+  buildImportedAccount,
+  buildImportedTransaction,
+  DATE_FORMATS,
+  detectDelimiter,
+  detectFormat,
+  findDuplicates,
+  getStatementBalance,
+  guessCsvMapping,
+  guessDateFormat,
+  IMPORT_ACCOUNT_TYPES,
+  mapCsvRows,
+  parseCsv,
+  parseOfx,
+  parseQif,
+} from '../utils/statementImport';
+
+const NEW_ACCOUNT = 'new';
+
+const DUPLICATE_LABELS = {
+  exact: { label: 'Already imported', color: '#6b7280', background: '#f3f4f6' },
+  possible: { label: 'Possible duplicate', color: '#92400e', background: '#fef3c7' },
+};
+
+const buttonStyle = (primary, disabled) => ({
+  padding: '8px 16px',
+  fontSize: '14px',
+  fontWeight: '500',
+  color: primary ? '#fff' : '#374151',
+  backgroundColor: primary ? (disabled ? '#93c5fd' : '#3b82f6') : '#fff',
+  border: primary ? 'none' : '1px solid #e5e7eb',
+  borderRadius: '6px',
+  cursor: disabled ? 'default' : 'pointer'
+});
+
+const inputStyle = {
+  padding: '6px 8px',
+  fontSize: '13px',
+  color: '#111',
+  border: '1px solid #e5e7eb',
+  borderRadius: '4px',
+  backgroundColor: '#fff'
+};
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', fontWeight: '500', color: '#6b7280' };
+
+// Starting CSV settings for a file: its bank's saved profile, or a guess from the header row
+const initialCsvSettings = (rows, delimiter) => {
+  const profile = findProfileForHeaders(rows[0] || []);
+  if (profile) return profile;
+  return {
+    delimiter,
+    hasHeader: true,
+    skipRows: 0,
+    dateFormat: guessDateFormat(rows.slice(1, 50).map(row => row[0])),
+    invertAmounts: false,
+    mapping: guessCsvMapping(rows[0] || []),
+  };
+};
+
+/**
+ * Imports a bank statement file (CSV, OFX or QIF) for accounts that aren't
+ * connected through Akahu. Files are parsed in the browser; rows already in
+ * the account are flagged and left out, and the rest are posted to the API.
+ *
+ * Steps: choose a file → map CSV columns → review → result.
+ */
+const ImportWizard = ({ isOpen, onClose, accounts, transactions }) => {
+  const money = useMoney();
+  const { importStatement, progress, isImporting } = useStatementImport();
+
+  const [step, setStep] = useState('file'); // 'file' | 'mapping' | 'review' | 'done'
+  const [file, setFile] = useState(null); // { name, text, format }
+  const [fileError, setFileError] = useState(null);
+  const [csvSettings, setCsvSettings] = useState(null);
+  const [qifDateFormat, setQifDateFormat] = useState('dmy');
+  const [statementIndex, setStatementIndex] = useState(0);
+  const [accountId, setAccountId] = useState(NEW_ACCOUNT);
+  const [newAccount, setNewAccount] = useState(null); // { id, name, type, currency, accountNumber }
+  const [toggledIds, setToggledIds] = useState(() => new Set());
+  const [importError, setImportError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const reset = () => {
+    setStep('file');
+    setFile(null);
+    setFileError(null);
+    setCsvSettings(null);
+    setStatementIndex(0);
+    setToggledIds(new Set());
+    setImportError(null);
+    setResult(null);
+  };
+
+  const close = () => {
+    if (isImporting) return;
+    reset();
+    onClose();
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const csvRows = useMemo(
+    () => (file?.format === 'csv' && csvSettings ? parseCsv(file.text, csvSettings.delimiter) : []),
+    [file, csvSettings]
+  );
+
+  const statements = useMemo(() => {
+    if (!file) return [];
+    if (file.format === 'ofx') return parseOfx(file.text);
+    if (file.format === 'qif') return parseQif(file.text, { dateFormat: qifDateFormat });
+    if (!csvSettings) return [];
+    return [{ accountNumber: '', accountType: 'Checking', currency: null, balance: null, ...mapCsvRows(csvRows, csvSettings) }];
+  }, [file, csvRows, csvSettings, qifDateFormat]);
+
+  const statement = statements[statementIndex] || null;
+
+  const targetAccount = accountId === NEW_ACCOUNT ? null : accounts.find(a => a._id === accountId);
+  const targetAccountId = targetAccount?._id || newAccount?.id;
+
+  const reviewed = useMemo(() => {
+    if (!statement || !targetAccountId) return [];
+    const existing = targetAccount ? transactions.filter(t => t._account === targetAccount._id) : [];
+    return findDuplicates(statement.records, existing, targetAccountId);
+  }, [statement, targetAccount, targetAccountId, transactions]);
+
+  // New rows are included by default, duplicates left out; a click flips either
+  const isSelected = (record) => (record.duplicate === null) !== toggledIds.has(record.id);
+  const selected = reviewed.filter(isSelected);
+  const duplicateCount = reviewed.filter(r => r.duplicate === 'exact').length;
+  const possibleCount = reviewed.filter(r => r.duplicate === 'possible').length;
+
+  // Use the account with the statement's number, or set up a new one from the statement
+  const chooseStatement = (index, parsed = statements) => {
+    const next = parsed[index];
+    setStatementIndex(index);
+    setToggledIds(new Set());
+    const number = normalizeAccountNumber(next?.accountNumber);
+    const match = number ? accounts.find(a => normalizeAccountNumber(a.formatted_account) === number) : null;
+    setAccountId(match ? match._id : NEW_ACCOUNT);
+    setNewAccount({
+      id: `manual_${crypto.randomUUID()}`,
+      name: next?.name || (file?.name || '').replace(/\.[^.]+$/, ''),
+      type: next?.accountType || 'Checking',
+      currency: next?.currency || money.baseCurrency,
+      accountNumber: next?.accountNumber || '',
+    });
+  };
+
+  const handleFile = async (selectedFile) => {
+    if (!selectedFile) return;
+    setFileError(null);
+    try {
+      const text = await selectedFile.text();
+      const format = detectFormat(selectedFile.name, text);
+      const loaded = { name: selectedFile.name, text, format };
+      setFile(loaded);
+
+      if (format === 'csv') {
+        const delimiter = detectDelimiter(text);
+        const rows = parseCsv(text, delimiter);
+        if (rows.length === 0) throw new Error('The file is empty.');
+        setCsvSettings(initialCsvSettings(rows, delimiter));
+        setStep('mapping');
+        return;
+      }
+
+      let parsed;
+      if (format === 'ofx') {
+        parsed = parseOfx(text);
+      } else {
+        const dateFormat = guessDateFormat(text.split(/\r?\n/).filter(line => line.startsWith('D')).map(line => line.slice(1)));
+        setQifDateFormat(dateFormat === 'mdy' ? 'mdy' : 'dmy');
+        parsed = parseQif(text, { dateFormat });
+      }
+      if (parsed.length === 0 || parsed.every(s => s.records.length === 0)) {
+        throw new Error(`No transactions found in this ${format.toUpperCase()} file.`);
+      }
+      // The file state isn't committed yet, so name the new account from the file here
+      const withName = parsed.map(s => ({ ...s, name: s.name || selectedFile.name.replace(/\.[^.]+$/, '') }));
+      chooseStatement(0, withName);
+      setStep('review');
+    } catch (err) {
+      setFile(null);
+      setFileError(err.message);
+    }
+  };
+
+  const toggle = (id) => {
+    const next = new Set(toggledIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setToggledIds(next);
+  };
+
+  const handleImport = async () => {
+    setImportError(null);
+    const accountToCreate = targetAccount ? null : buildImportedAccount({
+      ...newAccount,
+      name: newAccount.name.trim(),
+      balance: getStatementBalance(statement),
+    });
+    const account = targetAccount || accountToCreate;
+
+    try {
+      const outcome = await importStatement({
+        newAccount: accountToCreate,
+        transactions: selected.map(record => buildImportedTransaction(record, account)),
+      });
+      setResult({ ...outcome, accountName: account.name });
+      setStep('done');
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const newAccountInvalid = !targetAccount && (!newAccount?.name.trim() || !/^[A-Z]{3}$/.test(newAccount.currency));
+  const canImport = selected.length > 0 && !newAccountInvalid && !isImporting;
+
+  return (
+    <div
+      id="import-wizard-overlay"
+      onClick={close}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <div
+        id="import-wizard"
+        data-component="import-wizard"
+        data-step={step}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-wizard-title"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: '90%',
+          maxWidth: '760px',
+          maxHeight: '85vh',
+          display: 'flex',
+          flexDirection: 'column',
+          backgroundColor: '#fff',
+          borderRadius: '12px',
+          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', padding: '20px 24px', borderBottom: '1px solid #e5e7eb' }}>
+          <div>
+            <h2 id="import-wizard-title" style={{ fontSize: '18px', fontWeight: '600', color: '#111', margin: 0 }}>
+              Import bank statement
+            </h2>
+            <p style={{ fontSize: '13px', color: '#6b7280', margin: '4px 0 0 0' }}>
+              {file ? `${file.name} · ${file.format.toUpperCase()}` : 'For accounts that aren\'t connected through Akahu'}
+            </p>
+          </div>
+          <button
+            onClick={close}
+            disabled={isImporting}
+            aria-label="Close"
+            style={{ background: 'none', border: 'none', fontSize: '20px', color: '#6b7280', cursor: isImporting ? 'default' : 'pointer' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ padding: '20px 24px', overflowY: 'auto', flex: 1 }}>
+          {step === 'file' && (
+            <div data-element="import-file-step">
+              <label
+                style={{
+                  display: 'block',
+                  padding: '32px',
+                  textAlign: 'center',
+                  border: '2px dashed #d1d5db',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  color: '#374151'
+                }}
+              >
+                <input
+                  type="file"
+                  data-element="import-file-input"
+                  accept=".csv,.ofx,.qfx,.qif,.txt"
+                  onChange={(e) => handleFile(e.target.files[0])}
+                  style={{ display: 'none' }}
+                />
+                <span style={{ fontSize: '24px', display: 'block', marginBottom: '8px' }}>📄</span>
+                Choose a CSV, OFX or QIF statement
+              </label>
+              <p style={{ fontSize: '12px', color: '#9ca3af', margin: '12px 0 0 0' }}>
+                The file is read on this device. Only the transactions you choose to import are sent to the server.
+              </p>
+              {fileError && (
+                <p data-element="import-file-error" role="alert" style={{ fontSize: '13px', color: '#dc2626', margin: '12px 0 0 0' }}>
+                  {fileError}
+                </p>
+              )}
+            </div>
+          )}
+
+          {step === 'mapping' && csvSettings && (
+            <StatementCsvMapping rows={csvRows} settings={csvSettings} onChange={setCsvSettings} />
+          )}
+
+          {step === 'review' && statement && (
+            <div data-element="import-review-step">
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '16px' }}>
+                {statements.length > 1 && (
+                  <label style={labelStyle}>
+                    Statement
+                    <select
+                      data-element="import-statement"
+                      value={statementIndex}
+                      onChange={(e) => chooseStatement(Number(e.target.value))}
+                      style={inputStyle}
+                    >
+                      {statements.map((s, index) => (
+                        <option key={index} value={index}>
+                          {s.name || s.accountNumber || `Account ${index + 1}`} ({s.records.length})
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <label style={labelStyle}>
+                  Import into
+                  <select
+                    data-element="import-account"
+                    value={accountId}
+                    onChange={(e) => {
+                      setAccountId(e.target.value);
+                      setToggledIds(new Set());
+                    }}
+                    style={inputStyle}
+                  >
+                    <option value={NEW_ACCOUNT}>New account…</option>
+                    {accounts.map(account => (
+                      <option key={account._id} value={account._id}>
+                        {account.name}{account.formatted_account ? ` (${account.formatted_account})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {file.format === 'qif' && (
+                  <label style={labelStyle}>
+                    Date format
+                    <select
+                      data-element="import-qif-date-format"
+                      value={qifDateFormat}
+                      onChange={(e) => setQifDateFormat(e.target.value)}
+                      style={inputStyle}
+                    >
+                      {DATE_FORMATS.filter(format => format.id !== 'ymd').map(format => (
+                        <option key={format.id} value={format.id}>{format.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+
+              {!targetAccount && newAccount && (
+                <div
+                  data-element="import-new-account"
+                  style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', padding: '12px', marginBottom: '16px', backgroundColor: '#f9fafb', borderRadius: '8px' }}
+                >
+                  <label style={{ ...labelStyle, flex: '1 1 180px' }}>
+                    Account name
+                    <input
+                      type="text"
+                      value={newAccount.name}
+                      onChange={(e) => setNewAccount({ ...newAccount, name: e.target.value })}
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={labelStyle}>
+                    Type
+                    <select
+                      value={newAccount.type}
+                      onChange={(e) => setNewAccount({ ...newAccount, type: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {IMPORT_ACCOUNT_TYPES.map(type => (
+                        <option key={type.id} value={type.id}>{type.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={labelStyle}>
+                    Currency
+                    <input
+                      type="text"
+                      maxLength={3}
+                      value={newAccount.currency}
+                      onChange={(e) => setNewAccount({ ...newAccount, currency: e.target.value.toUpperCase() })}
+                      style={{ ...inputStyle, width: '56px' }}
+                    />
+                  </label>
+                  <label style={labelStyle}>
+                    Account number
+                    <input
+                      type="text"
+                      value={newAccount.accountNumber}
+                      onChange={(e) => setNewAccount({ ...newAccount, accountNumber: e.target.value })}
+                      placeholder="Optional"
+                      style={inputStyle}
+                    />
+                  </label>
+                  <p style={{ flexBasis: '100%', fontSize: '12px', color: '#6b7280', margin: 0 }}>
+                    Opening balance {money.format(getStatementBalance(statement), /^[A-Z]{3}$/.test(newAccount.currency) ? newAccount.currency : undefined)}, from the statement
+                  </p>
+                </div>
+              )}
+
+              <p data-element="import-summary" style={{ fontSize: '13px', color: '#374151', margin: '0 0 8px 0' }}>
+                <strong>{selected.length}</strong> of {reviewed.length} transaction{reviewed.length !== 1 ? 's' : ''} will be imported
+                {duplicateCount > 0 && ` · ${duplicateCount} already in this account`}
+                {possibleCount > 0 && ` · ${possibleCount} possible duplicate${possibleCount !== 1 ? 's' : ''} to check`}
+                {statement.errors.length > 0 && ` · ${statement.errors.length} unreadable row${statement.errors.length !== 1 ? 's' : ''} skipped`}
+              </p>
+
+              <div
+                data-element="import-preview"
+                style={{ maxHeight: '320px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+              >
+                {reviewed.map(record => {
+                  const badge = DUPLICATE_LABELS[record.duplicate];
+                  return (
+                    <label
+                      key={record.id}
+                      data-element="import-preview-row"
+                      data-duplicate={record.duplicate || 'none'}
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '10px',
+                        padding: '8px 12px',
+                        fontSize: '13px',
+                        borderBottom: '1px solid #f3f4f6',
+                        cursor: 'pointer',
+                        opacity: isSelected(record) ? 1 : 0.6
+                      }}
+                    >
+                      <input type="checkbox" checked={isSelected(record)} onChange={() => toggle(record.id)} />
+                      <span style={{ color: '#6b7280', width: '96px', flexShrink: 0 }}>{formatDate(record.date)}</span>
+                      <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#111' }}>
+                        {record.description}
+                      </span>
+                      {badge && (
+                        <span style={{ fontSize: '11px', padding: '2px 6px', borderRadius: '4px', color: badge.color, backgroundColor: badge.background, flexShrink: 0 }}>
+                          {badge.label}
+                        </span>
+                      )}
+                      <span style={{ fontWeight: '600', color: record.amount < 0 ? '#dc2626' : '#059669', flexShrink: 0 }}>
+                        {money.format(record.amount, targetAccount?.balance?.currency || newAccount?.currency)}
+                      </span>
+                    </label>
+                  );
+                })}
+              </div>
+
+              {importError && (
+                <p data-element="import-error" role="alert" style={{ fontSize: '13px', color: '#dc2626', margin: '12px 0 0 0' }}>
+                  {importError}
+                </p>
+              )}
+            </div>
+          )}
+
+          {step === 'done' && result && (
+            <div data-element="import-result" data-failed-count={result.failed.length}>
+              <p style={{ fontSize: '15px', color: '#111', margin: '0 0 8px 0' }}>
+                ✅ Imported {result.created} transaction{result.created !== 1 ? 's' : ''} into {result.accountName}.
+              </p>
+              {result.failed.length > 0 && (
+                <div style={{ padding: '12px', backgroundColor: '#fef2f2', border: '1px solid #fecaca', borderRadius: '6px', fontSize: '13px', color: '#991b1b' }}>
+                  <p style={{ margin: '0 0 6px 0', fontWeight: '600' }}>
+                    {result.failed.length} couldn't be imported:
+                  </p>
+                  {result.failed.slice(0, 10).map(({ transaction, message }) => (
+                    <p key={transaction._id} style={{ margin: '2px 0' }}>
+                      {formatDate(transaction.date)} {transaction.description}: {message}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', padding: '16px 24px', borderTop: '1px solid #e5e7eb' }}>
+          {step === 'mapping' || step === 'review' ? (
+            <button
+              data-element="import-back"
+              onClick={() => (step === 'review' && file.format === 'csv' ? setStep('mapping') : reset())}
+              disabled={isImporting}
+              style={buttonStyle(false, isImporting)}
+            >
+              Back
+            </button>
+          ) : <span />}
+
+          {step === 'mapping' && (
+            <button
+              data-element="import-next"
+              onClick={() => {
+                chooseStatement(0);
+                setStep('review');
+              }}
+              disabled={!statement || statement.records.length === 0}
+              style={buttonStyle(true, !statement || statement.records.length === 0)}
+            >
+              Next
+            </button>
+          )}
+          {step === 'review' && (
+            <button data-element="import-submit" onClick={handleImport} disabled={!canImport} style={buttonStyle(true, !canImport)}>
+              {progress
+                ? `Importing ${progress.done}/${progress.total}…`
+                : `Import ${selected.length} transaction${selected.length !== 1 ? 's' : ''}`}
+            </button>
+          )}
+          {step === 'done' && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button data-element="import-another" onClick={reset} style={buttonStyle(false, false)}>
+                Import another file
+              </button>
+              <button data-element="import-close" onClick={close} style={buttonStyle(true, false)}>
+                Done
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,321 @@
+import { useMemo, useState } from 'react';
+import VirtualTransactionList from './VirtualTransactionList';
+import { useMoney } from '../hooks/useMoney';
+import { getConversion } from '../utils/money';
+import { buildIncomeSources, buildMonthlyCashFlow, detectSalaries } from '../utils/income';
+
+const formatPayDate = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { weekday: 'short', day: 'numeric', month: 'short' }).format(date);
+
+const formatMonth = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { month: 'short', year: 'numeric' }).format(date);
+
+const formatPercent = (rate) => (rate === null ? '—' : `${(rate * 100).toFixed(0)}%`);
+
+const daysUntil = (date) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((date - today) / (24 * 60 * 60 * 1000));
+};
+
+const cardStyle = {
+  backgroundColor: '#fff',
+  borderRadius: '12px',
+  padding: '20px',
+  marginBottom: '20px',
+  boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)'
+};
+
+const headingStyle = {
+  fontSize: '18px',
+  fontWeight: '600',
+  color: '#111',
+  margin: '0 0 16px 0'
+};
+
+const badgeStyle = {
+  fontSize: '10px',
+  fontWeight: '600',
+  color: '#065f46',
+  backgroundColor: '#d1fae5',
+  padding: '1px 6px',
+  borderRadius: '4px',
+  whiteSpace: 'nowrap'
+};
+
+/**
+ * Income grouped by source, detected regular pay and monthly income vs
+ * expenses. Sources and months follow the selected date range; salary
+ * detection uses `allTransactions` so it has enough pay cycles to work with.
+ */
+const IncomeView = ({ transactions, allTransactions, dateRangeLabel = 'All time' }) => {
+  const money = useMoney();
+  const [selectedSourceKey, setSelectedSourceKey] = useState(null);
+
+  const sources = useMemo(() => buildIncomeSources(transactions, money.toBase), [transactions, money]);
+  const salaries = useMemo(() => detectSalaries(allTransactions), [allTransactions]);
+  const months = useMemo(() => buildMonthlyCashFlow(transactions, money.toBase), [transactions, money]);
+
+  const totals = useMemo(() => {
+    const income = months.reduce((sum, month) => sum + month.income, 0);
+    const expenses = months.reduce((sum, month) => sum + month.expenses, 0);
+    return { income, expenses, net: income - expenses, savingsRate: income > 0 ? (income - expenses) / income : null };
+  }, [months]);
+
+  // Currencies left out of the totals because they have no exchange rate
+  const unconvertedCurrencies = useMemo(() => {
+    const currencies = transactions
+      .filter(t => money.toBase(1, t.currency) === null)
+      .map(t => t.currency);
+    return [...new Set(currencies)].sort();
+  }, [transactions, money]);
+
+  const selectedSource = sources.find(source => source.key === selectedSourceKey) || null;
+  const largestMonth = Math.max(1, ...months.map(month => Math.max(month.income, month.expenses)));
+
+  const renderIncomeRow = (transaction) => (
+    <div
+      data-component="income-transaction-item"
+      data-transaction-id={transaction._id}
+      className="transaction-row"
+      style={{
+        border: '1px solid #e5e7eb',
+        borderRadius: '8px',
+        padding: '12px 16px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px'
+      }}
+    >
+      <span style={{
+        flex: 1,
+        minWidth: 0,
+        fontSize: '14px',
+        color: '#111',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap'
+      }}>
+        {transaction.description}
+      </span>
+      {transaction.type && <span style={{ ...badgeStyle, color: '#4b5563', backgroundColor: '#f3f4f6' }}>{transaction.type}</span>}
+      {getConversion(transaction) && (
+        <span data-element="transaction-original-amount" style={{ fontSize: '12px', color: '#9ca3af', whiteSpace: 'nowrap' }}>
+          {money.formatConversion(getConversion(transaction))}
+        </span>
+      )}
+      <span style={{ fontSize: '14px', fontWeight: '600', color: '#059669', whiteSpace: 'nowrap' }}>
+        {money.format(transaction.amount, transaction.currency)}
+      </span>
+    </div>
+  );
+
+  if (sources.length === 0 && salaries.length === 0) {
+    return (
+      <div style={{ maxWidth: '1400px', margin: '0 auto', padding: '20px' }}>
+        <div
+          id="income-empty"
+          data-component="income-empty"
+          style={{ ...cardStyle, padding: '60px 40px', textAlign: 'center' }}
+        >
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>💰</div>
+          <h2 style={{ fontSize: '20px', fontWeight: '600', color: '#111', marginBottom: '8px' }}>
+            No income in this range
+          </h2>
+          <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>
+            Credits to your accounts will show up here. Try a longer date range.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      id="income-view"
+      data-component="income-view"
+      style={{
+        maxWidth: '1400px',
+        margin: '0 auto',
+        padding: '20px',
+        display: 'flex',
+        gap: '24px',
+        flexWrap: 'wrap'
+      }}
+    >
+      {/* Left Panel - Totals, regular pay and sources */}
+      <div style={{ flex: '1 1 400px', minWidth: '300px' }}>
+        <div id="income-summary" data-component="income-summary" style={{ ...cardStyle, padding: '24px' }}>
+          <p style={{ fontSize: '14px', color: '#6b7280', margin: '0 0 8px 0', fontWeight: '500' }}>
+            Total Income ({dateRangeLabel})
+          </p>
+          <p style={{ fontSize: '32px', fontWeight: '600', margin: 0, color: '#059669' }}>
+            {money.format(totals.income)}
+          </p>
+          <div style={{ display: 'flex', gap: '24px', marginTop: '12px', fontSize: '13px', color: '#6b7280' }}>
+            <span>Expenses <strong style={{ color: '#dc2626' }}>{money.format(totals.expenses)}</strong></span>
+            <span>Net <strong style={{ color: totals.net < 0 ? '#dc2626' : '#059669' }}>{money.format(totals.net)}</strong></span>
+            <span data-element="income-savings-rate">
+              Savings rate <strong style={{ color: '#111' }}>{formatPercent(totals.savingsRate)}</strong>
+            </span>
+          </div>
+          {unconvertedCurrencies.length > 0 && (
+            <p data-element="unconverted-currencies" style={{ fontSize: '12px', color: '#b45309', margin: '8px 0 0 0' }}>
+              Excludes {unconvertedCurrencies.join(', ')} amounts — set an exchange rate under 💱 {money.baseCurrency}
+            </p>
+          )}
+        </div>
+
+        <div id="income-salaries" data-component="income-salaries" style={cardStyle}>
+          <h2 style={headingStyle}>Regular Pay</h2>
+          {salaries.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#9ca3af', margin: 0 }}>
+              No regular pay detected yet. It needs at least three similar credits from the same source on a weekly, fortnightly or monthly cycle.
+            </p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+              {salaries.map(salary => {
+                const days = daysUntil(salary.nextDate);
+                return (
+                  <div
+                    key={salary.key}
+                    data-element="income-salary"
+                    data-frequency={salary.frequency.id}
+                    style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}
+                  >
+                    <div style={{ minWidth: 0 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <span style={{ fontSize: '14px', fontWeight: '600', color: '#111', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {salary.name}
+                        </span>
+                        {salary.isDirectCredit && <span style={badgeStyle}>Direct credit</span>}
+                      </div>
+                      <p style={{ fontSize: '12px', color: '#6b7280', margin: '2px 0 0 0' }}>
+                        {salary.frequency.label} · {money.format(salary.typicalAmount, salary.currency)} · {salary.paymentCount} payments
+                      </p>
+                    </div>
+                    <div data-element="income-next-pay" style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <p style={{ fontSize: '13px', fontWeight: '600', color: '#111', margin: 0 }}>
+                        {formatPayDate(salary.nextDate)}
+                      </p>
+                      <p style={{ fontSize: '11px', color: '#9ca3af', margin: 0 }}>
+                        {days === 0 ? 'Expected today' : `Expected in ${days} day${days !== 1 ? 's' : ''}`}
+                      </p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div id="income-sources" data-component="income-sources" style={cardStyle}>
+          <h2 style={headingStyle}>Income by Source</h2>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {sources.map(source => {
+              const percentage = totals.income > 0 ? (source.total / totals.income * 100).toFixed(1) : '0.0';
+              const isSelected = source.key === selectedSourceKey;
+              return (
+                <button
+                  key={source.key}
+                  data-element="income-source"
+                  data-selected={isSelected}
+                  onClick={() => setSelectedSourceKey(isSelected ? null : source.key)}
+                  style={{
+                    textAlign: 'left',
+                    padding: '10px 12px',
+                    backgroundColor: isSelected ? '#f0fdf4' : '#fff',
+                    border: `1px solid ${isSelected ? '#10b981' : '#e5e7eb'}`,
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    fontFamily: 'inherit'
+                  }}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '8px' }}>
+                    <span style={{ fontSize: '14px', fontWeight: '600', color: '#111', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {source.name}
+                    </span>
+                    <span style={{ fontSize: '14px', fontWeight: '600', color: '#059669' }}>
+                      {money.format(source.total)}
+                    </span>
+                  </div>
+                  <div style={{ height: '4px', backgroundColor: '#e5e7eb', borderRadius: '2px', overflow: 'hidden', margin: '6px 0' }}>
+                    <div style={{ width: `${percentage}%`, height: '100%', backgroundColor: '#10b981' }} />
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#9ca3af', flexWrap: 'wrap' }}>
+                    <span>{source.count} credit{source.count !== 1 ? 's' : ''} · {percentage}%</span>
+                    {source.otherAccount && <span>from {source.otherAccount}</span>}
+                    {source.types.map(type => (
+                      <span key={type} style={{ ...badgeStyle, color: '#4b5563', backgroundColor: '#f3f4f6' }}>{type}</span>
+                    ))}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {/* Right Panel - Selected source and monthly comparison */}
+      <div style={{ flex: '1 1 600px', minWidth: '300px' }}>
+        {selectedSource && (
+          <div id="income-source-transactions" data-component="income-source-transactions" style={cardStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '16px' }}>
+              <h2 style={{ ...headingStyle, margin: 0 }}>{selectedSource.name}</h2>
+              <button
+                onClick={() => setSelectedSourceKey(null)}
+                style={{ fontSize: '13px', color: '#6b7280', backgroundColor: 'transparent', border: 'none', cursor: 'pointer' }}
+              >
+                Close ✕
+              </button>
+            </div>
+            <VirtualTransactionList
+              id="income-source-transaction-list"
+              label={`Credits from ${selectedSource.name}`}
+              transactions={selectedSource.transactions}
+              renderRow={renderIncomeRow}
+              groupByDate
+              maxHeight={360}
+            />
+          </div>
+        )}
+
+        <div id="income-vs-expenses" data-component="income-vs-expenses" style={cardStyle}>
+          <h2 style={headingStyle}>Income vs Expenses by Month</h2>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '14px' }}>
+            {[...months].reverse().map(month => (
+              <div key={month.key} data-element="income-month" data-month={month.key}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', fontSize: '13px', marginBottom: '4px' }}>
+                  <span style={{ fontWeight: '600', color: '#111' }}>{formatMonth(month.month)}</span>
+                  <span style={{ color: '#6b7280' }}>
+                    Net <strong style={{ color: month.net < 0 ? '#dc2626' : '#059669' }}>{money.format(month.net)}</strong>
+                    {' · '}Saved <strong data-element="income-month-savings-rate" style={{ color: '#111' }}>{formatPercent(month.savingsRate)}</strong>
+                  </span>
+                </div>
+                {[
+                  { label: 'In', value: month.income, color: '#10b981' },
+                  { label: 'Out', value: month.expenses, color: '#ef4444' },
+                ].map(bar => (
+                  <div key={bar.label} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '2px' }}>
+                    <span style={{ width: '28px', fontSize: '11px', color: '#9ca3af' }}>{bar.label}</span>
+                    <div style={{ flex: 1, height: '8px', backgroundColor: '#f3f4f6', borderRadius: '4px', overflow: 'hidden' }}>
+                      <div style={{ width: `${(bar.value / largestMonth) * 100}%`, height: '100%', backgroundColor: bar.color }} />
+                    </div>
+                    <span style={{ width: '100px', fontSize: '12px', color: '#4b5563', textAlign: 'right' }}>
+                      {money.format(bar.value)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+          <p style={{ fontSize: '11px', color: '#9ca3af', margin: '12px 0 0 0' }}>
+            Savings rate is the share of income not spent. The first and last months may be partial for the selected range.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IncomeView;
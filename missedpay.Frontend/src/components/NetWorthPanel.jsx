@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { useMoney } from '../hooks/useMoney';
+import { getAccountCurrency } from '../utils/money';
+import { getCreditUtilisation, getLoanDetails } from '../utils/accounts';
+
+const formatShortDate = (dateString) =>
+  new Intl.DateTimeFormat('en-NZ', { day: 'numeric', month: 'short', year: 'numeric' }).format(new Date(dateString));
+
+const LoanDetails = ({ loan, currency }) => {
+  const money = useMoney();
+  const details = [];
+
+  if (loan.interest?.rate != null) {
+    const rateType = loan.interest.type ? ` ${loan.interest.type.toLowerCase()}` : '';
+    const expires = loan.interest.expires_at ? ` until ${formatShortDate(loan.interest.expires_at)}` : '';
+    details.push(['Interest', `${loan.interest.rate}%${rateType}${expires}`]);
+  }
+  if (loan.is_interest_only) {
+    details.push([
+      'Interest only',
+      loan.interest_only_expires_at ? `until ${formatShortDate(loan.interest_only_expires_at)}` : 'yes',
+    ]);
+  }
+  if (loan.repayment?.next_amount != null) {
+    const frequency = loan.repayment.frequency ? ` ${loan.repayment.frequency.toLowerCase()}` : '';
+    const nextDate = loan.repayment.next_date ? `, next ${formatShortDate(loan.repayment.next_date)}` : '';
+    details.push(['Repayment', `${money.format(loan.repayment.next_amount, currency)}${frequency}${nextDate}`]);
+  }
+  if (loan.initial_principal != null) {
+    details.push(['Borrowed', money.format(loan.initial_principal, currency)]);
+  }
+  if (loan.term) {
+    details.push(['Term', loan.term]);
+  }
+  if (loan.matures_at) {
+    details.push(['Matures', formatShortDate(loan.matures_at)]);
+  }
+  if (loan.purpose) {
+    details.push(['Purpose', loan.purpose]);
+  }
+
+  if (details.length === 0) return null;
+
+  return (
+    <dl
+      data-element="loan-details"
+      style={{
+        display: 'grid',
+        gridTemplateColumns: 'auto 1fr',
+        gap: '2px 12px',
+        margin: '6px 0 0 0',
+        fontSize: '12px'
+      }}
+    >
+      {details.map(([label, value]) => (
+        <div key={label} style={{ display: 'contents' }}>
+          <dt style={{ color: '#9ca3af' }}>{label}</dt>
+          <dd style={{ margin: 0, color: '#374151' }}>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const NetWorthAccountRow = ({ account }) => {
+  const money = useMoney();
+  const currency = getAccountCurrency(account);
+  const { current, available, limit } = account.balance || {};
+  const utilisation = getCreditUtilisation(account);
+  const loan = getLoanDetails(account);
+
+  return (
+    <div
+      data-element="net-worth-account"
+      data-account-id={account._id}
+      style={{ padding: '8px 0', borderTop: '1px solid #f3f4f6' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', fontSize: '13px' }}>
+        <span style={{ color: '#111', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {account.name}
+        </span>
+        <span data-element="net-worth-account-current" style={{ color: '#111', fontWeight: '500', whiteSpace: 'nowrap' }}>
+          {money.format(current || 0, currency)}
+        </span>
+      </div>
+
+      {(available != null && available !== current) && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#6b7280', marginTop: '2px' }}>
+          <span>Available</span>
+          <span data-element="net-worth-account-available">{money.format(available, currency)}</span>
+        </div>
+      )}
+
+      {limit != null && (
+        <div style={{ marginTop: '4px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#6b7280' }}>
+            <span>Credit limit</span>
+            <span data-element="net-worth-account-limit">
+              {money.format(limit, currency)}
+              {utilisation !== null && ` · ${Math.round(utilisation * 100)}% used`}
+            </span>
+          </div>
+          {utilisation !== null && (
+            <div style={{ height: '4px', backgroundColor: '#f3f4f6', borderRadius: '2px', marginTop: '4px' }}>
+              <div style={{
+                width: `${utilisation * 100}%`,
+                height: '100%',
+                backgroundColor: utilisation > 0.8 ? '#dc2626' : utilisation > 0.5 ? '#f59e0b' : '#10b981',
+                borderRadius: '2px'
+              }} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {loan && <LoanDetails loan={loan} currency={currency} />}
+    </div>
+  );
+};
+
+const NetWorthSide = ({ id, title, side, color }) => {
+  const money = useMoney();
+
+  return (
+    <div id={id} data-element="net-worth-side" style={{ marginTop: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', fontWeight: '600', marginBottom: '4px' }}>
+        <span style={{ color: '#111' }}>{title}</span>
+        <span style={{ color }}>{money.format(side.total)}</span>
+      </div>
+
+      {side.groups.length === 0 && (
+        <p style={{ fontSize: '12px', color: '#9ca3af', margin: '4px 0 0 0' }}>None</p>
+      )}
+
+      {side.groups.map(group => (
+        <div key={group.type} data-element="net-worth-group" data-account-type={group.type} style={{ marginTop: '8px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#6b7280', marginBottom: '2px' }}>
+            <span>{group.icon} {group.label}</span>
+            <span>{money.format(group.total)}</span>
+          </div>
+          {group.accounts.map(account => (
+            <NetWorthAccountRow key={account._id} account={account} />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Net worth headline (assets minus liabilities, in the base currency) with an
+ * expandable breakdown by account type, credit limits and loan details.
+ * `netWorth` comes from buildNetWorth.
+ */
+const NetWorthPanel = ({ netWorth, label = 'Net Worth' }) => {
+  const money = useMoney();
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  return (
+    <div id="net-worth-panel" data-component="net-worth-panel" data-expanded={isExpanded}>
+      <p style={{
+        fontSize: '14px',
+        color: '#6b7280',
+        margin: '0 0 8px 0',
+        fontWeight: '500'
+      }}>
+        {label}
+      </p>
+      <p
+        id="net-worth-total"
+        data-element="net-worth-total"
+        style={{
+          fontSize: '32px',
+          fontWeight: '600',
+          margin: 0,
+          color: netWorth.netWorth < 0 ? '#dc2626' : '#111'
+        }}
+      >
+        {money.format(netWorth.netWorth)}
+      </p>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px', fontSize: '13px', flexWrap: 'wrap' }}>
+        <span data-element="net-worth-assets" style={{ color: '#6b7280' }}>
+          Assets <strong style={{ color: '#059669', fontWeight: '600' }}>{money.format(netWorth.assets.total)}</strong>
+        </span>
+        <span data-element="net-worth-liabilities" style={{ color: '#6b7280' }}>
+          Liabilities <strong style={{ color: '#dc2626', fontWeight: '600' }}>{money.format(netWorth.liabilities.total)}</strong>
+        </span>
+        <button
+          id="net-worth-toggle"
+          data-element="net-worth-toggle"
+          onClick={() => setIsExpanded(!isExpanded)}
+          aria-expanded={isExpanded}
+          style={{
+            marginLeft: 'auto',
+            padding: '4px 8px',
+            fontSize: '12px',
+            color: '#6b7280',
+            backgroundColor: 'transparent',
+            border: '1px solid #e5e7eb',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          {isExpanded ? 'Hide breakdown' : 'Breakdown'}
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div data-element="net-worth-breakdown">
+          <NetWorthSide id="net-worth-assets" title="Assets" side={netWorth.assets} color="#059669" />
+          <NetWorthSide id="net-worth-liabilities" title="Liabilities" side={netWorth.liabilities} color="#dc2626" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NetWorthPanel;
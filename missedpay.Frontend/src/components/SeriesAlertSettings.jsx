@@ -0,0 +1,78 @@
+import { getSeriesTolerance } from '../utils/alerts';
+
+// Empty inputs fall back to the defaults
+const parseOverride = (value) => {
+  if (value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+/**
+ * Per-series alert tolerances: days late before a payment counts as missed,
+ * the amount change that gets flagged, and muting the series altogether.
+ * `overrides` are the stored settings; `onChange` receives the full new set.
+ */
+const SeriesAlertSettings = ({ series, overrides = {}, onChange }) => {
+  const defaults = getSeriesTolerance(series);
+
+  const update = (changes) => onChange({ ...overrides, ...changes });
+
+  const inputStyle = {
+    width: '56px',
+    padding: '2px 6px',
+    fontSize: '12px',
+    border: '1px solid #d1d5db',
+    borderRadius: '4px'
+  };
+
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#4b5563' };
+
+  return (
+    <div
+      data-component="series-alert-settings"
+      data-series-key={series.key}
+      onClick={(e) => e.stopPropagation()}
+      style={{ display: 'flex', flexWrap: 'wrap', gap: '8px 16px', alignItems: 'center' }}
+    >
+      <label style={rowStyle}>
+        Alert after
+        <input
+          data-element="series-late-days"
+          type="number"
+          min="0"
+          step="1"
+          placeholder={String(defaults.lateDays)}
+          value={overrides.lateDays ?? ''}
+          onChange={(e) => update({ lateDays: parseOverride(e.target.value) })}
+          style={inputStyle}
+        />
+        days late
+      </label>
+      <label style={rowStyle}>
+        or a change over
+        <input
+          data-element="series-amount-percent"
+          type="number"
+          min="0"
+          step="1"
+          placeholder={String(defaults.amountPercent)}
+          value={overrides.amountPercent ?? ''}
+          onChange={(e) => update({ amountPercent: parseOverride(e.target.value) })}
+          style={inputStyle}
+        />
+        %
+      </label>
+      <label style={rowStyle}>
+        <input
+          data-element="series-muted"
+          type="checkbox"
+          checked={Boolean(overrides.muted)}
+          onChange={(e) => update({ muted: e.target.checked })}
+        />
+        Mute alerts
+      </label>
+    </div>
+  );
+};
+
+export default SeriesAlertSettings;
@@ -0,0 +1,38 @@
+/**
+ * Tiny inline line chart of `values` in order, with the last point marked.
+ * A flat series is drawn through the middle.
+ */
+const Sparkline = ({ values, width = 96, height = 24, color = '#3b82f6', label }) => {
+  if (values.length === 0) return null;
+
+  const padding = 3;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const x = (index) => (values.length === 1
+    ? width / 2
+    : padding + (index / (values.length - 1)) * (width - padding * 2));
+  const y = (value) => (max === min
+    ? height / 2
+    : height - padding - ((value - min) / (max - min)) * (height - padding * 2));
+
+  const points = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+  const last = values.length - 1;
+
+  return (
+    <svg
+      data-component="sparkline"
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label}
+      style={{ display: 'block', flexShrink: 0 }}
+    >
+      {label && <title>{label}</title>}
+      <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" strokeLinecap="round" />
+      <circle cx={x(last)} cy={y(values[last])} r="2.5" fill={color} />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,242 @@
+import { useMemo, useState } from 'react';
+import { useImportProfiles } from '../hooks/useImportProfiles';
+import { useMoney } from '../hooks/useMoney';
+import { importProfilesStore } from '../services/importProfiles';
+import { formatDate } from '../utils/dates';
+import { CSV_FIELDS, DATE_FORMATS, getMappingError, mapCsvRows } from '../utils/statementImport';
+
+const PREVIEW_ROWS = 5;
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', fontWeight: '500', color: '#6b7280' };
+
+const inputStyle = {
+  padding: '6px 8px',
+  fontSize: '13px',
+  color: '#111',
+  border: '1px solid #e5e7eb',
+  borderRadius: '4px',
+  backgroundColor: '#fff'
+};
+
+/**
+ * Column mapping for a CSV statement: which column holds the date, amount
+ * and so on, how dates are written, and whether amounts need flipping.
+ * `settings` is an import profile (see services/importProfiles.js), which
+ * can be saved for the next file from the same bank.
+ */
+const StatementCsvMapping = ({ rows, settings, onChange }) => {
+  const money = useMoney();
+  const profiles = useImportProfiles();
+  const [profileName, setProfileName] = useState(settings.name || '');
+  const [profileError, setProfileError] = useState(null);
+
+  const headerRow = settings.hasHeader ? rows[settings.skipRows] || [] : [];
+  const columnCount = Math.max(0, ...rows.slice(0, 20).map(row => row.length));
+  const columns = Array.from({ length: columnCount }, (_, index) => ({
+    index,
+    label: headerRow[index]?.trim() || `Column ${index + 1}`,
+  }));
+
+  const mappingError = getMappingError(settings.mapping);
+  const preview = useMemo(
+    () => (mappingError ? null : mapCsvRows(rows, settings)),
+    [rows, settings, mappingError]
+  );
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const setColumn = (fieldId, value) => {
+    const mapping = { ...settings.mapping };
+    if (value === '') {
+      delete mapping[fieldId];
+    } else {
+      mapping[fieldId] = Number(value);
+    }
+    update({ mapping });
+  };
+
+  const saveProfile = () => {
+    try {
+      const saved = importProfilesStore.saveProfile({ ...settings, name: profileName, headers: headerRow });
+      setProfileError(null);
+      onChange(saved);
+    } catch (err) {
+      setProfileError(err.message);
+    }
+  };
+
+  return (
+    <div id="statement-csv-mapping" data-component="statement-csv-mapping">
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '16px' }}>
+        <label style={labelStyle}>
+          Profile
+          <select
+            data-element="csv-profile"
+            value={settings.id || ''}
+            onChange={(e) => {
+              const profile = profiles.find(p => p.id === e.target.value);
+              if (profile) {
+                setProfileName(profile.name);
+                onChange(profile);
+              } else {
+                update({ id: undefined, name: undefined });
+              }
+            }}
+            style={inputStyle}
+          >
+            <option value="">New mapping</option>
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Date format
+          <select
+            data-element="csv-date-format"
+            value={settings.dateFormat}
+            onChange={(e) => update({ dateFormat: e.target.value })}
+            style={inputStyle}
+          >
+            {DATE_FORMATS.map(format => (
+              <option key={format.id} value={format.id}>{format.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Skip lines
+          <input
+            type="number"
+            min="0"
+            data-element="csv-skip-rows"
+            value={settings.skipRows}
+            onChange={(e) => update({ skipRows: Math.max(0, Number(e.target.value) || 0) })}
+            style={{ ...inputStyle, width: '64px' }}
+          />
+        </label>
+        <div style={{ display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', gap: '4px', fontSize: '13px', color: '#374151' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              data-element="csv-has-header"
+              checked={settings.hasHeader}
+              onChange={(e) => update({ hasHeader: e.target.checked })}
+            />
+            First line is a header
+          </label>
+          <label
+            style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}
+            title="For statements that show spending as positive amounts, such as most credit cards"
+          >
+            <input
+              type="checkbox"
+              data-element="csv-invert-amounts"
+              checked={settings.invertAmounts}
+              onChange={(e) => update({ invertAmounts: e.target.checked })}
+            />
+            Spending is shown as positive
+          </label>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '8px 12px', marginBottom: '16px' }}>
+        {CSV_FIELDS.map(field => (
+          <label key={field.id} style={labelStyle}>
+            {field.label}{field.required && ' *'}
+            <select
+              data-element="csv-column"
+              data-field={field.id}
+              value={settings.mapping[field.id] ?? ''}
+              onChange={(e) => setColumn(field.id, e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">—</option>
+              {columns.map(column => (
+                <option key={column.index} value={column.index}>{column.label}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {mappingError ? (
+        <p data-element="csv-mapping-error" style={{ fontSize: '13px', color: '#b45309', margin: '0 0 16px 0' }}>
+          {mappingError}
+        </p>
+      ) : (
+        <div data-element="csv-mapping-preview" style={{ marginBottom: '16px' }}>
+          <p style={{ fontSize: '12px', fontWeight: '600', color: '#6b7280', margin: '0 0 6px 0' }}>
+            Preview: {preview.records.length} row{preview.records.length !== 1 ? 's' : ''} read
+            {preview.errors.length > 0 && (
+              <span style={{ color: '#b45309' }}>
+                , {preview.errors.length} skipped (line {preview.errors.slice(0, 3).map(e => e.line).join(', ')}
+                {preview.errors.length > 3 && ', …'}: {preview.errors[0].message})
+              </span>
+            )}
+          </p>
+          {preview.records.slice(0, PREVIEW_ROWS).map(record => (
+            <div
+              key={record.line}
+              style={{ display: 'flex', gap: '12px', fontSize: '13px', padding: '4px 0', borderBottom: '1px solid #f3f4f6' }}
+            >
+              <span style={{ color: '#6b7280', width: '96px', flexShrink: 0 }}>{formatDate(record.date)}</span>
+              <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#111' }}>
+                {record.description}
+              </span>
+              <span style={{ fontWeight: '600', color: record.amount < 0 ? '#dc2626' : '#059669' }}>
+                {money.format(record.amount)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px' }}>
+        <label style={{ ...labelStyle, flex: 1 }}>
+          Save this mapping for next time
+          <input
+            type="text"
+            data-element="csv-profile-name"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="Bank name, e.g. Wise USD"
+            style={inputStyle}
+          />
+        </label>
+        <button
+          data-element="csv-profile-save"
+          onClick={saveProfile}
+          disabled={Boolean(mappingError)}
+          style={{
+            padding: '7px 12px',
+            fontSize: '13px',
+            color: '#374151',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '6px',
+            cursor: mappingError ? 'default' : 'pointer'
+          }}
+        >
+          {settings.id ? 'Update profile' : 'Save profile'}
+        </button>
+        {settings.id && (
+          <button
+            data-element="csv-profile-remove"
+            onClick={() => {
+              importProfilesStore.removeProfile(settings.id);
+              update({ id: undefined, name: undefined });
+            }}
+            style={{ padding: '7px 12px', fontSize: '13px', color: '#dc2626', backgroundColor: 'transparent', border: 'none', cursor: 'pointer' }}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {profileError && (
+        <p style={{ fontSize: '12px', color: '#dc2626', margin: '6px 0 0 0' }}>{profileError}</p>
+      )}
+    </div>
+  );
+};
+
+export default StatementCsvMapping;
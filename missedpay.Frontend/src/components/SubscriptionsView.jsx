@@ -0,0 +1,252 @@
+import { useMemo, useState } from 'react';
+import Sparkline from './Sparkline';
+import SeriesAlertSettings from './SeriesAlertSettings';
+import { useMoney } from '../hooks/useMoney';
+import { useAlertSettings } from '../hooks/usePaymentAlerts';
+import { startOfDay } from '../utils/dates';
+
+const DIRECTIONS = [
+  { id: 'debit', label: 'Bills & subscriptions' },
+  { id: 'credit', label: 'Recurring income' },
+];
+
+const formatShortDate = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+
+const formatMonth = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { month: 'short', year: 'numeric' }).format(date);
+
+const describeDue = (date) => {
+  const days = Math.round((startOfDay(date) - startOfDay(new Date())) / (24 * 60 * 60 * 1000));
+  if (days === 0) return 'Due today';
+  if (days > 0) return `In ${days} day${days !== 1 ? 's' : ''}`;
+  return `${-days} day${days !== -1 ? 's' : ''} overdue`;
+};
+
+const cardStyle = {
+  backgroundColor: '#fff',
+  borderRadius: '12px',
+  padding: '20px',
+  marginBottom: '20px',
+  boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)'
+};
+
+/**
+ * Recurring payments found in the full transaction history (`allSeries` from
+ * detectRecurringSeries): each series with its cadence, next expected date,
+ * average amount, annual cost and a sparkline of past amounts. Series that
+ * have stopped are hidden by default. Expanding a series shows its payments
+ * and alert tolerances.
+ */
+const SubscriptionsView = ({ allSeries }) => {
+  const money = useMoney();
+  const alertSettings = useAlertSettings();
+  const [direction, setDirection] = useState('debit');
+  const [showEnded, setShowEnded] = useState(false);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const series = allSeries.filter(s => s.direction === direction && (showEnded || s.isActive));
+  const endedCount = allSeries.filter(s => s.direction === direction && !s.isActive).length;
+
+  const totals = useMemo(() => {
+    const active = allSeries.filter(s => s.direction === direction && s.isActive);
+    const annual = money.sumInBase(active.map(s => ({ amount: s.annualAmount, currency: s.currency })));
+    return { count: active.length, ...annual };
+  }, [allSeries, direction, money]);
+
+  const amountColor = direction === 'debit' ? '#dc2626' : '#059669';
+
+  const tabStyle = (isActive) => ({
+    padding: '6px 12px',
+    fontSize: '13px',
+    fontWeight: '500',
+    backgroundColor: isActive ? '#fff' : 'transparent',
+    color: isActive ? '#111' : '#6b7280',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    boxShadow: isActive ? '0 1px 2px rgba(0, 0, 0, 0.05)' : 'none'
+  });
+
+  return (
+    <div
+      id="subscriptions-view"
+      data-component="subscriptions-view"
+      style={{ maxWidth: '1400px', margin: '0 auto', padding: '20px' }}
+    >
+      <div id="subscriptions-summary" data-component="subscriptions-summary" style={cardStyle}>
+        <p style={{ fontSize: '14px', color: '#6b7280', margin: '0 0 8px 0', fontWeight: '500' }}>
+          {direction === 'debit' ? 'Recurring costs per year' : 'Recurring income per year'}
+        </p>
+        <p style={{ fontSize: '32px', fontWeight: '600', margin: 0, color: amountColor }}>
+          {money.format(totals.total)}
+        </p>
+        <p style={{ fontSize: '13px', color: '#9ca3af', margin: '8px 0 0 0' }}>
+          {money.format(totals.total / 12)} a month across {totals.count} active series
+        </p>
+        {totals.missingCurrencies.length > 0 && (
+          <p data-element="unconverted-currencies" style={{ fontSize: '12px', color: '#b45309', margin: '8px 0 0 0' }}>
+            Excludes {totals.missingCurrencies.join(', ')} series — set an exchange rate under 💱 {money.baseCurrency}
+          </p>
+        )}
+      </div>
+
+      <div id="subscriptions-list" data-component="subscriptions-list" style={cardStyle}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '12px',
+          flexWrap: 'wrap',
+          marginBottom: '16px'
+        }}>
+          <div
+            data-element="subscriptions-direction"
+            style={{ display: 'flex', gap: '2px', padding: '3px', backgroundColor: '#f3f4f6', borderRadius: '6px' }}
+          >
+            {DIRECTIONS.map(d => (
+              <button key={d.id} data-direction={d.id} onClick={() => setDirection(d.id)} style={tabStyle(direction === d.id)}>
+                {d.label}
+              </button>
+            ))}
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#4b5563', cursor: 'pointer' }}>
+            <input
+              data-element="subscriptions-show-ended"
+              type="checkbox"
+              checked={showEnded}
+              onChange={(e) => setShowEnded(e.target.checked)}
+            />
+            Show ended ({endedCount})
+          </label>
+        </div>
+
+        {series.length === 0 ? (
+          <p style={{ fontSize: '14px', color: '#6b7280', textAlign: 'center', padding: '40px 0', margin: 0 }}>
+            No recurring {direction === 'debit' ? 'payments' : 'income'} found. A series needs at least three
+            similar payments to the same place on a regular cycle (two for annual ones).
+          </p>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column' }}>
+            {series.map(s => {
+              const isExpanded = expandedKey === s.key;
+              const due = describeDue(s.nextDate);
+              const isOverdue = s.isActive && s.nextDate < startOfDay(new Date());
+              return (
+                <div
+                  key={s.key}
+                  data-element="recurring-series"
+                  data-series-key={s.key}
+                  data-cadence={s.cadence.id}
+                  data-active={s.isActive}
+                  style={{ borderTop: '1px solid #f3f4f6', opacity: s.isActive ? 1 : 0.6 }}
+                >
+                  <button
+                    onClick={() => setExpandedKey(isExpanded ? null : s.key)}
+                    aria-expanded={isExpanded}
+                    style={{
+                      width: '100%',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '16px',
+                      padding: '12px 4px',
+                      backgroundColor: 'transparent',
+                      border: 'none',
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      fontFamily: 'inherit',
+                      flexWrap: 'wrap'
+                    }}
+                  >
+                    <div style={{ flex: '1 1 220px', minWidth: 0 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <span style={{ fontSize: '14px', fontWeight: '600', color: '#111', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {s.name}
+                        </span>
+                        <span style={{
+                          fontSize: '10px',
+                          fontWeight: '600',
+                          color: '#1e40af',
+                          backgroundColor: '#dbeafe',
+                          padding: '1px 6px',
+                          borderRadius: '4px'
+                        }}>
+                          {s.cadence.label}
+                        </span>
+                        {!s.isActive && <span style={{ fontSize: '11px', color: '#9ca3af' }}>Ended</span>}
+                      </div>
+                      <p style={{ fontSize: '12px', color: '#9ca3af', margin: '2px 0 0 0' }}>
+                        Since {formatMonth(s.firstDate)} · {s.transactions.length} payments
+                      </p>
+                    </div>
+
+                    <Sparkline
+                      values={s.transactions.map(t => Math.abs(t.amount))}
+                      color={amountColor}
+                      label={`${s.name} amounts over time`}
+                    />
+
+                    <div style={{ width: '110px', textAlign: 'right' }}>
+                      <p style={{ fontSize: '14px', fontWeight: '600', color: amountColor, margin: 0 }}>
+                        {money.format(s.averageAmount, s.currency)}
+                      </p>
+                      <p style={{ fontSize: '11px', color: '#9ca3af', margin: 0 }}>average</p>
+                    </div>
+
+                    <div data-element="recurring-next-date" style={{ width: '120px', textAlign: 'right' }}>
+                      <p style={{ fontSize: '13px', fontWeight: '500', color: '#111', margin: 0 }}>
+                        {s.isActive ? formatShortDate(s.nextDate) : '—'}
+                      </p>
+                      <p style={{ fontSize: '11px', color: isOverdue ? '#b45309' : '#9ca3af', margin: 0 }}>
+                        {s.isActive ? due : `Last ${formatShortDate(s.lastDate)}`}
+                      </p>
+                    </div>
+
+                    <div data-element="recurring-annual-amount" style={{ width: '110px', textAlign: 'right' }}>
+                      <p style={{ fontSize: '14px', fontWeight: '600', color: '#111', margin: 0 }}>
+                        {money.format(s.annualAmount, s.currency)}
+                      </p>
+                      <p style={{ fontSize: '11px', color: '#9ca3af', margin: 0 }}>per year</p>
+                    </div>
+                  </button>
+
+                  {isExpanded && (
+                    <div style={{ padding: '0 4px 12px 4px' }}>
+                      <div
+                        data-element="recurring-history"
+                        style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '10px' }}
+                      >
+                        {[...s.transactions].reverse().map(t => (
+                          <span
+                            key={t._id}
+                            style={{
+                              fontSize: '12px',
+                              color: '#4b5563',
+                              backgroundColor: '#f9fafb',
+                              border: '1px solid #e5e7eb',
+                              borderRadius: '4px',
+                              padding: '2px 8px'
+                            }}
+                          >
+                            {formatShortDate(new Date(t.date))} · {money.format(Math.abs(t.amount), t.currency)}
+                          </span>
+                        ))}
+                      </div>
+                      <SeriesAlertSettings
+                        series={s}
+                        overrides={alertSettings.seriesSettings[s.key]}
+                        onChange={(settings) => alertSettings.setSeriesSettings(s.key, settings)}
+                      />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubscriptionsView;
@@ -0,0 +1,328 @@
+import { useState } from 'react';
+import { useSyncHistory } from '../hooks/useSync';
+import { useNow } from '../hooks/useNow';
+import { usePreferences } from '../hooks/usePreferences';
+import { preferencesStore } from '../services/preferences';
+import { AUTO_REFRESH_INTERVALS, formatTimeUntil } from '../utils/autoRefresh';
+import { MANUAL_CONNECTION } from '../utils/statementImport';
+import {
+  ACCOUNT_REFRESH_FIELDS,
+  describeStep,
+  formatTimeAgo,
+  getAccountFreshness,
+  STALE_AFTER_MS,
+  SYNC_SCOPES,
+  SYNC_STEPS,
+} from '../utils/sync';
+
+const STEP_ICONS = { pending: '○', running: '↻', success: '✅', error: '❌' };
+const STATUS_ICONS = { success: '✅', partial: '⚠️', error: '❌' };
+
+const formatSyncTime = (value) =>
+  new Intl.DateTimeFormat('en-NZ', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }).format(new Date(value));
+
+const sectionTitleStyle = { fontSize: '12px', fontWeight: '600', color: '#6b7280', margin: '0 0 8px 0', textTransform: 'uppercase', letterSpacing: '0.03em' };
+
+/**
+ * Navigation bar refresh button with a sync panel: refresh accounts or
+ * transactions on their own, per-step progress and counts, past syncs, and
+ * when Akahu last refreshed each account, and the auto-refresh settings.
+ * `sync`, `current` and `isSyncing` come from useSync so the App can react to
+ * finished syncs; `autoRefresh` is the scheduler state from useAutoRefresh.
+ */
+const SyncPanel = ({ accounts, sync, current, isSyncing, autoRefresh }) => {
+  const { history, clear } = useSyncHistory();
+  const { autoRefreshMinutes } = usePreferences();
+  const [isOpen, setIsOpen] = useState(false);
+  const now = useNow();
+  const lastSync = history[0];
+  const lastSyncFailed = lastSync && lastSync.status !== 'success';
+  const staleCount = accounts.filter(account =>
+    account.connection?._id !== MANUAL_CONNECTION._id && getAccountFreshness(account, now).isStale).length;
+
+  const actionStyle = (disabled) => ({
+    padding: '6px 10px',
+    fontSize: '13px',
+    color: disabled ? '#9ca3af' : '#374151',
+    backgroundColor: '#fff',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    cursor: disabled ? 'not-allowed' : 'pointer'
+  });
+
+  const renderSteps = (steps) => steps.map(step => (
+    <div
+      key={step.id}
+      data-element="sync-step"
+      data-step={step.id}
+      data-status={step.status}
+      style={{ display: 'flex', gap: '8px', fontSize: '13px', padding: '2px 0' }}
+    >
+      <span
+        style={{
+          width: '18px',
+          flexShrink: 0,
+          textAlign: 'center',
+          display: 'inline-block',
+          animation: step.status === 'running' ? 'spin 2s linear infinite' : 'none'
+        }}
+      >
+        {STEP_ICONS[step.status]}
+      </span>
+      <span style={{ fontWeight: '500', color: '#111', width: '96px', flexShrink: 0 }}>{SYNC_STEPS[step.id].label}</span>
+      <span style={{ color: step.status === 'error' ? '#b91c1c' : '#6b7280' }}>
+        {step.status === 'pending' && 'Waiting'}
+        {step.status === 'running' && 'Refreshing…'}
+        {(step.status === 'success' || step.status === 'error') && describeStep(step)}
+      </span>
+    </div>
+  ));
+
+  return (
+    <div id="sync-panel" data-component="sync-panel" style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
+      <button
+        id="refresh-button"
+        data-element="refresh-button"
+        data-refreshing={isSyncing}
+        onClick={() => sync('all')}
+        disabled={isSyncing}
+        title={isSyncing ? 'Refreshing...' : 'Refresh from Akahu'}
+        style={{
+          padding: '0',
+          fontSize: '24px',
+          backgroundColor: 'transparent',
+          color: isSyncing ? '#9ca3af' : '#6b7280',
+          border: 'none',
+          borderRadius: '8px',
+          cursor: isSyncing ? 'not-allowed' : 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          transition: 'color 0.2s, background-color 0.2s',
+          width: '40px',
+          height: '40px'
+        }}
+        onMouseOver={(e) => {
+          if (!isSyncing) {
+            e.currentTarget.style.backgroundColor = '#f3f4f6';
+            e.currentTarget.style.color = '#111';
+          }
+        }}
+        onMouseOut={(e) => {
+          if (!isSyncing) {
+            e.currentTarget.style.backgroundColor = 'transparent';
+            e.currentTarget.style.color = '#6b7280';
+          }
+        }}
+      >
+        <span style={{
+          display: 'inline-block',
+          animation: isSyncing ? 'spin 2s linear infinite' : 'none',
+          opacity: isSyncing ? '0.5' : '1'
+        }}>
+          ↻
+        </span>
+      </button>
+
+      <button
+        id="sync-panel-button"
+        data-element="sync-panel-button"
+        data-stale-count={staleCount}
+        onClick={() => setIsOpen(!isOpen)}
+        data-last-sync-status={lastSync?.status || 'none'}
+        title={lastSync ? `Last synced ${formatSyncTime(lastSync.finishedAt)}` : 'Sync details'}
+        aria-label="Sync details"
+        aria-expanded={isOpen}
+        style={{
+          padding: '4px 6px',
+          fontSize: '12px',
+          color: lastSyncFailed ? '#b91c1c' : staleCount > 0 ? '#b45309' : '#6b7280',
+          backgroundColor: isOpen ? '#f3f4f6' : 'transparent',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer',
+          whiteSpace: 'nowrap'
+        }}
+      >
+        {isSyncing
+          ? 'Syncing…'
+          : lastSync
+            ? `${lastSyncFailed ? '⚠️ ' : ''}Synced ${formatTimeAgo(lastSync.finishedAt, now)}`
+            : 'Never synced'}
+        {autoRefresh.enabled && ' · auto'} ▾
+      </button>
+
+      {isOpen && (
+        <div
+          id="sync-panel-popover"
+          data-element="sync-panel-popover"
+          style={{
+            position: 'absolute',
+            top: '44px',
+            right: 0,
+            width: '400px',
+            maxHeight: '520px',
+            overflowY: 'auto',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)',
+            padding: '16px',
+            zIndex: 20
+          }}
+        >
+          <h3 style={{ fontSize: '14px', fontWeight: '600', color: '#111', margin: '0 0 12px 0' }}>
+            Sync with Akahu
+          </h3>
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+            {SYNC_SCOPES.map(scope => (
+              <button
+                key={scope.id}
+                data-element="sync-scope"
+                data-scope={scope.id}
+                onClick={() => sync(scope.id)}
+                disabled={isSyncing}
+                style={actionStyle(isSyncing)}
+              >
+                {scope.id === 'all' ? 'Refresh everything' : `Refresh ${scope.label.toLowerCase()}`}
+              </button>
+            ))}
+          </div>
+
+          <div
+            data-element="sync-auto-refresh"
+            data-enabled={autoRefresh.enabled}
+            style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', fontSize: '13px', color: '#374151', marginBottom: '16px' }}
+          >
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                data-element="sync-auto-refresh-toggle"
+                checked={autoRefresh.enabled}
+                onChange={(e) => preferencesStore.setPreference('autoRefreshEnabled', e.target.checked)}
+              />
+              Refresh automatically every
+            </label>
+            <select
+              data-element="sync-auto-refresh-interval"
+              value={autoRefreshMinutes}
+              onChange={(e) => preferencesStore.setPreference('autoRefreshMinutes', Number(e.target.value))}
+              style={{ padding: '4px 6px', fontSize: '13px', border: '1px solid #e5e7eb', borderRadius: '4px' }}
+            >
+              {AUTO_REFRESH_INTERVALS.map(minutes => (
+                <option key={minutes} value={minutes}>
+                  {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                </option>
+              ))}
+            </select>
+            {autoRefresh.enabled && (
+              <span data-element="sync-auto-refresh-status" style={{ flexBasis: '100%', fontSize: '12px', color: autoRefresh.failures > 0 ? '#b45309' : '#6b7280' }}>
+                {autoRefresh.isPaused
+                  ? 'Paused while this tab is in the background'
+                  : isSyncing
+                    ? 'Refreshing now'
+                    : `Next refresh ${formatTimeUntil(autoRefresh.nextRunAt, now.getTime())}`}
+                {autoRefresh.failures > 0 && ` · waiting longer after ${autoRefresh.failures} failed sync${autoRefresh.failures !== 1 ? 's' : ''}`}
+              </span>
+            )}
+          </div>
+
+          {current && (
+            <div data-element="sync-progress" style={{ marginBottom: '16px' }}>
+              <p style={sectionTitleStyle}>In progress</p>
+              {renderSteps(current.steps)}
+            </div>
+          )}
+
+          {!current && lastSync && (
+            <div data-element="sync-last-result" style={{ marginBottom: '16px' }}>
+              <p style={sectionTitleStyle}>Last sync · {formatSyncTime(lastSync.finishedAt)}</p>
+              {renderSteps(lastSync.steps)}
+            </div>
+          )}
+
+          <div data-element="sync-account-freshness" style={{ marginBottom: '16px' }}>
+            <p style={sectionTitleStyle}>Data as of</p>
+            {accounts.length === 0 && (
+              <p style={{ fontSize: '13px', color: '#9ca3af', margin: 0 }}>No accounts yet.</p>
+            )}
+            {accounts.map(account => {
+              const isManual = account.connection?._id === MANUAL_CONNECTION._id;
+              const freshness = getAccountFreshness(account, now);
+              return (
+                <div
+                  key={account._id}
+                  data-element="sync-account"
+                  data-account-id={account._id}
+                  data-stale={!isManual && freshness.isStale}
+                  style={{ padding: '6px 0', borderBottom: '1px solid #f3f4f6', fontSize: '13px' }}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                    <span style={{ fontWeight: '500', color: '#111' }}>{account.name}</span>
+                    {!isManual && freshness.isStale && (
+                      <span style={{ fontSize: '11px', color: '#b45309' }}>
+                        ⚠️ Older than {Math.round(STALE_AFTER_MS / 3600000)} h
+                      </span>
+                    )}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                    {isManual
+                      ? 'Imported from statements'
+                      : ACCOUNT_REFRESH_FIELDS
+                        .map(field => `${field.label} ${formatTimeAgo(freshness.refreshed[field.id], now) || 'never'}`)
+                        .join(' · ')}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div data-element="sync-history">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+              <p style={sectionTitleStyle}>History</p>
+              {history.length > 0 && (
+                <button
+                  data-element="sync-history-clear"
+                  onClick={clear}
+                  style={{ padding: 0, fontSize: '12px', color: '#6b7280', backgroundColor: 'transparent', border: 'none', cursor: 'pointer' }}
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            {history.length === 0 && (
+              <p style={{ fontSize: '13px', color: '#9ca3af', margin: 0 }}>No syncs from this browser yet.</p>
+            )}
+            {history.map(entry => (
+              <div
+                key={entry.id}
+                data-element="sync-history-entry"
+                data-status={entry.status}
+                style={{ padding: '6px 0', borderBottom: '1px solid #f3f4f6', fontSize: '12px' }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', color: '#111' }}>
+                  <span>
+                    {STATUS_ICONS[entry.status]} {SYNC_SCOPES.find(scope => scope.id === entry.scope)?.label}
+                    {entry.trigger === 'auto' && <span style={{ color: '#9ca3af' }}> · automatic</span>}
+                  </span>
+                  <span style={{ color: '#6b7280' }}>
+                    {formatSyncTime(entry.startedAt)}
+                    {' · '}{Math.max(1, Math.round((new Date(entry.finishedAt) - new Date(entry.startedAt)) / 1000))}s
+                  </span>
+                </div>
+                {entry.steps.map(step => (
+                  <div key={step.id} style={{ color: step.status === 'error' ? '#b91c1c' : '#6b7280' }}>
+                    {SYNC_STEPS[step.id].label}: {describeStep(step)}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncPanel;
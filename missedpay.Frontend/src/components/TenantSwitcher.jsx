@@ -0,0 +1,252 @@
+import { useState } from 'react';
+import { tenantStore } from '../services/tenantStore';
+import { preferencesStore } from '../services/preferences';
+import { useTenant } from '../hooks/useTenant';
+import { usePreferences } from '../hooks/usePreferences';
+
+/**
+ * Dropdown in the top navigation bar for switching the active tenant (household).
+ * Tenants are kept in localStorage with friendly names; the manage panel adds,
+ * renames and removes them, and turns on admin mode for the admin console.
+ */
+const TenantSwitcher = () => {
+  const { tenantId, tenants } = useTenant();
+  const { adminMode } = usePreferences();
+  const [isManaging, setIsManaging] = useState(false);
+  const [newTenantName, setNewTenantName] = useState('');
+  const [newTenantId, setNewTenantId] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleAddTenant = (e) => {
+    e.preventDefault();
+    try {
+      const addedTenantId = tenantStore.addTenant({ id: newTenantId, name: newTenantName });
+      tenantStore.setTenantId(addedTenantId);
+      setNewTenantName('');
+      setNewTenantId('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRename = (tenant) => {
+    const name = window.prompt('Rename household', tenant.name);
+    if (name !== null) {
+      tenantStore.renameTenant(tenant.id, name);
+    }
+  };
+
+  const inputStyle = {
+    padding: '6px 8px',
+    fontSize: '13px',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    width: '100%',
+    boxSizing: 'border-box'
+  };
+
+  const smallButtonStyle = {
+    padding: '4px 8px',
+    fontSize: '12px',
+    backgroundColor: 'transparent',
+    color: '#6b7280',
+    border: '1px solid #e5e7eb',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div
+      id="tenant-switcher"
+      data-component="tenant-switcher"
+      data-tenant-id={tenantId}
+      style={{ position: 'relative', display: 'flex', alignItems: 'center', gap: '8px' }}
+    >
+      <select
+        id="tenant-select"
+        data-element="tenant-select"
+        value={tenantId}
+        onChange={(e) => tenantStore.setTenantId(e.target.value)}
+        title="Active household"
+        style={{
+          padding: '8px 12px',
+          fontSize: '14px',
+          color: '#111',
+          backgroundColor: '#fff',
+          border: '1px solid #e5e7eb',
+          borderRadius: '6px',
+          cursor: 'pointer',
+          maxWidth: '220px'
+        }}
+      >
+        {tenants.map((tenant) => (
+          <option key={tenant.id} value={tenant.id}>
+            {tenant.name}
+          </option>
+        ))}
+      </select>
+
+      <button
+        id="tenant-manage-button"
+        data-element="tenant-manage-button"
+        onClick={() => setIsManaging(!isManaging)}
+        title="Manage households"
+        style={{
+          padding: '0',
+          width: '32px',
+          height: '32px',
+          fontSize: '16px',
+          backgroundColor: isManaging ? '#f3f4f6' : 'transparent',
+          color: '#6b7280',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer'
+        }}
+      >
+        ⚙
+      </button>
+
+      {isManaging && (
+        <div
+          id="tenant-manage-panel"
+          data-element="tenant-manage-panel"
+          style={{
+            position: 'absolute',
+            top: '44px',
+            right: 0,
+            width: '340px',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.1)',
+            padding: '16px',
+            zIndex: 20
+          }}
+        >
+          <h3 style={{ fontSize: '14px', fontWeight: '600', color: '#111', margin: '0 0 12px 0' }}>
+            Households
+          </h3>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+            {tenants.map((tenant) => (
+              <div
+                key={tenant.id}
+                data-element="tenant-row"
+                data-tenant-id={tenant.id}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{
+                    fontSize: '13px',
+                    fontWeight: tenant.id === tenantId ? '600' : '500',
+                    color: '#111'
+                  }}>
+                    {tenant.name}
+                  </div>
+                  <div style={{
+                    fontSize: '11px',
+                    color: '#9ca3af',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {tenant.id}
+                  </div>
+                </div>
+                <button onClick={() => handleRename(tenant)} style={smallButtonStyle}>
+                  Rename
+                </button>
+                <button
+                  onClick={() => tenantStore.removeTenant(tenant.id)}
+                  disabled={tenants.length === 1}
+                  style={{
+                    ...smallButtonStyle,
+                    color: '#dc2626',
+                    cursor: tenants.length === 1 ? 'not-allowed' : 'pointer',
+                    opacity: tenants.length === 1 ? 0.5 : 1
+                  }}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <form
+            id="tenant-add-form"
+            onSubmit={handleAddTenant}
+            style={{
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '8px',
+              paddingTop: '12px',
+              borderTop: '1px solid #e5e7eb'
+            }}
+          >
+            <input
+              type="text"
+              placeholder="Name (e.g. Smith family)"
+              value={newTenantName}
+              onChange={(e) => setNewTenantName(e.target.value)}
+              style={inputStyle}
+            />
+            <input
+              type="text"
+              placeholder="Tenant ID (GUID)"
+              value={newTenantId}
+              onChange={(e) => setNewTenantId(e.target.value)}
+              style={inputStyle}
+            />
+            {error && (
+              <p style={{ fontSize: '12px', color: '#dc2626', margin: 0 }}>{error}</p>
+            )}
+            <button
+              type="submit"
+              disabled={!newTenantId.trim()}
+              style={{
+                padding: '8px 12px',
+                fontSize: '13px',
+                fontWeight: '500',
+                backgroundColor: '#111',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: newTenantId.trim() ? 'pointer' : 'not-allowed',
+                opacity: newTenantId.trim() ? 1 : 0.5
+              }}
+            >
+              Add household
+            </button>
+          </form>
+
+          <label
+            id="admin-mode-toggle"
+            data-element="admin-mode-toggle"
+            title="Adds an Admin tab with database counts and actions that clear tenant data"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              marginTop: '12px',
+              paddingTop: '12px',
+              borderTop: '1px solid #e5e7eb',
+              fontSize: '13px',
+              color: '#4b5563',
+              cursor: 'pointer'
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={adminMode}
+              onChange={(e) => preferencesStore.setPreference('adminMode', e.target.checked)}
+            />
+            Admin mode
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TenantSwitcher;
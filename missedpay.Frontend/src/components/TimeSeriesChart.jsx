@@ -0,0 +1,268 @@
+import { useMemo, useState } from 'react';
+import { useElementWidth } from '../hooks/useElementWidth';
+
+const MARGIN = { top: 12, right: 16, bottom: 28, left: 72 };
+const MIN_SELECTION_DAYS = 2;
+
+// 1, 2 or 5 times a power of ten, so axis labels land on round numbers
+const niceStep = (span, targetTicks = 4) => {
+  const rough = span / targetTicks;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const residual = rough / magnitude;
+  if (residual > 5) return 10 * magnitude;
+  if (residual > 2) return 5 * magnitude;
+  if (residual > 1) return 2 * magnitude;
+  return magnitude;
+};
+
+// Stacks positive values upward from zero and negative values downward
+const stackAreas = (areas, length) => {
+  const positive = new Array(length).fill(0);
+  const negative = new Array(length).fill(0);
+
+  const stacked = areas.map(area => {
+    const y0 = new Array(length);
+    const y1 = new Array(length);
+    area.values.forEach((value, index) => {
+      const base = value >= 0 ? positive : negative;
+      y0[index] = base[index];
+      base[index] += value;
+      y1[index] = base[index];
+    });
+    return { ...area, y0, y1 };
+  });
+
+  return { stacked, positive, negative };
+};
+
+const formatAxisDate = (date, longRange) =>
+  new Intl.DateTimeFormat('en-NZ', longRange ? { month: 'short', year: '2-digit' } : { day: 'numeric', month: 'short' }).format(date);
+
+const formatTooltipDate = (date) =>
+  new Intl.DateTimeFormat('en-NZ', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+
+/**
+ * Daily time series as SVG: optional stacked `areas` ({ key, label, color, values })
+ * and a `line` ({ label, color, values }) over `days`. Hovering shows a tooltip
+ * for the day; dragging across the chart calls `onRangeSelect(start, end)`.
+ */
+const TimeSeriesChart = ({
+  id,
+  days,
+  areas = [],
+  line = null,
+  height = 220,
+  formatValue,
+  formatAxisValue = formatValue,
+  onRangeSelect,
+  label,
+}) => {
+  const [containerRef, width] = useElementWidth();
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [selection, setSelection] = useState(null);
+
+  const count = days.length;
+  const plotWidth = Math.max(1, width - MARGIN.left - MARGIN.right);
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+  const { stacked, yMin, yMax, ticks } = useMemo(() => {
+    const stack = stackAreas(areas, count);
+    const values = [...stack.positive, ...stack.negative, ...(line ? line.values : []), 0];
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    const step = niceStep(max - min);
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+
+    const tickValues = [];
+    for (let value = min; value <= max + step / 2; value += step) {
+      tickValues.push(value);
+    }
+    return { stacked: stack.stacked, yMin: min, yMax: max, ticks: tickValues };
+  }, [areas, line, count]);
+
+  if (count === 0) {
+    return (
+      <div id={id} ref={containerRef} data-component="time-series-chart" style={{ width: '100%' }}>
+        <p style={{ fontSize: '13px', color: '#9ca3af', margin: 0, padding: '24px 0', textAlign: 'center' }}>
+          No data for this range
+        </p>
+      </div>
+    );
+  }
+
+  const x = (index) => MARGIN.left + (count === 1 ? plotWidth / 2 : (index / (count - 1)) * plotWidth);
+  const y = (value) => MARGIN.top + ((yMax - value) / (yMax - yMin)) * plotHeight;
+
+  const indexAt = (clientX, element) => {
+    const bounds = element.getBoundingClientRect();
+    const position = (clientX - bounds.left - MARGIN.left) / plotWidth;
+    return Math.max(0, Math.min(count - 1, Math.round(position * (count - 1))));
+  };
+
+  const linePath = (values) =>
+    values.map((value, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(value).toFixed(1)}`).join('');
+
+  const areaPath = (area) => {
+    const top = area.y1.map((value, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+    const bottom = area.y0.map((value, index) => `L${x(index).toFixed(1)},${y(value).toFixed(1)}`).reverse();
+    return `${top.join('')}${bottom.join('')}Z`;
+  };
+
+  const handlePointerDown = (e) => {
+    if (!onRangeSelect) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const index = indexAt(e.clientX, e.currentTarget);
+    setSelection({ start: index, end: index });
+  };
+
+  const handlePointerMove = (e) => {
+    const index = indexAt(e.clientX, e.currentTarget);
+    setHoverIndex(index);
+    if (selection) setSelection({ ...selection, end: index });
+  };
+
+  const handlePointerUp = () => {
+    if (!selection) return;
+    const start = Math.min(selection.start, selection.end);
+    const end = Math.max(selection.start, selection.end);
+    setSelection(null);
+    if (end - start >= MIN_SELECTION_DAYS) {
+      onRangeSelect(days[start], days[end]);
+    }
+  };
+
+  const longRange = count > 180;
+  const xTickCount = Math.min(count, Math.max(2, Math.floor(plotWidth / 90)));
+  const xTicks = [...new Set(Array.from({ length: xTickCount }, (_, i) =>
+    Math.round((i / Math.max(1, xTickCount - 1)) * (count - 1))
+  ))];
+
+  const hovered = hoverIndex !== null && hoverIndex < count ? hoverIndex : null;
+  const tooltipOnLeft = hovered !== null && x(hovered) > width / 2;
+
+  return (
+    <div
+      id={id}
+      ref={containerRef}
+      data-component="time-series-chart"
+      style={{ position: 'relative', width: '100%', userSelect: 'none' }}
+    >
+      <svg
+        width={width}
+        height={height}
+        role="img"
+        aria-label={label}
+        style={{ display: 'block', touchAction: 'pan-y', cursor: onRangeSelect ? 'crosshair' : 'default' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => {
+          if (!selection) setHoverIndex(null);
+        }}
+      >
+        {/* Y axis grid and labels */}
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line
+              x1={MARGIN.left}
+              x2={MARGIN.left + plotWidth}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke={tick === 0 ? '#d1d5db' : '#f3f4f6'}
+            />
+            <text x={MARGIN.left - 8} y={y(tick)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#9ca3af">
+              {formatAxisValue(tick)}
+            </text>
+          </g>
+        ))}
+
+        {/* X axis labels */}
+        {xTicks.map(index => (
+          <text
+            key={index}
+            x={x(index)}
+            y={height - 8}
+            textAnchor={index === 0 ? 'start' : index === count - 1 ? 'end' : 'middle'}
+            fontSize="11"
+            fill="#9ca3af"
+          >
+            {formatAxisDate(days[index], longRange)}
+          </text>
+        ))}
+
+        {stacked.map(area => (
+          <path key={area.key} d={areaPath(area)} fill={area.color} fillOpacity="0.35" stroke={area.color} strokeWidth="1" />
+        ))}
+
+        {line && (
+          <path d={linePath(line.values)} fill="none" stroke={line.color} strokeWidth="2" />
+        )}
+
+        {selection && (
+          <rect
+            data-element="chart-selection"
+            x={x(Math.min(selection.start, selection.end))}
+            y={MARGIN.top}
+            width={Math.abs(x(selection.end) - x(selection.start))}
+            height={plotHeight}
+            fill="#3b82f6"
+            fillOpacity="0.12"
+          />
+        )}
+
+        {hovered !== null && (
+          <g data-element="chart-hover">
+            <line x1={x(hovered)} x2={x(hovered)} y1={MARGIN.top} y2={MARGIN.top + plotHeight} stroke="#9ca3af" strokeDasharray="3 3" />
+            {line && <circle cx={x(hovered)} cy={y(line.values[hovered])} r="4" fill={line.color} stroke="#fff" strokeWidth="2" />}
+          </g>
+        )}
+      </svg>
+
+      {hovered !== null && !selection && (
+        <div
+          data-element="chart-tooltip"
+          style={{
+            position: 'absolute',
+            top: MARGIN.top,
+            left: tooltipOnLeft ? undefined : x(hovered) + 12,
+            right: tooltipOnLeft ? width - x(hovered) + 12 : undefined,
+            minWidth: '160px',
+            padding: '8px 10px',
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '6px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+            fontSize: '12px',
+            pointerEvents: 'none'
+          }}
+        >
+          <div style={{ fontWeight: '600', color: '#111', marginBottom: '4px' }}>
+            {formatTooltipDate(days[hovered])}
+          </div>
+          {line && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', color: '#111' }}>
+              <span>{line.label}</span>
+              <strong>{formatValue(line.values[hovered])}</strong>
+            </div>
+          )}
+          {areas.filter(area => area.values[hovered] !== 0).map(area => (
+            <div key={area.key} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', color: '#6b7280' }}>
+              <span>
+                <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '2px', backgroundColor: area.color, marginRight: '6px' }} />
+                {area.label}
+              </span>
+              <span>{formatValue(area.values[hovered])}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeSeriesChart;
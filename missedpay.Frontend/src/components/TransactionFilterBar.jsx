@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { hasActiveFilters, UNCATEGORIZED_FILTER } from '../utils/transactionFilters';
+
+/**
+ * Search and filter controls for TransactionList. `types` and `categories`
+ * are the options present in the unfiltered list.
+ */
+const TransactionFilterBar = ({ filters, onChange, onClear, types, categories, resultCount, totalCount }) => {
+  const [copyStatus, setCopyStatus] = useState(null);
+  const isFiltered = hasActiveFilters(filters);
+
+  const update = (field, value) => onChange({ ...filters, [field]: value });
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopyStatus('Copied');
+    } catch {
+      setCopyStatus('Copy failed');
+    }
+    setTimeout(() => setCopyStatus(null), 2000);
+  };
+
+  const controlStyle = {
+    padding: '8px 12px',
+    fontSize: '14px',
+    color: '#111',
+    backgroundColor: '#fff',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px'
+  };
+
+  const buttonStyle = {
+    ...controlStyle,
+    color: '#374151',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div
+      id="transaction-filter-bar"
+      data-component="transaction-filter-bar"
+      data-filtered={isFiltered}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+        marginBottom: '16px'
+      }}
+    >
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <input
+          type="search"
+          id="transaction-filter-search"
+          data-element="filter-search"
+          placeholder="Search merchant, description, particulars, code, reference…"
+          value={filters.search}
+          onChange={(e) => update('search', e.target.value)}
+          style={{ ...controlStyle, flex: '1 1 260px', minWidth: '200px' }}
+        />
+
+        <select
+          id="transaction-filter-direction"
+          data-element="filter-direction"
+          aria-label="Direction"
+          value={filters.direction}
+          onChange={(e) => update('direction', e.target.value)}
+          style={{ ...controlStyle, cursor: 'pointer' }}
+        >
+          <option value="">Income & expenses</option>
+          <option value="income">Income only</option>
+          <option value="expense">Expenses only</option>
+        </select>
+
+        <select
+          id="transaction-filter-type"
+          data-element="filter-type"
+          aria-label="Transaction type"
+          value={filters.type}
+          onChange={(e) => update('type', e.target.value)}
+          style={{ ...controlStyle, cursor: 'pointer' }}
+        >
+          <option value="">All types</option>
+          {types.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+          {filters.type && !types.includes(filters.type) && (
+            <option value={filters.type}>{filters.type}</option>
+          )}
+        </select>
+
+        <select
+          id="transaction-filter-category"
+          data-element="filter-category"
+          aria-label="Category"
+          value={filters.category}
+          onChange={(e) => update('category', e.target.value)}
+          style={{ ...controlStyle, cursor: 'pointer', maxWidth: '220px' }}
+        >
+          <option value="">All categories</option>
+          <option value={UNCATEGORIZED_FILTER}>Uncategorized</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>{category.name}</option>
+          ))}
+          {filters.category && filters.category !== UNCATEGORIZED_FILTER
+            && !categories.some(category => category.id === filters.category) && (
+            <option value={filters.category}>Unknown category</option>
+          )}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+        <span style={{ fontSize: '14px', color: '#6b7280' }}>Amount</span>
+        <input
+          type="number"
+          id="transaction-filter-min-amount"
+          data-element="filter-min-amount"
+          aria-label="Minimum amount"
+          placeholder="Min"
+          min="0"
+          step="0.01"
+          value={filters.minAmount}
+          onChange={(e) => update('minAmount', e.target.value)}
+          style={{ ...controlStyle, width: '100px' }}
+        />
+        <span style={{ fontSize: '14px', color: '#6b7280' }}>to</span>
+        <input
+          type="number"
+          id="transaction-filter-max-amount"
+          data-element="filter-max-amount"
+          aria-label="Maximum amount"
+          placeholder="Max"
+          min="0"
+          step="0.01"
+          value={filters.maxAmount}
+          onChange={(e) => update('maxAmount', e.target.value)}
+          style={{ ...controlStyle, width: '100px' }}
+        />
+
+        <span
+          id="transaction-filter-result-count"
+          data-element="filter-result-count"
+          style={{ fontSize: '14px', color: '#6b7280', marginLeft: 'auto' }}
+        >
+          {isFiltered
+            ? `${resultCount} of ${totalCount} transaction${totalCount !== 1 ? 's' : ''}`
+            : `${totalCount} transaction${totalCount !== 1 ? 's' : ''}`}
+        </span>
+
+        {isFiltered && (
+          <>
+            <button
+              id="transaction-filter-copy-link"
+              data-element="filter-copy-link"
+              onClick={handleCopyLink}
+              title="Copy a link to this filtered view"
+              style={buttonStyle}
+            >
+              {copyStatus || '🔗 Copy link'}
+            </button>
+            <button
+              id="transaction-filter-clear"
+              data-element="filter-clear"
+              onClick={onClear}
+              style={buttonStyle}
+            >
+              Clear filters
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionFilterBar;
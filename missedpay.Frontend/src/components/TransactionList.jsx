@@ -1,29 +1,22 @@
-const TransactionList = ({ transactions, accountId, account }) => {
-  const formatCurrency = (amount, currency = 'NZD') => {
-    return '$' + new Intl.NumberFormat('en-US', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(amount);
-  };
+import { useMemo } from 'react';
+import CategoryPicker from './CategoryPicker';
+import CategoryOverrideBadge from './CategoryOverrideBadge';
+import TransferBadge from './TransferBadge';
+import TransactionFilterBar from './TransactionFilterBar';
+import ExportMenu from './ExportMenu';
+import VirtualTransactionList from './VirtualTransactionList';
+import { useCategoryOverride } from '../hooks/useCategoryOverride';
+import { useTransactionFilters } from '../hooks/useTransactionFilters';
+import { useMoney } from '../hooks/useMoney';
+import { getMerchantName } from '../utils/transactions';
+import { getAccountCurrency, getConversion } from '../utils/money';
+import { filterTransactions, getCategoryOptions, getTransactionTypes } from '../utils/transactionFilters';
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+const TransactionList = ({ transactions, accountId, account, accounts = [], dateRangeLabel = 'All time' }) => {
+  const categoryOverride = useCategoryOverride();
+  const { filters, setFilters, clearFilters } = useTransactionFilters();
 
-    if (date.toDateString() === today.toDateString()) {
-      return 'Today';
-    } else if (date.toDateString() === yesterday.toDateString()) {
-      return 'Yesterday';
-    } else {
-      return new Intl.DateTimeFormat('en-US', {
-        day: 'numeric',
-        month: 'short',
-        year: date.getFullYear() !== today.getFullYear() ? 'numeric' : undefined,
-      }).format(date);
-    }
-  };
+  const money = useMoney();
 
   const getTransactionIcon = (transaction) => {
     const type = transaction.type?.toLowerCase() || '';
@@ -79,22 +72,164 @@ const TransactionList = ({ transactions, accountId, account }) => {
     return formatted;
   };
 
-  const filteredTransactions = accountId
-    ? transactions.filter((t) => t._account === accountId)
-    : transactions;
+  // `transactions` are already limited to the selected date range
+  const accountTransactions = useMemo(
+    () => (accountId ? transactions.filter((t) => t._account === accountId) : transactions),
+    [transactions, accountId]
+  );
+  const types = useMemo(() => getTransactionTypes(accountTransactions), [accountTransactions]);
+  const categories = useMemo(() => getCategoryOptions(accountTransactions), [accountTransactions]);
 
-  // Filter to last 31 days
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - 31);
-  const last31DaysTransactions = filteredTransactions.filter(
-    (t) => new Date(t.date) >= cutoffDate
+  const sortedTransactions = useMemo(
+    // filterTransactions returns the list itself when no filter is set; sort a copy
+    () => [...filterTransactions(accountTransactions, filters)].sort(
+      (a, b) => new Date(b.date) - new Date(a.date)
+    ),
+    [accountTransactions, filters]
   );
 
-  const sortedTransactions = [...last31DaysTransactions].sort(
-    (a, b) => new Date(b.date) - new Date(a.date)
+  const renderTransactionRow = (transaction) => (
+    <div
+      id={`transaction-item-${transaction._id}`}
+      data-component="transaction-item"
+      data-transaction-id={transaction._id}
+      data-merchant={transaction.merchant?.name}
+      data-amount={transaction.amount}
+      data-category={transaction.category?.name}
+      className="transaction-row"
+      style={{
+        border: '1px solid #e5e7eb',
+        borderRadius: '8px',
+        padding: '12px 16px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px'
+      }}
+    >
+      <div
+        data-element="transaction-direction-indicator"
+        style={{
+          width: '32px',
+          height: '32px',
+          backgroundColor: getIconBackgroundColor(transaction.amount),
+          borderRadius: '6px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          fontSize: '16px',
+          flexShrink: 0
+        }}
+      >
+        <span style={{
+          filter: 'grayscale(1)',
+          opacity: 0.8
+        }}>
+          {transaction.amount < 0 ? '↗' : '↙'}
+        </span>
+      </div>
+
+      <span
+        data-element="transaction-category-icon"
+        style={{ fontSize: '16px', flexShrink: 0 }}
+      >
+        {getTransactionIcon(transaction)}
+      </span>
+
+      <span
+        data-element="transaction-description"
+        style={{
+          fontSize: '15px',
+          fontWeight: '500',
+          color: '#111',
+          flex: '1',
+          minWidth: '0',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap'
+        }}
+      >
+        {transaction.merchant?.name || transaction.description}
+      </span>
+
+      {transaction.category && (
+        <span
+          data-element="transaction-category-name"
+          data-category-override={transaction.isCategoryOverride || false}
+          style={{
+            fontSize: '13px',
+            color: transaction.isCategoryOverride ? '#92400e' : '#6b7280',
+            flexShrink: 0,
+            paddingLeft: '8px',
+            borderLeft: '1px solid #e5e7eb'
+          }}
+        >
+          {transaction.category.name}
+        </span>
+      )}
+
+      {transaction.isInternalTransfer && <TransferBadge transaction={transaction} accounts={accounts} />}
+
+      {transaction.isCategoryOverride && (
+        <CategoryOverrideBadge
+          transaction={transaction}
+          onRevert={categoryOverride.revertOverride}
+          disabled={categoryOverride.pendingTransactionId === transaction._id}
+        />
+      )}
+
+      <button
+        data-element="transaction-override-category"
+        className="transaction-row-action"
+        onClick={() => categoryOverride.startOverride(transaction)}
+        disabled={categoryOverride.pendingTransactionId === transaction._id}
+        title="Change the category of this transaction only"
+        style={{
+          padding: '4px 6px',
+          fontSize: '13px',
+          color: '#6b7280',
+          backgroundColor: 'transparent',
+          border: '1px solid transparent',
+          borderRadius: '4px',
+          cursor: 'pointer',
+          flexShrink: 0
+        }}
+      >
+        {categoryOverride.pendingTransactionId === transaction._id ? '…' : '🏷️'}
+      </button>
+
+      {getConversion(transaction) && (
+        <span
+          data-element="transaction-original-amount"
+          title="Original amount and exchange rate"
+          style={{
+            fontSize: '12px',
+            color: '#9ca3af',
+            flexShrink: 0,
+            whiteSpace: 'nowrap'
+          }}
+        >
+          {money.formatConversion(getConversion(transaction))}
+        </span>
+      )}
+
+      <div
+        data-element="transaction-amount"
+        style={{
+          fontSize: '15px',
+          fontWeight: '600',
+          color: transaction.amount < 0 ? '#dc2626' : '#059669',
+          textAlign: 'right',
+          flexShrink: 0,
+          minWidth: '80px'
+        }}
+      >
+        {transaction.amount < 0 ? '-' : ''}
+        {money.format(Math.abs(transaction.amount), transaction.currency)}
+      </div>
+    </div>
   );
 
-  if (sortedTransactions.length === 0) {
+  if (accountTransactions.length === 0) {
     return (
       <div 
         id="transaction-list-empty-state"
@@ -107,7 +242,7 @@ const TransactionList = ({ transactions, accountId, account }) => {
         }}
       >
         <h3 style={{ fontSize: '18px', marginBottom: '8px', color: '#111' }}>No transactions yet</h3>
-        <p style={{ fontSize: '14px', color: '#6b7280' }}>Transactions for this account will appear here</p>
+        <p style={{ fontSize: '14px', color: '#6b7280' }}>No transactions for this account ({dateRangeLabel})</p>
       </div>
     );
   }
@@ -199,7 +334,7 @@ const TransactionList = ({ transactions, accountId, account }) => {
                   marginBottom: '2px'
                 }}
               >
-                {formatCurrency(account.balance.current, account.balance.currency)}
+                {money.format(account.balance.current, getAccountCurrency(account))}
               </div>
               <div 
                 id="account-header-transaction-count"
@@ -209,7 +344,7 @@ const TransactionList = ({ transactions, accountId, account }) => {
                   color: '#6b7280'
                 }}
               >
-                {sortedTransactions.length} transaction{sortedTransactions.length !== 1 ? 's' : ''}
+                {accountTransactions.length} transaction{accountTransactions.length !== 1 ? 's' : ''}
               </div>
             </div>
             
@@ -228,138 +363,122 @@ const TransactionList = ({ transactions, accountId, account }) => {
         </div>
       )}
 
-      <h2 
-        id="transaction-list-title"
-        data-element="section-title"
-        style={{
-          fontSize: '20px',
-          fontWeight: '600',
-          color: '#111',
-          marginBottom: '16px'
-        }}
-      >
-        Recent Transactions (Last 31 Days)
-      </h2>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', marginBottom: '16px' }}>
+        <h2 
+          id="transaction-list-title"
+          data-element="section-title"
+          style={{
+            fontSize: '20px',
+            fontWeight: '600',
+            color: '#111',
+            margin: 0
+          }}
+        >
+          Transactions ({dateRangeLabel})
+        </h2>
+        <ExportMenu
+          id="transaction-list-export"
+          transactions={sortedTransactions}
+          accounts={accounts}
+          name={account ? `${account.name} ${dateRangeLabel}` : dateRangeLabel}
+        />
+      </div>
 
-      <div 
-        id="transaction-list-items"
-        data-component="transaction-items"
-        style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}
-      >
-        {sortedTransactions.map((transaction) => (
-          <div 
-            key={transaction._id}
-            id={`transaction-item-${transaction._id}`}
-            data-component="transaction-item"
-            data-transaction-id={transaction._id}
-            data-merchant={transaction.merchant?.name}
-            data-amount={transaction.amount}
-            data-category={transaction.category?.name}
-            style={{ 
+      <TransactionFilterBar
+        filters={filters}
+        onChange={setFilters}
+        onClear={clearFilters}
+        types={types}
+        categories={categories}
+        resultCount={sortedTransactions.length}
+        totalCount={accountTransactions.length}
+      />
+
+      {sortedTransactions.length === 0 && (
+        <div
+          id="transaction-list-no-matches"
+          data-component="empty-state"
+          style={{
+            textAlign: 'center',
+            padding: '32px',
+            backgroundColor: '#f9fafb',
+            borderRadius: '12px'
+          }}
+        >
+          <p style={{ fontSize: '14px', color: '#6b7280', margin: '0 0 12px' }}>
+            No transactions match these filters
+          </p>
+          <button
+            data-element="filter-clear"
+            onClick={clearFilters}
+            style={{
+              padding: '8px 12px',
+              fontSize: '14px',
+              color: '#374151',
               backgroundColor: '#fff',
               border: '1px solid #e5e7eb',
-              borderRadius: '8px',
-              padding: '12px 16px',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '12px',
-              transition: 'box-shadow 0.2s ease'
-            }}
-            onMouseEnter={(e) => {
-              e.currentTarget.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.08)';
-            }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.boxShadow = 'none';
+              borderRadius: '6px',
+              cursor: 'pointer'
             }}
           >
-            <div 
-              data-element="transaction-direction-indicator"
-              style={{
-                width: '32px',
-                height: '32px',
-                backgroundColor: getIconBackgroundColor(transaction.amount),
-                borderRadius: '6px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                fontSize: '16px',
-                flexShrink: 0
-              }}
-            >
-              <span style={{
-                filter: 'grayscale(1)',
-                opacity: 0.8
-              }}>
-                {transaction.amount < 0 ? '↗' : '↙'}
-              </span>
-            </div>
-
-            <span 
-              data-element="transaction-category-icon"
-              style={{ fontSize: '16px', flexShrink: 0 }}
-            >
-              {getTransactionIcon(transaction)}
-            </span>
-
-            <span 
-              data-element="transaction-description"
-              style={{ 
-                fontSize: '15px',
-                fontWeight: '500',
-                color: '#111',
-                flex: '1',
-                minWidth: '0',
-                overflow: 'hidden',
-                textOverflow: 'ellipsis',
-                whiteSpace: 'nowrap'
-              }}
-            >
-              {transaction.merchant?.name || transaction.description}
-            </span>
+            Clear filters
+          </button>
+        </div>
+      )}
 
-            <span 
-              data-element="transaction-date"
-              style={{ 
-                fontSize: '13px',
-                color: '#9ca3af',
-                flexShrink: 0
-              }}
-            >
-              {formatDate(transaction.date)}
-            </span>
+      <VirtualTransactionList
+        id="transaction-list-items"
+        label={`Transactions (${dateRangeLabel})`}
+        transactions={sortedTransactions}
+        renderRow={renderTransactionRow}
+        onActivate={categoryOverride.startOverride}
+      />
 
-            {transaction.category && (
-              <span 
-                data-element="transaction-category-name"
-                style={{ 
-                  fontSize: '13px',
-                  color: '#6b7280',
-                  flexShrink: 0,
-                  paddingLeft: '8px',
-                  borderLeft: '1px solid #e5e7eb'
-                }}
-              >
-                {transaction.category.name}
-              </span>
-            )}
+      {categoryOverride.error && (
+        <div
+          id="transaction-list-override-error"
+          data-element="status-message"
+          data-status-type="error"
+          role="alert"
+          style={{
+            marginTop: '12px',
+            padding: '12px 16px',
+            borderRadius: '6px',
+            backgroundColor: '#fee2e2',
+            border: '1px solid #fca5a5',
+            fontSize: '14px',
+            color: '#991b1b',
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: '12px'
+          }}
+        >
+          <span>{categoryOverride.error}</span>
+          <button
+            onClick={categoryOverride.clearError}
+            aria-label="Dismiss"
+            style={{ background: 'none', border: 'none', color: '#991b1b', cursor: 'pointer', fontSize: '16px' }}
+          >
+            ×
+          </button>
+        </div>
+      )}
 
-            <div 
-              data-element="transaction-amount"
-              style={{ 
-                fontSize: '15px',
-                fontWeight: '600',
-                color: transaction.amount < 0 ? '#dc2626' : '#059669',
-                textAlign: 'right',
-                flexShrink: 0,
-                minWidth: '80px'
-              }}
-            >
-              {transaction.amount < 0 ? '-' : ''}
-              {formatCurrency(Math.abs(transaction.amount))}
-            </div>
-          </div>
-        ))}
-      </div>
+      {/* Per-transaction category override */}
+      <CategoryPicker
+        isOpen={categoryOverride.overridingTransaction !== null}
+        title="Categorize This Transaction Only"
+        onClose={categoryOverride.cancelOverride}
+        onSelect={categoryOverride.selectOverride}
+        merchantName={categoryOverride.overridingTransaction ? getMerchantName(categoryOverride.overridingTransaction) : null}
+        description={categoryOverride.overridingTransaction?.description}
+        amount={categoryOverride.overridingTransaction?.amount}
+        currentCategory={categoryOverride.overridingTransaction?.category ? {
+          id: categoryOverride.overridingTransaction.category._id,
+          name: categoryOverride.overridingTransaction.category.name,
+          groupName: categoryOverride.overridingTransaction.category.groups?.personal_finance?.name
+        } : null}
+      />
     </div>
   );
 };
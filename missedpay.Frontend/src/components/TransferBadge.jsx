@@ -0,0 +1,36 @@
+/**
+ * Marker for a transaction matched as a transfer between our own accounts.
+ * `accounts` is used to name the account on the other side.
+ */
+const TransferBadge = ({ transaction, accounts = [] }) => {
+  const otherAccount = accounts.find(a => a._id === transaction.transferAccountId);
+  const direction = transaction.amount < 0 ? 'to' : 'from';
+  const title = otherAccount
+    ? `Transfer ${direction} ${otherAccount.name}${transaction.transferPairId ? '' : ' (other side not imported)'}`
+    : 'Transfer between your accounts';
+
+  return (
+    <span
+      data-element="transfer-badge"
+      data-transaction-id={transaction._id}
+      data-pair-id={transaction.transferPairId || undefined}
+      title={title}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        padding: '2px 8px',
+        fontSize: '11px',
+        fontWeight: '500',
+        color: '#3730a3',
+        backgroundColor: '#e0e7ff',
+        borderRadius: '9999px',
+        flexShrink: 0,
+        whiteSpace: 'nowrap'
+      }}
+    >
+      ⇄ Transfer
+    </span>
+  );
+};
+
+export default TransferBadge;
@@ -0,0 +1,195 @@
+import { useCallback, useMemo, useState } from 'react';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { formatDate, getDayKey } from '../utils/dates';
+import './VirtualTransactionList.css';
+
+const HEADER_HEIGHT = 36;
+const ROW_GAP = 8;
+
+const buildItems = (transactions, groupByDate) => {
+  const items = [];
+  let currentDay = null;
+  transactions.forEach(transaction => {
+    if (groupByDate) {
+      const day = getDayKey(transaction.date);
+      if (day !== currentDay) {
+        currentDay = day;
+        items.push({ kind: 'header', key: `header-${day}`, label: formatDate(transaction.date) });
+      }
+    }
+    items.push({ kind: 'row', key: transaction._id, transaction });
+  });
+  return items;
+};
+
+// Elements that handle their own clicks and keys inside a row
+const isInteractive = (element) => Boolean(element.closest('button, a, input, select, textarea'));
+
+/**
+ * Windowed list of transactions for long histories. Rows are rendered by
+ * `renderRow(transaction, { isActive })` into fixed-height slots of `rowHeight`;
+ * with `groupByDate` the (already date-sorted) transactions get a header per day.
+ *
+ * The list is focusable: arrow keys (or j/k), Page Up/Down, Home and End move
+ * the active row, Enter calls `onActivate` and Escape clears the selection.
+ */
+const VirtualTransactionList = ({
+  id,
+  transactions,
+  renderRow,
+  rowHeight = 58,
+  groupByDate = true,
+  maxHeight = 640,
+  onActivate,
+  label = 'Transactions',
+}) => {
+  const [activeId, setActiveId] = useState(null);
+
+  const items = useMemo(() => buildItems(transactions, groupByDate), [transactions, groupByDate]);
+  const rowIndices = useMemo(
+    () => items.flatMap((item, index) => (item.kind === 'row' ? [index] : [])),
+    [items]
+  );
+  const getItemHeight = useCallback(
+    (item) => (item.kind === 'header' ? HEADER_HEIGHT : rowHeight + ROW_GAP),
+    [rowHeight]
+  );
+
+  const {
+    containerRef,
+    onScroll,
+    offsets,
+    totalHeight,
+    viewportHeight,
+    startIndex,
+    endIndex,
+    scrollToIndex,
+  } = useVirtualList({ items, getItemHeight, maxHeight });
+
+  const activeIndex = activeId === null
+    ? -1
+    : items.findIndex(item => item.kind === 'row' && String(item.transaction._id) === activeId);
+
+  const moveTo = (position) => {
+    if (rowIndices.length === 0) return;
+    const index = rowIndices[Math.max(0, Math.min(rowIndices.length - 1, position))];
+    setActiveId(String(items[index].transaction._id));
+    scrollToIndex(index);
+    // Keep the day header in view when landing on the first row of a day
+    if (index > 0 && items[index - 1].kind === 'header') {
+      scrollToIndex(index - 1);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Let buttons inside rows handle their own keys
+    if (e.target !== e.currentTarget) return;
+
+    const position = rowIndices.indexOf(activeIndex);
+    const pageSize = Math.max(1, Math.floor(viewportHeight / (rowHeight + ROW_GAP)));
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'j':
+        moveTo(position + 1);
+        break;
+      case 'ArrowUp':
+      case 'k':
+        moveTo(position === -1 ? 0 : position - 1);
+        break;
+      case 'PageDown':
+        moveTo(position + pageSize);
+        break;
+      case 'PageUp':
+        moveTo(position - pageSize);
+        break;
+      case 'Home':
+        moveTo(0);
+        break;
+      case 'End':
+        moveTo(rowIndices.length - 1);
+        break;
+      case 'Enter':
+        if (activeIndex === -1 || !onActivate) return;
+        onActivate(items[activeIndex].transaction);
+        break;
+      case 'Escape':
+        if (activeIndex === -1) return;
+        setActiveId(null);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  // One delegated handler instead of a click handler per row
+  const handleClick = (e) => {
+    const row = e.target.closest('[data-virtual-row]');
+    if (!row) return;
+    setActiveId(row.dataset.transactionId);
+    if (!isInteractive(e.target)) {
+      e.currentTarget.focus({ preventScroll: true });
+    }
+  };
+
+  if (items.length === 0) return null;
+
+  const activeItemId = activeIndex === -1 ? undefined : `${id}-row-${activeId}`;
+
+  return (
+    <div
+      id={id}
+      ref={containerRef}
+      data-component="virtual-transaction-list"
+      data-row-count={rowIndices.length}
+      className="virtual-transaction-list"
+      role="listbox"
+      aria-label={label}
+      aria-activedescendant={activeItemId}
+      tabIndex={0}
+      onScroll={onScroll}
+      onKeyDown={handleKeyDown}
+      onClick={handleClick}
+      style={{ height: viewportHeight }}
+    >
+      <div style={{ position: 'relative', height: totalHeight }}>
+        {items.slice(startIndex, endIndex + 1).map((item, i) => {
+          const index = startIndex + i;
+
+          if (item.kind === 'header') {
+            return (
+              <div
+                key={item.key}
+                role="presentation"
+                data-element="date-section-header"
+                className="virtual-list-date-header"
+                style={{ top: offsets[index], height: HEADER_HEIGHT }}
+              >
+                {item.label}
+              </div>
+            );
+          }
+
+          const isActive = index === activeIndex;
+          return (
+            <div
+              key={item.key}
+              id={`${id}-row-${item.transaction._id}`}
+              role="option"
+              aria-selected={isActive}
+              data-virtual-row
+              data-transaction-id={item.transaction._id}
+              className={`virtual-list-row${isActive ? ' active' : ''}`}
+              style={{ top: offsets[index], height: rowHeight }}
+            >
+              {renderRow(item.transaction, { isActive })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualTransactionList;
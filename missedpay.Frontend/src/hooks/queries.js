@@ -0,0 +1,53 @@
+import { useQuery } from './useQuery';
+import { useTenant } from './useTenant';
+import { accountsApi, transactionsApi, categorizationApi, adminApi } from '../services/api';
+import { budgetService } from '../services/budgets';
+
+// Tenant-scoped data includes the tenant in its key so each household has its own cache entry
+export const queryKeys = {
+  accounts: (tenantId) => ['accounts', tenantId],
+  transactions: (tenantId) => ['transactions', tenantId],
+  categories: () => ['categories'],
+  categorySuggestions: (merchantName) => ['categorySuggestions', merchantName],
+  budgets: (tenantId) => ['budgets', tenantId],
+  // `target` is a tenant id or ALL_TENANTS
+  adminStats: (target) => ['adminStats', target],
+};
+
+export const useAccounts = () => {
+  const { tenantId } = useTenant();
+  return useQuery(queryKeys.accounts(tenantId), ({ signal }) => accountsApi.getAll({ signal }));
+};
+
+export const useTransactions = () => {
+  const { tenantId } = useTenant();
+  return useQuery(queryKeys.transactions(tenantId), ({ signal }) => transactionsApi.getAll({ signal }));
+};
+
+// The category list is static on the server, so it is fetched once per session
+export const useCategories = ({ enabled = true } = {}) => {
+  return useQuery(
+    queryKeys.categories(),
+    ({ signal }) => categorizationApi.getAllCategories({ signal }),
+    { enabled, staleTime: Infinity }
+  );
+};
+
+// Merchant categorization is shared across tenants on the server, so suggestions are keyed by merchant only
+export const useCategorySuggestions = (merchantName, { description, amount, enabled = true } = {}) => {
+  return useQuery(
+    queryKeys.categorySuggestions(merchantName),
+    ({ signal }) => categorizationApi.getSuggestions(merchantName, { description, amount }, { signal }),
+    { enabled: enabled && Boolean(merchantName), staleTime: 5 * 60 * 1000 }
+  );
+};
+
+export const useBudgets = () => {
+  const { tenantId } = useTenant();
+  return useQuery(queryKeys.budgets(tenantId), ({ signal }) => budgetService.getBudgets(tenantId, { signal }));
+};
+
+// Row counts change whenever data is synced or cleared, so they are always refetched on mount
+export const useAdminStats = (target) => {
+  return useQuery(queryKeys.adminStats(target), ({ signal }) => adminApi.getStats(target, { signal }), { staleTime: 0 });
+};
@@ -0,0 +1,82 @@
+import { useCallback, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { queryKeys } from './queries';
+import { queryClient } from '../services/queryClient';
+import { adminApi, ALL_TENANTS } from '../services/api';
+import { adminLogStore } from '../services/adminLog';
+import { tenantStore } from '../services/tenantStore';
+import { getAdminAction } from '../utils/admin';
+
+const ACTION_REQUESTS = {
+  clearTransactions: (target) => adminApi.clearTransactions(target),
+  clearAccounts: (target) => adminApi.clearAccounts(target),
+  clearAllData: (target) => adminApi.clearAllData(target),
+};
+
+const subscribe = (listener) => adminLogStore.subscribe(listener);
+
+/**
+ * Results of past admin actions, newest first.
+ */
+export const useAdminLog = () => {
+  const log = useSyncExternalStore(subscribe, adminLogStore.getLog);
+  return useMemo(() => ({ log, clear: () => adminLogStore.clear() }), [log]);
+};
+
+/**
+ * Runs destructive admin requests one at a time. `run(actionId, target)`
+ * resolves to the log entry (errors are recorded, not thrown), or null while
+ * another action is running. Cached data for the cleared tenant, or every
+ * tenant for ALL_TENANTS, is reloaded afterwards.
+ */
+export const useAdminActions = () => {
+  const [running, setRunning] = useState(null); // { actionId, target } while running
+  const runningRef = useRef(false);
+
+  const run = useCallback(async (actionId, target) => {
+    if (runningRef.current) return null;
+    runningRef.current = true;
+    setRunning({ actionId, target });
+
+    const entry = {
+      id: new Date().toISOString(),
+      action: actionId,
+      target,
+      targetName: target === ALL_TENANTS ? 'All tenants' : tenantStore.getTenantName(target),
+      at: new Date().toISOString(),
+    };
+
+    try {
+      const result = await ACTION_REQUESTS[actionId](target);
+      Object.assign(entry, {
+        status: 'success',
+        message: result.message || '',
+        transactionsDeleted: result.transactionsDeleted ?? null,
+        accountsDeleted: result.accountsDeleted ?? null,
+      });
+    } catch (err) {
+      console.error(`Error running admin action ${actionId}:`, err);
+      Object.assign(entry, { status: 'error', message: err.message });
+    } finally {
+      runningRef.current = false;
+      setRunning(null);
+    }
+
+    adminLogStore.addEntry(entry);
+
+    // A failed request may still have deleted something, so reload either way.
+    // Reload errors show up in the stats table and the views that use the data.
+    const cleared = getAdminAction(actionId).clears;
+    try {
+      await Promise.all([
+        queryClient.invalidateQueries(['adminStats']),
+        ...cleared.map(dataset => queryClient.invalidateQueries(
+          target === ALL_TENANTS ? [dataset] : queryKeys[dataset](target))),
+      ]);
+    } catch (err) {
+      console.error('Error reloading data after an admin action:', err);
+    }
+    return entry;
+  }, []);
+
+  return { run, running, isRunning: running !== null };
+};
@@ -0,0 +1,45 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useSyncHistory } from './useSync';
+import { countConsecutiveFailures, getNextRefreshAt } from '../utils/autoRefresh';
+
+const isDocumentHidden = () => typeof document !== 'undefined' && document.hidden;
+
+/**
+ * Schedules `sync('all')` every `intervalMinutes` after the last sync while
+ * `enabled`. The timer is paused while the tab is hidden and catches up when
+ * it's shown again; after failed syncs the wait doubles each time. `sync`
+ * (from useSync) ignores calls while a sync is running, so an automatic
+ * refresh never overlaps a manual one; the next run is scheduled from the
+ * history once that one finishes.
+ */
+export const useAutoRefresh = ({ sync, enabled, intervalMinutes }) => {
+  const { history } = useSyncHistory();
+  const [isHidden, setIsHidden] = useState(isDocumentHidden);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsHidden(isDocumentHidden());
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Kept across renders: with no history the next run is "now", which would otherwise re-arm the timer every render
+  const nextRunAt = useMemo(
+    () => (enabled ? getNextRefreshAt(history, intervalMinutes) : null),
+    [enabled, history, intervalMinutes]
+  );
+
+  useEffect(() => {
+    if (nextRunAt === null || isHidden) return undefined;
+    const timer = setTimeout(() => {
+      sync('all', { trigger: 'auto' }).catch(err => console.error('Error running automatic refresh:', err));
+    }, Math.max(0, nextRunAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [nextRunAt, isHidden, sync]);
+
+  return {
+    enabled,
+    isPaused: enabled && isHidden,
+    nextRunAt,
+    failures: countConsecutiveFailures(history),
+  };
+};
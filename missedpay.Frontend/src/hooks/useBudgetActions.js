@@ -0,0 +1,46 @@
+import { useCallback } from 'react';
+import { useTenant } from './useTenant';
+import { queryKeys } from './queries';
+import { queryClient } from '../services/queryClient';
+import { budgetService, getBudgetId } from '../services/budgets';
+
+/**
+ * Sets and removes budget targets with optimistic cache updates.
+ * Failures roll the cache back and are reported through `onError(message)`.
+ */
+export const useBudgetActions = ({ onError } = {}) => {
+  const { tenantId } = useTenant();
+
+  const runMutation = useCallback(async (updater, mutation) => {
+    const rollback = queryClient.optimisticUpdate(queryKeys.budgets(tenantId), (budgets = []) => updater(budgets));
+    try {
+      await mutation();
+    } catch (err) {
+      console.error('Failed to update budget:', err);
+      rollback();
+      onError?.(err.message);
+    }
+  }, [tenantId, onError]);
+
+  /**
+   * `scope` is 'group' or 'category'; `target` is { id, name } of the
+   * personal_finance group or category; `amount` is per month in the base currency.
+   */
+  const setBudget = useCallback((scope, target, amount) => {
+    const budget = { id: getBudgetId(scope, target.id), scope, targetId: target.id, name: target.name, amount };
+    return runMutation(
+      budgets => [...budgets.filter(b => b.id !== budget.id), budget],
+      () => budgetService.saveBudget(tenantId, budget)
+    );
+  }, [tenantId, runMutation]);
+
+  const removeBudget = useCallback((scope, targetId) => {
+    const id = getBudgetId(scope, targetId);
+    return runMutation(
+      budgets => budgets.filter(b => b.id !== id),
+      () => budgetService.removeBudget(tenantId, id)
+    );
+  }, [tenantId, runMutation]);
+
+  return { setBudget, removeBudget };
+};
@@ -0,0 +1,71 @@
+import { useCallback, useState, useSyncExternalStore } from 'react';
+import { useTenant } from './useTenant';
+import {
+  categoryOverrideStore,
+  overrideTransactionCategory,
+  revertTransactionCategory,
+} from '../services/categoryOverrides';
+
+const subscribe = (listener) => categoryOverrideStore.subscribe(listener);
+
+/**
+ * Per-transaction category overrides for the active tenant.
+ */
+export const useCategoryOverrides = () => {
+  const { tenantId } = useTenant();
+  const getSnapshot = useCallback(() => categoryOverrideStore.getOverrides(tenantId), [tenantId]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+};
+
+/**
+ * State and actions for overriding one transaction's category from a list row.
+ * Render a CategoryPicker with `isOpen={overridingTransaction !== null}` and
+ * `onSelect={selectOverride}`. Failures are reported through `onError` when
+ * given, otherwise exposed as `error`.
+ */
+export const useCategoryOverride = ({ onError } = {}) => {
+  const { tenantId } = useTenant();
+  const [overridingTransaction, setOverridingTransaction] = useState(null);
+  const [pendingTransactionId, setPendingTransactionId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runUpdate = async (transaction, update) => {
+    setPendingTransactionId(transaction._id);
+    setError(null);
+    try {
+      await update();
+    } catch (err) {
+      console.error('Failed to update transaction category:', err);
+      if (onError) {
+        onError(err.message);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setPendingTransactionId(null);
+    }
+  };
+
+  const selectOverride = (category) => {
+    const transaction = overridingTransaction;
+    if (!transaction) return;
+
+    setOverridingTransaction(null);
+    return runUpdate(transaction, () => overrideTransactionCategory(tenantId, transaction, category));
+  };
+
+  const revertOverride = (transaction) => {
+    return runUpdate(transaction, () => revertTransactionCategory(tenantId, transaction));
+  };
+
+  return {
+    overridingTransaction,
+    startOverride: setOverridingTransaction,
+    cancelOverride: () => setOverridingTransaction(null),
+    selectOverride,
+    revertOverride,
+    pendingTransactionId,
+    error,
+    clearError: () => setError(null),
+  };
+};
@@ -0,0 +1,19 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from './useRoute';
+import { dateRangeFromSearchParams, dateRangeToSearchParams } from '../utils/dateRange';
+
+/**
+ * The selected date range, stored in the URL query string next to the
+ * transaction filters so a shared or reloaded link shows the same period.
+ * Returns [dateRange, setDateRange] like useState.
+ */
+export const useDateRange = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const dateRange = useMemo(() => dateRangeFromSearchParams(searchParams), [searchParams]);
+
+  const setDateRange = useCallback((nextRange) => {
+    setSearchParams(dateRangeToSearchParams(nextRange, searchParams));
+  }, [searchParams, setSearchParams]);
+
+  return [dateRange, setDateRange];
+};
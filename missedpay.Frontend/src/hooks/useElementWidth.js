@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Tracks the rendered width of an element, for SVG charts that draw in pixels.
+ * Returns a callback ref to attach to the element, and its width.
+ */
+export const useElementWidth = (initialWidth = 600) => {
+  const [element, setElement] = useState(null);
+  const [width, setWidth] = useState(initialWidth);
+
+  useEffect(() => {
+    if (!element) return;
+
+    setWidth(element.clientWidth || initialWidth);
+    if (typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.floor(entry.contentRect.width) || initialWidth);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [element, initialWidth]);
+
+  return [setElement, width];
+};
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { importProfilesStore } from '../services/importProfiles';
+
+const subscribe = (listener) => importProfilesStore.subscribe(listener);
+
+export const useImportProfiles = () =>
+  useSyncExternalStore(subscribe, importProfilesStore.getProfiles);
@@ -0,0 +1,25 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { currencySettingsStore } from '../services/currencySettings';
+import { convertToBase, formatCompactMoney, formatConversion, formatMoney, sumInBaseCurrency } from '../utils/money';
+
+const subscribe = (listener) => currencySettingsStore.subscribe(listener);
+
+export const useCurrencySettings = () =>
+  useSyncExternalStore(subscribe, currencySettingsStore.getSettings);
+
+/**
+ * Money helpers bound to the user's locale, base currency and rate table.
+ */
+export const useMoney = () => {
+  const settings = useCurrencySettings();
+
+  return useMemo(() => ({
+    settings,
+    baseCurrency: settings.baseCurrency,
+    format: (amount, currency = settings.baseCurrency) => formatMoney(amount, currency, settings.locale),
+    formatCompact: (amount, currency = settings.baseCurrency) => formatCompactMoney(amount, currency, settings.locale),
+    formatConversion: (conversion) => formatConversion(conversion, settings.locale),
+    toBase: (amount, currency) => convertToBase(amount, currency, settings),
+    sumInBase: (entries) => sumInBaseCurrency(entries, settings),
+  }), [settings]);
+};
@@ -0,0 +1,33 @@
+import { useSyncExternalStore } from 'react';
+
+const TICK_MS = 30 * 1000;
+
+const listeners = new Set();
+let now = Date.now();
+let timer = null;
+
+// One shared timer for every component showing relative times, running only while one is mounted
+const subscribe = (listener) => {
+  listeners.add(listener);
+  if (!timer) {
+    now = Date.now();
+    timer = setInterval(() => {
+      now = Date.now();
+      listeners.forEach(l => l());
+    }, TICK_MS);
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+const getSnapshot = () => now;
+
+/**
+ * The current time as a Date, updated every 30 seconds, for "N min ago" labels.
+ */
+export const useNow = () => new Date(useSyncExternalStore(subscribe, getSnapshot));
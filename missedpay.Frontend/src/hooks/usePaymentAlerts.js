@@ -0,0 +1,42 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { useTenant } from './useTenant';
+import { alertSettingsStore } from '../services/alertSettings';
+import { buildPaymentAlerts, isAlertHidden } from '../utils/alerts';
+
+const subscribe = (listener) => alertSettingsStore.subscribe(listener);
+
+/**
+ * The active tenant's alert state with actions bound to the tenant.
+ */
+export const useAlertSettings = () => {
+  const { tenantId } = useTenant();
+  const getSnapshot = useCallback(() => alertSettingsStore.getState(tenantId), [tenantId]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  return useMemo(() => ({
+    state,
+    seriesSettings: state.series,
+    dismiss: (alertId) => alertSettingsStore.dismiss(tenantId, alertId),
+    snooze: (alertId, days) => {
+      const until = new Date();
+      until.setDate(until.getDate() + days);
+      alertSettingsStore.snooze(tenantId, alertId, until);
+    },
+    restoreAll: () => alertSettingsStore.restoreAll(tenantId),
+    setSeriesSettings: (seriesKey, settings) => alertSettingsStore.setSeriesSettings(tenantId, seriesKey, settings),
+  }), [tenantId, state]);
+};
+
+/**
+ * Missed and changed-amount alerts for detected recurring `series`, without
+ * the ones the user dismissed or snoozed.
+ */
+export const usePaymentAlerts = (series) => {
+  const settings = useAlertSettings();
+  const { state } = settings;
+
+  const allAlerts = useMemo(() => buildPaymentAlerts(series, state.series), [series, state.series]);
+  const alerts = useMemo(() => allAlerts.filter(alert => !isAlertHidden(alert, state)), [allAlerts, state]);
+
+  return { ...settings, alerts, hiddenCount: allAlerts.length - alerts.length };
+};
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { preferencesStore } from '../services/preferences';
+
+const subscribe = (listener) => preferencesStore.subscribe(listener);
+
+export const usePreferences = () =>
+  useSyncExternalStore(subscribe, preferencesStore.getPreferences);
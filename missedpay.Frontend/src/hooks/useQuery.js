@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { queryClient, hashKey } from '../services/queryClient';
+
+/**
+ * Subscribes a component to a cached query.
+ * Returns the cached data straight away and revalidates it in the background when stale.
+ * `fetcher` receives `{ signal }` so superseded requests can be cancelled.
+ */
+export const useQuery = (key, fetcher, { enabled = true, staleTime } = {}) => {
+  const hash = hashKey(key);
+  // The key array is usually recreated on every render; keep one per distinct key
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+  // So is the fetcher; the latest one is used
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback(
+    (listener) => queryClient.subscribe(stableKey, listener),
+    [stableKey]
+  );
+  const getSnapshot = useCallback(
+    () => queryClient.getState(stableKey),
+    [stableKey]
+  );
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    queryClient
+      .fetchQuery(stableKey, (options) => fetcherRef.current(options), { staleTime })
+      .catch(() => {
+        // Errors are exposed through the query state
+      });
+  }, [stableKey, enabled, staleTime]);
+
+  const refetch = useCallback(
+    () => queryClient.refetchQuery(stableKey),
+    [stableKey]
+  );
+
+  return {
+    data: state.data,
+    error: state.error,
+    status: state.status,
+    isLoading: state.data === undefined && (state.status === 'loading' || state.status === 'idle') && enabled,
+    isFetching: state.isFetching,
+    updatedAt: state.updatedAt,
+    refetch,
+  };
+};
@@ -0,0 +1,24 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { router } from '../services/router';
+import { parseRoute } from '../utils/routes';
+
+const subscribe = (listener) => router.subscribe(listener);
+
+/**
+ * The current route parsed from the URL path, e.g.
+ * { view: 'accounts', accountId } or { view: 'budgeting', groupId, categoryId }.
+ * Re-renders on navigation and browser back/forward.
+ */
+export const useRoute = () => {
+  const path = useSyncExternalStore(subscribe, router.getPath);
+  return useMemo(() => parseRoute(path), [path]);
+};
+
+/**
+ * The URL query string as URLSearchParams, and a setter that replaces it.
+ */
+export const useSearchParams = () => {
+  const search = useSyncExternalStore(subscribe, router.getSearch);
+  const searchParams = useMemo(() => new URLSearchParams(search), [search]);
+  return [searchParams, router.setSearchParams];
+};
@@ -0,0 +1,48 @@
+import { useCallback, useState } from 'react';
+import { useTenant } from './useTenant';
+import { queryKeys } from './queries';
+import { queryClient } from '../services/queryClient';
+import { accountsApi, transactionsApi } from '../services/api';
+
+/**
+ * Posts imported statements to the API: the new account first (when there
+ * is one), then each transaction in turn. A failed transaction doesn't stop
+ * the rest; failures are returned with their error message.
+ */
+export const useStatementImport = () => {
+  const { tenantId } = useTenant();
+  const [progress, setProgress] = useState(null); // null | { done, total }
+
+  const importStatement = useCallback(async ({ newAccount, transactions }) => {
+    setProgress({ done: 0, total: transactions.length });
+    const failed = [];
+    let created = 0;
+
+    try {
+      if (newAccount) {
+        await accountsApi.create(newAccount);
+      }
+
+      for (const transaction of transactions) {
+        try {
+          await transactionsApi.create(transaction);
+          created += 1;
+        } catch (err) {
+          console.error('Failed to import transaction:', err);
+          failed.push({ transaction, message: err.message });
+        }
+        setProgress({ done: created + failed.length, total: transactions.length });
+      }
+    } finally {
+      setProgress(null);
+      await Promise.all([
+        queryClient.invalidateQueries(queryKeys.accounts(tenantId)),
+        queryClient.invalidateQueries(queryKeys.transactions(tenantId)),
+      ]);
+    }
+
+    return { created, failed };
+  }, [tenantId]);
+
+  return { importStatement, progress, isImporting: progress !== null };
+};
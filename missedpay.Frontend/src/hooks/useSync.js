@@ -0,0 +1,99 @@
+import { useCallback, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { useTenant } from './useTenant';
+import { queryKeys } from './queries';
+import { queryClient } from '../services/queryClient';
+import { akahuApi } from '../services/api';
+import { syncHistoryStore } from '../services/syncHistory';
+import { getScopeSteps, readStepResult } from '../utils/sync';
+
+// The tenant is fixed when a sync starts, so switching tenants mid-sync doesn't mix them up
+const STEP_REQUESTS = {
+  accounts: (tenantId) => akahuApi.refreshAccounts({ headers: { 'X-Tenant-Id': tenantId } }),
+  transactions: (tenantId) => akahuApi.refreshTransactions({ headers: { 'X-Tenant-Id': tenantId } }),
+};
+
+const subscribe = (listener) => syncHistoryStore.subscribe(listener);
+
+/**
+ * The active tenant's past syncs, newest first.
+ */
+export const useSyncHistory = () => {
+  const { tenantId } = useTenant();
+  const getSnapshot = useCallback(() => syncHistoryStore.getHistory(tenantId), [tenantId]);
+  const history = useSyncExternalStore(subscribe, getSnapshot);
+
+  return useMemo(() => ({
+    history,
+    clear: () => syncHistoryStore.clear(tenantId),
+  }), [tenantId, history]);
+};
+
+/**
+ * Runs Akahu syncs one step at a time (accounts, then transactions) so each
+ * step's progress and counts can be shown. A failed step doesn't stop the
+ * next. Every sync is added to the tenant's history and the refreshed data
+ * is reloaded; a step whose data can't be reloaded counts as failed.
+ * `sync(scope, { trigger })` resolves to the history entry and doesn't
+ * reject; while a sync is running, further calls resolve to null. `trigger` is
+ * 'manual' or 'auto' and is kept in the history.
+ */
+export const useSync = () => {
+  const { tenantId } = useTenant();
+  const [current, setCurrent] = useState(null); // { scope, startedAt, steps } while running
+  const runningRef = useRef(false);
+
+  const sync = useCallback(async (scope = 'all', { trigger = 'manual' } = {}) => {
+    if (runningRef.current) return null;
+    runningRef.current = true;
+
+    const startedAt = new Date().toISOString();
+    let steps = getScopeSteps(scope).map(id => ({ id, status: 'pending' }));
+    const updateStep = (id, changes) => {
+      steps = steps.map(step => (step.id === id ? { ...step, ...changes } : step));
+      setCurrent({ scope, startedAt, steps });
+    };
+
+    try {
+      for (const { id } of steps) {
+        updateStep(id, { status: 'running' });
+        try {
+          const result = readStepResult(id, await STEP_REQUESTS[id](tenantId));
+          updateStep(id, {
+            ...result,
+            status: result.success ? 'success' : 'error',
+          });
+        } catch (err) {
+          console.error(`Error refreshing ${id} from Akahu:`, err);
+          updateStep(id, { status: 'error', message: err.message });
+        }
+      }
+
+      // The refresh went through, but the new data isn't shown if it can't be loaded
+      await Promise.all(steps.filter(step => step.status === 'success').map(step =>
+        queryClient.invalidateQueries(queryKeys[step.id](tenantId)).catch(err => {
+          console.error(`Error reloading ${step.id} after refreshing:`, err);
+          updateStep(step.id, { status: 'error', message: `Refreshed, but reloading failed: ${err.message}` });
+        })));
+    } finally {
+      runningRef.current = false;
+      setCurrent(null);
+    }
+
+    const failedCount = steps.filter(step => step.status === 'error').length;
+    const entry = {
+      id: startedAt,
+      scope,
+      trigger,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: failedCount === 0 ? 'success' : failedCount === steps.length ? 'error' : 'partial',
+      // Only what's worth keeping in the history
+      steps: steps.map(({ id, status, created, updated, skipped, total, message }) =>
+        ({ id, status, created, updated, skipped, total, message })),
+    };
+    syncHistoryStore.addEntry(tenantId, entry);
+    return entry;
+  }, [tenantId]);
+
+  return { sync, current, isSyncing: current !== null };
+};
@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from 'react';
+import { tenantStore } from '../services/tenantStore';
+
+const subscribe = (listener) => tenantStore.subscribe(listener);
+
+/**
+ * Subscribes a component to the active tenant and the list of known tenants.
+ */
+export const useTenant = () => {
+  const tenantId = useSyncExternalStore(subscribe, tenantStore.getTenantId);
+  const tenants = useSyncExternalStore(subscribe, tenantStore.getTenants);
+
+  return { tenantId, tenants };
+};
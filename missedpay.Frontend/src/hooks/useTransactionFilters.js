@@ -0,0 +1,21 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from './useRoute';
+import { filtersFromSearchParams, filtersToSearchParams, EMPTY_FILTERS } from '../utils/transactionFilters';
+
+/**
+ * Transaction list filters stored in the URL query string, so a filtered view
+ * can be bookmarked or shared. Updates replace the current history entry rather
+ * than adding one per keystroke.
+ */
+export const useTransactionFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
+
+  const setFilters = useCallback((nextFilters) => {
+    setSearchParams(filtersToSearchParams(nextFilters, searchParams));
+  }, [searchParams, setSearchParams]);
+
+  const clearFilters = useCallback(() => setFilters(EMPTY_FILTERS), [setFilters]);
+
+  return { filters, setFilters, clearFilters };
+};
@@ -0,0 +1,75 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+
+// Index of the last item whose top is at or above `position`
+const findItemAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Windowed rendering for a scroll container of fixed-height items. Only the
+ * items inside the viewport (plus `overscan` either side) are rendered; each
+ * is absolutely positioned at `offsets[index]` inside a spacer of `totalHeight`.
+ *
+ * `getItemHeight` should be stable (or memoized with `items`) so offsets are
+ * only recomputed when the list changes.
+ */
+export const useVirtualList = ({ items, getItemHeight, maxHeight, overscan = 6 }) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const { offsets, totalHeight } = useMemo(() => {
+    const itemOffsets = new Array(items.length);
+    let position = 0;
+    items.forEach((item, index) => {
+      itemOffsets[index] = position;
+      position += getItemHeight(item);
+    });
+    return { offsets: itemOffsets, totalHeight: position };
+  }, [items, getItemHeight]);
+
+  const viewportHeight = Math.min(totalHeight, maxHeight);
+
+  let start = 0;
+  let end = -1;
+  if (items.length > 0) {
+    start = Math.max(0, findItemAt(offsets, scrollTop) - overscan);
+    end = Math.min(items.length - 1, findItemAt(offsets, scrollTop + viewportHeight) + overscan);
+  }
+
+  const onScroll = useCallback((e) => setScrollTop(e.currentTarget.scrollTop), []);
+
+  // Scrolls the least distance needed to bring the item fully into view
+  const scrollToIndex = useCallback((index) => {
+    const container = containerRef.current;
+    if (!container || index < 0 || index >= items.length) return;
+
+    const top = offsets[index];
+    const bottom = top + getItemHeight(items[index]);
+    if (top < container.scrollTop) {
+      container.scrollTop = top;
+    } else if (bottom > container.scrollTop + container.clientHeight) {
+      container.scrollTop = bottom - container.clientHeight;
+    }
+  }, [items, offsets, getItemHeight]);
+
+  return {
+    containerRef,
+    onScroll,
+    offsets,
+    totalHeight,
+    viewportHeight,
+    startIndex: start,
+    endIndex: end,
+    scrollToIndex,
+  };
+};
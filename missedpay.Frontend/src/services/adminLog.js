@@ -0,0 +1,53 @@
+const STORAGE_KEY = 'missedpay.adminLog';
+
+// Older results are dropped beyond this many
+const MAX_ENTRIES = 50;
+
+const EMPTY_LOG = Object.freeze([]);
+
+const listeners = new Set();
+
+const readLog = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall through to an empty log
+  }
+  return EMPTY_LOG;
+};
+
+let log = readLog();
+
+const saveLog = (nextLog) => {
+  log = nextLog;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(log));
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Results of admin console actions in localStorage, newest first, across all tenants:
+ * { id, action, target, targetName, at, status, message, transactionsDeleted, accountsDeleted }.
+ */
+export const adminLogStore = {
+  getLog() {
+    return log;
+  },
+
+  addEntry(entry) {
+    saveLog([entry, ...log].slice(0, MAX_ENTRIES));
+  },
+
+  clear() {
+    saveLog(EMPTY_LOG);
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -0,0 +1,79 @@
+const STORAGE_KEY_PREFIX = 'missedpay.alerts.';
+
+const EMPTY_STATE = Object.freeze({ dismissed: {}, snoozed: {}, series: {} });
+
+const listeners = new Set();
+// Parsed state per tenant, so snapshots stay referentially stable between changes
+const cache = new Map();
+
+const readState = (tenantId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + tenantId));
+    if (stored && typeof stored === 'object') {
+      return {
+        dismissed: stored.dismissed || {},
+        snoozed: stored.snoozed || {},
+        series: stored.series || {},
+      };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return EMPTY_STATE;
+};
+
+const saveState = (tenantId, state) => {
+  cache.set(tenantId, state);
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFIX + tenantId, JSON.stringify(state));
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Per-tenant alert state in localStorage: dismissed alert ids, snoozes
+ * ({ [alertId]: ISO date until which it's hidden }) and per-series
+ * tolerance overrides ({ [seriesKey]: { lateDays, amountPercent, muted } }).
+ */
+export const alertSettingsStore = {
+  getState(tenantId) {
+    if (!cache.has(tenantId)) cache.set(tenantId, readState(tenantId));
+    return cache.get(tenantId);
+  },
+
+  dismiss(tenantId, alertId) {
+    const state = this.getState(tenantId);
+    saveState(tenantId, { ...state, dismissed: { ...state.dismissed, [alertId]: new Date().toISOString() } });
+  },
+
+  snooze(tenantId, alertId, until) {
+    const state = this.getState(tenantId);
+    saveState(tenantId, { ...state, snoozed: { ...state.snoozed, [alertId]: until.toISOString() } });
+  },
+
+  // Brings back everything dismissed or snoozed
+  restoreAll(tenantId) {
+    const state = this.getState(tenantId);
+    saveState(tenantId, { ...state, dismissed: {}, snoozed: {} });
+  },
+
+  setSeriesSettings(tenantId, seriesKey, settings) {
+    const state = this.getState(tenantId);
+    const { [seriesKey]: _previous, ...series } = state.series;
+    // Settings equal to the defaults are dropped rather than stored
+    const overrides = Object.fromEntries(
+      Object.entries(settings).filter(([, value]) => value !== undefined && value !== null && value !== false)
+    );
+    saveState(tenantId, {
+      ...state,
+      series: Object.keys(overrides).length > 0 ? { ...series, [seriesKey]: overrides } : series,
+    });
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -1,88 +1,247 @@
-const API_BASE_URL = 'http://localhost:5349/api';
-const TENANT_ID = '01927b5e-8f3a-7000-8000-000000000000';
+import { tenantStore } from './tenantStore';
+import { request } from './http';
 
-const headers = {
-  'Content-Type': 'application/json',
-  'X-Tenant-Id': TENANT_ID,
-};
+export { ApiError, isAbortError } from './http';
 
-export const accountsApi = {
-  async getAll() {
-    const response = await fetch(`${API_BASE_URL}/Account`, { 
-      headers,
-      mode: 'cors',
+// Relative by default so requests go through the Vite /api proxy set up by the AppHost
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '/api').replace(/\/$/, '');
+
+/**
+ * Creates an API client bound to a base URL and a tenant source.
+ * The tenant is resolved on every request so switching tenants needs no rebuild.
+ *
+ * `request` accepts the options of services/http.js `request` (signal, timeout,
+ * retries, errorMessage) and returns the parsed response body.
+ */
+export const createApiClient = ({
+  baseUrl = API_BASE_URL,
+  getTenantId = () => tenantStore.getTenantId(),
+} = {}) => ({
+  baseUrl,
+
+  request(path, { headers, json, ...options } = {}) {
+    return request(`${baseUrl}${path}`, {
+      ...options,
+      endpoint: path,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Tenant-Id': getTenantId(),
+        ...headers,
+      },
+      body: json !== undefined ? JSON.stringify(json) : options.body,
     });
-    if (!response.ok) throw new Error('Failed to fetch accounts');
-    return response.json();
+  },
+});
+
+export const apiClient = createApiClient();
+
+export const accountsApi = {
+  getAll(options) {
+    return apiClient.request('/Account', { errorMessage: 'Failed to fetch accounts', ...options });
+  },
+
+  getById(id, options) {
+    return apiClient.request(`/Account/${id}`, { errorMessage: 'Failed to fetch account', ...options });
   },
 
-  async getById(id) {
-    const response = await fetch(`${API_BASE_URL}/Account/${id}`, { 
-      headers,
-      mode: 'cors',
+  create(account, options) {
+    return apiClient.request('/Account', {
+      errorMessage: 'Failed to create account',
+      ...options,
+      method: 'POST',
+      json: account,
     });
-    if (!response.ok) throw new Error('Failed to fetch account');
-    return response.json();
   },
 };
 
 export const transactionsApi = {
-  async getAll() {
-    const response = await fetch(`${API_BASE_URL}/Transaction`, { 
-      headers,
-      mode: 'cors',
+  getAll(options) {
+    return apiClient.request('/Transaction', { errorMessage: 'Failed to fetch transactions', ...options });
+  },
+
+  getById(id, options) {
+    return apiClient.request(`/Transaction/${id}`, { errorMessage: 'Failed to fetch transaction', ...options });
+  },
+
+  create(transaction, options) {
+    return apiClient.request('/Transaction', {
+      errorMessage: 'Failed to create transaction',
+      ...options,
+      method: 'POST',
+      json: transaction,
     });
-    if (!response.ok) throw new Error('Failed to fetch transactions');
-    return response.json();
   },
 
-  async getById(id) {
-    const response = await fetch(`${API_BASE_URL}/Transaction/${id}`, { 
-      headers,
-      mode: 'cors',
+  update(transaction, options) {
+    return apiClient.request(`/Transaction/${transaction._id}`, {
+      errorMessage: 'Failed to update transaction',
+      ...options,
+      method: 'PUT',
+      json: transaction,
     });
-    if (!response.ok) throw new Error('Failed to fetch transaction');
-    return response.json();
   },
 };
 
+// Refreshing pulls everything from Akahu and can take a while
+const AKAHU_REFRESH_TIMEOUT_MS = 120000;
+
+/**
+ * Pulls data from Akahu into the API. Each call returns created/updated
+ * counts: refreshAccounts { accountsCreated, accountsUpdated, totalAccounts },
+ * refreshTransactions { transactionsCreated, transactionsUpdated,
+ * transactionsSkipped, totalTransactions }, refreshAll both flattened together.
+ */
 export const akahuApi = {
-  async refreshAll() {
-    const response = await fetch(`${API_BASE_URL}/Akahu/refresh-all`, {
+  refreshAccounts(options) {
+    return apiClient.request('/Akahu/refresh-accounts', {
+      timeout: AKAHU_REFRESH_TIMEOUT_MS,
+      errorMessage: 'Failed to refresh accounts from Akahu',
+      ...options,
+      method: 'POST',
+    });
+  },
+
+  refreshTransactions(options) {
+    return apiClient.request('/Akahu/refresh-transactions', {
+      timeout: AKAHU_REFRESH_TIMEOUT_MS,
+      errorMessage: 'Failed to refresh transactions from Akahu',
+      ...options,
+      method: 'POST',
+    });
+  },
+
+  refreshAll(options) {
+    return apiClient.request('/Akahu/refresh-all', {
+      timeout: AKAHU_REFRESH_TIMEOUT_MS,
+      errorMessage: 'Failed to refresh data from Akahu',
+      ...options,
       method: 'POST',
-      headers,
-      mode: 'cors',
     });
-    if (!response.ok) throw new Error('Failed to refresh data from Akahu');
-    return response.json();
   },
 };
 
 export const categorizationApi = {
-  async getAllCategories() {
-    const response = await fetch(`${API_BASE_URL}/Categorization/categories`, {
-      headers,
-      mode: 'cors',
+  getAllCategories(options) {
+    return apiClient.request('/Categorization/categories', { errorMessage: 'Failed to fetch categories', ...options });
+  },
+
+  /**
+   * Ranked category suggestions for a merchant (HybridCategorySelector).
+   * Each suggestion has categoryId, categoryName, groupId, groupName, score (0-1) and reason.
+   */
+  getSuggestions(merchantName, { description, amount, maxSuggestions = 6 } = {}, options) {
+    return apiClient.request('/Categorization/suggestions', {
+      errorMessage: 'Failed to fetch category suggestions',
+      ...options,
+      method: 'POST',
+      json: { merchantName, description, amount, maxSuggestions },
     });
-    if (!response.ok) throw new Error('Failed to fetch categories');
-    return response.json();
   },
 
-  async confirmCategory(merchantName, categoryId) {
-    const response = await fetch(`${API_BASE_URL}/Categorization/confirm`, {
+  /**
+   * Asks the AI selector to categorize a merchant.
+   * Returns categoryId, categoryName, groupId, groupName, confidence (0-1) and method.
+   */
+  categorize(merchantName, { description, amount } = {}, options) {
+    return apiClient.request('/Categorization/categorize', {
+      // The model can take a while to answer
+      timeout: 60000,
+      errorMessage: 'Failed to categorize merchant',
+      ...options,
       method: 'POST',
-      headers,
-      mode: 'cors',
-      body: JSON.stringify({
+      json: { merchantName, description, amount },
+    });
+  },
+
+  /**
+   * Saves the merchant→category mapping.
+   * `method` is a CategorizationMethod: 'Manual', 'AI' or 'Hybrid'.
+   */
+  confirmCategory(merchantName, categoryId, { method = 'Manual', ...options } = {}) {
+    return apiClient.request('/Categorization/confirm', {
+      errorMessage: 'Failed to confirm category',
+      ...options,
+      method: 'POST',
+      json: {
         merchantName,
         categoryId,
-        method: 'Manual' // CategorizationMethod.Manual
-      }),
-    });
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to confirm category: ${errorText}`);
-    }
-    return response.json();
+        method,
+      },
+    });
+  },
+};
+
+/**
+ * Monthly budget targets: { id, scope: 'group' | 'category', targetId, name, amount }.
+ * Use services/budgets.js, which falls back to local storage while the API
+ * has no budget endpoints.
+ */
+export const budgetsApi = {
+  getAll(options) {
+    return apiClient.request('/Budget', { errorMessage: 'Failed to fetch budgets', ...options });
+  },
+
+  save(budget, options) {
+    return apiClient.request(`/Budget/${encodeURIComponent(budget.id)}`, {
+      errorMessage: 'Failed to save budget',
+      ...options,
+      method: 'PUT',
+      json: budget,
+    });
+  },
+
+  remove(id, options) {
+    return apiClient.request(`/Budget/${encodeURIComponent(id)}`, {
+      errorMessage: 'Failed to remove budget',
+      ...options,
+      method: 'DELETE',
+    });
+  },
+};
+
+// Stands in for a tenant id in the X-Tenant-Id header to run an admin request against every tenant
+export const ALL_TENANTS = 'ALL';
+
+/**
+ * Database maintenance for a tenant, or for every tenant with ALL_TENANTS.
+ * The target goes in the X-Tenant-Id header instead of the active tenant.
+ * getStats returns { tenantId, accounts, transactions, total }; the clear
+ * requests return { message, tenantId } with transactionsDeleted,
+ * accountsDeleted and totalDeleted counts for what they removed.
+ */
+export const adminApi = {
+  getStats(target, options) {
+    return apiClient.request('/Admin/stats', {
+      errorMessage: 'Failed to fetch database statistics',
+      ...options,
+      headers: { 'X-Tenant-Id': target },
+    });
+  },
+
+  clearTransactions(target, options) {
+    return apiClient.request('/Admin/clear-transactions', {
+      errorMessage: 'Failed to clear transactions',
+      ...options,
+      method: 'DELETE',
+      headers: { 'X-Tenant-Id': target },
+    });
+  },
+
+  clearAccounts(target, options) {
+    return apiClient.request('/Admin/clear-accounts', {
+      errorMessage: 'Failed to clear accounts',
+      ...options,
+      method: 'DELETE',
+      headers: { 'X-Tenant-Id': target },
+    });
+  },
+
+  clearAllData(target, options) {
+    return apiClient.request('/Admin/clear-all-data', {
+      errorMessage: 'Failed to clear data',
+      ...options,
+      method: 'DELETE',
+      headers: { 'X-Tenant-Id': target },
+    });
   },
 };
@@ -0,0 +1,77 @@
+import { ApiError, budgetsApi } from './api';
+
+const STORAGE_KEY_PREFIX = 'missedpay.budgets.';
+
+// Statuses meaning the API has no budget endpoints (rather than a failed request)
+const MISSING_ENDPOINT_STATUSES = [404, 405, 501];
+
+// Set once the API reports the endpoints are missing, so later calls skip straight to storage
+let useLocalStorage = false;
+
+const isMissingEndpoint = (error) =>
+  error instanceof ApiError && MISSING_ENDPOINT_STATUSES.includes(error.status);
+
+const readBudgets = (tenantId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + tenantId));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeBudgets = (tenantId, budgets) => {
+  localStorage.setItem(STORAGE_KEY_PREFIX + tenantId, JSON.stringify(budgets));
+};
+
+const withFallback = async (remote, local) => {
+  if (!useLocalStorage) {
+    try {
+      return await remote();
+    } catch (error) {
+      if (!isMissingEndpoint(error)) throw error;
+      useLocalStorage = true;
+    }
+  }
+  return local();
+};
+
+export const getBudgetId = (scope, targetId) => `${scope}:${targetId}`;
+
+/**
+ * Monthly budget targets per personal_finance group or category, in the base
+ * currency. Stored through budgetsApi, or per tenant in localStorage when the
+ * API doesn't have budget endpoints yet.
+ */
+export const budgetService = {
+  getBudgets(tenantId, options) {
+    return withFallback(
+      () => budgetsApi.getAll(options),
+      () => readBudgets(tenantId)
+    );
+  },
+
+  saveBudget(tenantId, budget) {
+    return withFallback(
+      () => budgetsApi.save(budget),
+      () => {
+        writeBudgets(tenantId, [...readBudgets(tenantId).filter(b => b.id !== budget.id), budget]);
+        return budget;
+      }
+    );
+  },
+
+  removeBudget(tenantId, id) {
+    return withFallback(
+      () => budgetsApi.remove(id),
+      () => {
+        writeBudgets(tenantId, readBudgets(tenantId).filter(b => b.id !== id));
+        return null;
+      }
+    );
+  },
+
+  isUsingLocalStorage() {
+    return useLocalStorage;
+  },
+};
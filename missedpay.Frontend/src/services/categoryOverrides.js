@@ -0,0 +1,102 @@
+import { transactionsApi } from './api';
+import { applyCategory, withoutCategoryOverride } from '../utils/transactions';
+
+const STORAGE_KEY_PREFIX = 'missedpay.categoryOverrides.';
+const EMPTY_OVERRIDES = Object.freeze({});
+
+const listeners = new Set();
+const overridesByTenant = new Map();
+
+const readOverrides = (tenantId) => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + tenantId)) || EMPTY_OVERRIDES;
+  } catch {
+    return EMPTY_OVERRIDES;
+  }
+};
+
+const writeOverrides = (tenantId, overrides) => {
+  overridesByTenant.set(tenantId, overrides);
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFIX + tenantId, JSON.stringify(overrides));
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Per-transaction category overrides, keyed by tenant and transaction ID.
+ *
+ * GET /Transaction re-applies the cached merchant categorization to every
+ * transaction from that merchant, so an override saved with PUT /Transaction/{id}
+ * would be hidden on the next load. The override is kept here as well and
+ * layered over the API data with applyCategoryOverrides. Each override is
+ * { category, originalCategory }, where originalCategory is the transaction's
+ * category before it was overridden and is saved back on revert.
+ */
+export const categoryOverrideStore = {
+  getOverrides(tenantId) {
+    if (!overridesByTenant.has(tenantId)) {
+      overridesByTenant.set(tenantId, readOverrides(tenantId));
+    }
+    return overridesByTenant.get(tenantId);
+  },
+
+  setOverride(tenantId, transactionId, override) {
+    writeOverrides(tenantId, { ...this.getOverrides(tenantId), [transactionId]: override });
+  },
+
+  removeOverride(tenantId, transactionId) {
+    const { [transactionId]: _removed, ...rest } = this.getOverrides(tenantId);
+    writeOverrides(tenantId, rest);
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+/**
+ * Categorizes a single transaction without changing its merchant mapping.
+ * The override is shown immediately and removed again if the update fails.
+ */
+export const overrideTransactionCategory = async (tenantId, transaction, category) => {
+  const previous = categoryOverrideStore.getOverrides(tenantId)[transaction._id];
+  const original = withoutCategoryOverride(transaction);
+  const updated = applyCategory(original, category);
+
+  categoryOverrideStore.setOverride(tenantId, transaction._id, {
+    category: updated.category,
+    originalCategory: original.category || null,
+  });
+  try {
+    await transactionsApi.update(updated);
+  } catch (error) {
+    if (previous) {
+      categoryOverrideStore.setOverride(tenantId, transaction._id, previous);
+    } else {
+      categoryOverrideStore.removeOverride(tenantId, transaction._id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reverts a transaction to its merchant's category, saving the category it
+ * had before the override back to the transaction.
+ */
+export const revertTransactionCategory = async (tenantId, transaction) => {
+  const previous = categoryOverrideStore.getOverrides(tenantId)[transaction._id];
+
+  categoryOverrideStore.removeOverride(tenantId, transaction._id);
+  try {
+    await transactionsApi.update(withoutCategoryOverride(transaction));
+  } catch (error) {
+    if (previous) {
+      categoryOverrideStore.setOverride(tenantId, transaction._id, previous);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,91 @@
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, isValidCurrencyCode, rebaseRates } from '../utils/money';
+
+const STORAGE_KEY = 'missedpay.currencySettings';
+
+const DEFAULT_SETTINGS = Object.freeze({
+  baseCurrency: DEFAULT_CURRENCY,
+  locale: DEFAULT_LOCALE,
+  rates: {},
+});
+
+const listeners = new Set();
+
+const readSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && isValidCurrencyCode(stored.baseCurrency)) {
+      return { ...DEFAULT_SETTINGS, ...stored, rates: stored.rates || {} };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return DEFAULT_SETTINGS;
+};
+
+let settings = readSettings();
+
+const saveSettings = (nextSettings) => {
+  settings = nextSettings;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+  listeners.forEach(listener => listener());
+};
+
+const normalizeCode = (currency) => currency.trim().toUpperCase();
+
+/**
+ * Base currency, display locale and the rate table used to total balances
+ * held in several currencies. Rates are entered by hand and kept in
+ * localStorage: { [currency]: value of 1 unit in the base currency }.
+ */
+export const currencySettingsStore = {
+  getSettings() {
+    return settings;
+  },
+
+  setBaseCurrency(currency) {
+    const baseCurrency = normalizeCode(currency);
+    if (!isValidCurrencyCode(baseCurrency)) {
+      throw new Error(`Invalid currency code: '${currency}'. Use a 3-letter ISO code such as NZD.`);
+    }
+    if (baseCurrency === settings.baseCurrency) return;
+
+    saveSettings({
+      ...settings,
+      baseCurrency,
+      rates: rebaseRates(settings.rates, settings.baseCurrency, baseCurrency),
+    });
+  },
+
+  setLocale(locale) {
+    saveSettings({ ...settings, locale });
+  },
+
+  setRate(currency, rate) {
+    const code = normalizeCode(currency);
+    if (!isValidCurrencyCode(code)) {
+      throw new Error(`Invalid currency code: '${currency}'. Use a 3-letter ISO code such as AUD.`);
+    }
+    if (code === settings.baseCurrency) {
+      throw new Error(`${code} is the base currency`);
+    }
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('Rate must be a positive number');
+    }
+    saveSettings({ ...settings, rates: { ...settings.rates, [code]: value } });
+  },
+
+  removeRate(currency) {
+    const { [currency]: _removed, ...rates } = settings.rates;
+    saveSettings({ ...settings, rates });
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -0,0 +1,167 @@
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Error thrown for any failed API request.
+ * Carries the HTTP status and the ProblemDetails title/detail returned by the API.
+ * Network failures and timeouts use status 0.
+ */
+export class ApiError extends Error {
+  constructor({ message, status = 0, title = null, detail = null, endpoint = null, body = null, isTimeout = false, cause }) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.title = title;
+    this.detail = detail;
+    this.endpoint = endpoint;
+    this.body = body;
+    this.isTimeout = isTimeout;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+
+  get isServerError() {
+    return this.status >= 500;
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const readBody = async (response) => {
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  if (!text) return null;
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (contentType.includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+};
+
+// Understands ProblemDetails ({ title, detail }), the AdminController/Akahu error
+// shapes ({ Message, Error } / { message }) and plain-text BadRequest bodies
+const describeErrorBody = (body) => {
+  if (!body) return { title: null, detail: null };
+  if (typeof body === 'string') return { title: null, detail: body };
+
+  const validationErrors = body.errors
+    ? Object.values(body.errors).flat().join(' ')
+    : null;
+
+  return {
+    title: body.title || body.Message || body.message || null,
+    detail: body.detail || body.Error || body.error || validationErrors || null,
+  };
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const fetchWithTimeout = async (url, init, timeout, signal) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Request timed out after ${timeout / 1000}s`);
+      timeoutError.isTimeout = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Performs a fetch and returns the parsed response body.
+ *
+ * - Throws ApiError with the status and ProblemDetails on non-2xx responses
+ * - Retries idempotent requests (GET/HEAD) with exponential backoff on 5xx and network failures
+ * - Supports cancellation via `signal` (rethrows the AbortError) and a per-attempt `timeout`
+ *
+ * `errorMessage` prefixes the thrown error's message, e.g. "Failed to fetch accounts: ...".
+ */
+export const request = async (url, {
+  method = 'GET',
+  headers,
+  body,
+  signal,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries,
+  retryDelay = DEFAULT_RETRY_DELAY_MS,
+  endpoint = url,
+  errorMessage = 'Request failed',
+  mode = 'cors',
+} = {}) => {
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(method) ? 2 : 0);
+  const label = `${method} ${endpoint}`;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await fetchWithTimeout(url, { method, headers, body, mode }, timeout, signal);
+      const responseBody = await readBody(response);
+
+      if (response.ok) return responseBody;
+
+      const { title, detail } = describeErrorBody(responseBody);
+      error = new ApiError({
+        message: `${errorMessage}: ${detail || title || `${response.status} ${response.statusText}`.trim()}`,
+        status: response.status,
+        title,
+        detail,
+        endpoint: label,
+        body: responseBody,
+      });
+    } catch (err) {
+      if (isAbortError(err) && signal?.aborted) throw err;
+
+      error = new ApiError({
+        message: `${errorMessage}: ${err.isTimeout ? err.message : 'Unable to reach the server'}`,
+        detail: err.message,
+        endpoint: label,
+        isTimeout: Boolean(err.isTimeout),
+        cause: err,
+      });
+    }
+
+    const canRetry = error.isNetworkError || error.isServerError;
+    if (!canRetry || attempt >= maxRetries) throw error;
+
+    await sleep(retryDelay * 2 ** attempt, signal);
+  }
+};
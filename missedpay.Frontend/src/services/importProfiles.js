@@ -0,0 +1,62 @@
+const STORAGE_KEY = 'missedpay.importProfiles';
+
+const listeners = new Set();
+
+const readProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall through to no profiles
+  }
+  return [];
+};
+
+let profiles = readProfiles();
+
+const saveProfiles = (nextProfiles) => {
+  profiles = nextProfiles;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Saved CSV import settings per bank, kept in localStorage:
+ * { id, name, headers, delimiter, hasHeader, skipRows, dateFormat, invertAmounts, mapping }.
+ * `headers` is the header row the profile was made from, used to pick it
+ * again for the next file from the same bank.
+ */
+export const importProfilesStore = {
+  getProfiles() {
+    return profiles;
+  },
+
+  saveProfile(profile) {
+    const trimmedName = profile.name.trim();
+    if (!trimmedName) {
+      throw new Error('Give the profile a name, such as the bank it is for.');
+    }
+    const saved = { ...profile, name: trimmedName, id: profile.id || `profile-${Date.now()}` };
+    saveProfiles([...profiles.filter(p => p.id !== saved.id), saved]);
+    return saved;
+  },
+
+  removeProfile(id) {
+    saveProfiles(profiles.filter(p => p.id !== id));
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+// The saved profile made from a file with the same header row, if any
+export const findProfileForHeaders = (headers) => {
+  const signature = headers.map(header => header.trim().toLowerCase()).join('|');
+  return profiles.find(p => (p.headers || []).map(header => header.trim().toLowerCase()).join('|') === signature) || null;
+};
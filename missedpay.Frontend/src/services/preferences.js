@@ -0,0 +1,56 @@
+const STORAGE_KEY = 'missedpay.preferences';
+
+const DEFAULT_PREFERENCES = Object.freeze({
+  // Count transfers between our own accounts as income and spending
+  includeTransfers: false,
+  // Last export choices, so the next export starts from them
+  exportFormat: 'csv',
+  exportColumns: null,
+  qifDateFormat: 'dmy',
+  // Background Akahu sync while the app is open
+  autoRefreshEnabled: false,
+  autoRefreshMinutes: 30,
+  // Shows the admin console for clearing tenant data
+  adminMode: false,
+});
+
+const listeners = new Set();
+
+const readPreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return { ...DEFAULT_PREFERENCES, ...stored };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return DEFAULT_PREFERENCES;
+};
+
+let preferences = readPreferences();
+
+/**
+ * Display preferences that aren't tied to a tenant, kept in localStorage.
+ */
+export const preferencesStore = {
+  getPreferences() {
+    return preferences;
+  },
+
+  setPreference(name, value) {
+    if (preferences[name] === value) return;
+    preferences = { ...preferences, [name]: value };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch {
+      // Storage may be unavailable (private mode); keep the in-memory value
+    }
+    listeners.forEach(listener => listener());
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -0,0 +1,179 @@
+import { isAbortError } from './http';
+
+const DEFAULT_STALE_TIME_MS = 30000;
+
+export const hashKey = (key) => JSON.stringify(key);
+
+// A key matches a filter when the filter is a prefix of it: ['transactions'] matches ['transactions', tenantId]
+const matchesKey = (key, filter) => filter.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+const INITIAL_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  status: 'idle', // 'idle' | 'loading' | 'success' | 'error'
+  isFetching: false,
+  updatedAt: 0,
+});
+
+/**
+ * Small keyed query cache.
+ *
+ * - Queries are identified by array keys, e.g. ['transactions', tenantId]
+ * - Cached data is served immediately and revalidated in the background once stale
+ * - Concurrent fetches for the same key are de-duplicated
+ * - invalidateQueries(prefix) marks matching queries stale and refetches the ones in use
+ * - setQueryData/optimisticUpdate write to the cache directly for optimistic UI
+ */
+export const createQueryClient = ({ staleTime = DEFAULT_STALE_TIME_MS } = {}) => {
+  const entries = new Map();
+
+  const getEntry = (key) => {
+    const hash = hashKey(key);
+    if (!entries.has(hash)) {
+      entries.set(hash, {
+        key,
+        state: INITIAL_STATE,
+        listeners: new Set(),
+        fetcher: null,
+        promise: null,
+        controller: null,
+        staleTime,
+      });
+    }
+    return entries.get(hash);
+  };
+
+  const setState = (entry, changes) => {
+    entry.state = { ...entry.state, ...changes };
+    entry.listeners.forEach(listener => listener());
+  };
+
+  const isStale = (entry) => Date.now() - entry.state.updatedAt > entry.staleTime;
+
+  const fetchEntry = (entry, { force = false } = {}) => {
+    if (entry.promise && !force) return entry.promise;
+
+    // A forced fetch supersedes the one in flight
+    entry.controller?.abort();
+    const controller = new AbortController();
+    entry.controller = controller;
+
+    setState(entry, {
+      status: entry.state.data === undefined ? 'loading' : entry.state.status,
+      isFetching: true,
+    });
+
+    // A superseded fetch settles with the one that replaced it, a cancelled one with the cached data
+    const settleSuperseded = () => (entry.controller ? entry.promise : entry.state.data);
+
+    const promise = Promise.resolve()
+      .then(() => entry.fetcher({ signal: controller.signal }))
+      .then(
+        (data) => {
+          if (entry.controller !== controller) return settleSuperseded();
+          setState(entry, { data, error: null, status: 'success', isFetching: false, updatedAt: Date.now() });
+          return data;
+        },
+        (error) => {
+          if (entry.controller !== controller) return settleSuperseded();
+          if (isAbortError(error)) return entry.state.data;
+          setState(entry, { error, status: 'error', isFetching: false });
+          throw error;
+        }
+      )
+      .finally(() => {
+        if (entry.controller === controller) {
+          entry.promise = null;
+          entry.controller = null;
+        }
+      });
+
+    entry.promise = promise;
+    return promise;
+  };
+
+  return {
+    getState(key) {
+      return getEntry(key).state;
+    },
+
+    subscribe(key, listener) {
+      const entry = getEntry(key);
+      entry.listeners.add(listener);
+      return () => entry.listeners.delete(listener);
+    },
+
+    /**
+     * Returns cached data when fresh, otherwise fetches it. Stale data stays
+     * visible while the fetch runs (stale-while-revalidate).
+     */
+    fetchQuery(key, fetcher, { staleTime: entryStaleTime } = {}) {
+      const entry = getEntry(key);
+      entry.fetcher = fetcher;
+      if (entryStaleTime !== undefined) entry.staleTime = entryStaleTime;
+
+      if (entry.state.data !== undefined && !isStale(entry)) {
+        return Promise.resolve(entry.state.data);
+      }
+      return fetchEntry(entry);
+    },
+
+    refetchQuery(key) {
+      const entry = getEntry(key);
+      if (!entry.fetcher) return Promise.resolve(entry.state.data);
+      return fetchEntry(entry, { force: true });
+    },
+
+    /**
+     * Marks every query whose key starts with `filter` as stale and refetches
+     * those that currently have subscribers.
+     */
+    invalidateQueries(filter) {
+      const refetches = [];
+      entries.forEach((entry) => {
+        if (!matchesKey(entry.key, filter)) return;
+
+        entry.state = { ...entry.state, updatedAt: 0 };
+        if (entry.listeners.size > 0 && entry.fetcher) {
+          refetches.push(fetchEntry(entry, { force: true }));
+        }
+      });
+      return Promise.all(refetches);
+    },
+
+    getQueryData(key) {
+      return getEntry(key).state.data;
+    },
+
+    setQueryData(key, updater) {
+      const entry = getEntry(key);
+      const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+      setState(entry, { data, status: 'success', error: null, updatedAt: Date.now() });
+      return data;
+    },
+
+    /**
+     * Applies `updater` to the cached data immediately and returns a function
+     * that restores the previous data (call it if the mutation fails).
+     * Any fetch in flight is cancelled so it cannot overwrite the optimistic data.
+     */
+    optimisticUpdate(key, updater) {
+      const entry = getEntry(key);
+      const previous = entry.state;
+
+      entry.controller?.abort();
+      entry.controller = null;
+      entry.promise = null;
+
+      setState(entry, { data: updater(previous.data), isFetching: false });
+      return () => setState(entry, { data: previous.data, updatedAt: previous.updatedAt });
+    },
+
+    clear() {
+      entries.forEach(entry => entry.controller?.abort());
+      entries.clear();
+    },
+  };
+};
+
+export const queryClient = createQueryClient();
@@ -0,0 +1,71 @@
+// Vite's base path ('/' unless the app is deployed under a sub-path)
+const BASE_PATH = (import.meta.env.BASE_URL || '/').replace(/\/$/, '');
+
+const listeners = new Set();
+
+// `keepSearch` is true for the whole query string, or a list of params to keep
+const getKeptSearch = (keepSearch) => {
+  if (keepSearch === true) return window.location.search;
+  if (!keepSearch) return '';
+
+  const current = new URLSearchParams(window.location.search);
+  const kept = new URLSearchParams();
+  keepSearch.forEach(param => {
+    if (current.has(param)) kept.set(param, current.get(param));
+  });
+  const query = kept.toString();
+  return query ? `?${query}` : '';
+};
+const notify = () => listeners.forEach(listener => listener());
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', notify);
+}
+
+/**
+ * Minimal History API router. Paths are app-relative ('/accounts/abc');
+ * the query string is managed separately so list filters survive navigation
+ * between accounts.
+ */
+export const router = {
+  getPath() {
+    const { pathname } = window.location;
+    const path = pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : pathname;
+    return path || '/';
+  },
+
+  getSearch() {
+    return window.location.search;
+  },
+
+  /**
+   * Navigates to an app path, adding a history entry unless `replace` is set.
+   * The current query string is dropped unless `keepSearch` is set, either
+   * to true or to the names of the params to keep.
+   */
+  navigate(path, { replace = false, keepSearch = false } = {}) {
+    const search = getKeptSearch(keepSearch);
+    const url = `${BASE_PATH}${path}${search}`;
+    if (url === window.location.pathname + window.location.search) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    notify();
+  },
+
+  // Replaces the query string without adding a history entry
+  setSearchParams(params) {
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    window.history.replaceState(window.history.state, '', url);
+    notify();
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -0,0 +1,54 @@
+const STORAGE_KEY_PREFIX = 'missedpay.syncHistory.';
+
+// Older syncs are dropped beyond this many
+const MAX_ENTRIES = 20;
+
+const EMPTY_HISTORY = Object.freeze([]);
+
+const listeners = new Set();
+// Parsed history per tenant, so snapshots stay referentially stable between changes
+const cache = new Map();
+
+const readHistory = (tenantId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + tenantId));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Fall through to no history
+  }
+  return EMPTY_HISTORY;
+};
+
+const saveHistory = (tenantId, history) => {
+  cache.set(tenantId, history);
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFIX + tenantId, JSON.stringify(history));
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Per-tenant record of past Akahu syncs in localStorage, newest first:
+ * { id, scope, trigger, startedAt, finishedAt, status, steps: [{ id, status, created, updated, skipped, total, message }] }.
+ */
+export const syncHistoryStore = {
+  getHistory(tenantId) {
+    if (!cache.has(tenantId)) cache.set(tenantId, readHistory(tenantId));
+    return cache.get(tenantId);
+  },
+
+  addEntry(tenantId, entry) {
+    saveHistory(tenantId, [entry, ...this.getHistory(tenantId)].slice(0, MAX_ENTRIES));
+  },
+
+  clear(tenantId) {
+    saveHistory(tenantId, EMPTY_HISTORY);
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
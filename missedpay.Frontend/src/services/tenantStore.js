@@ -0,0 +1,151 @@
+const STORAGE_KEY = 'missedpay.activeTenantId';
+const TENANTS_STORAGE_KEY = 'missedpay.tenants';
+const PATHS_STORAGE_KEY = 'missedpay.tenantPaths';
+
+// Default tenant used by the API service in development (see Program.cs)
+export const DEFAULT_TENANT_ID = import.meta.env.VITE_TENANT_ID || '01927b5e-8f3a-7000-8000-000000000000';
+
+const TENANT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const listeners = new Set();
+
+const readStorage = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Storage may be unavailable (private mode); keep the in-memory value
+  }
+};
+
+const readStoredTenants = () => {
+  try {
+    const stored = JSON.parse(readStorage(TENANTS_STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored.filter(tenant => tenant && TENANT_ID_PATTERN.test(tenant.id));
+    }
+  } catch {
+    // Fall through to the default tenant list
+  }
+  return [{ id: DEFAULT_TENANT_ID, name: 'Default household' }];
+};
+
+const readStoredPaths = () => {
+  try {
+    const stored = JSON.parse(readStorage(PATHS_STORAGE_KEY));
+    if (stored && typeof stored === 'object') return stored;
+  } catch {
+    // Fall through to no saved paths
+  }
+  return {};
+};
+
+let tenants = readStoredTenants();
+let activeTenantId = readStorage(STORAGE_KEY) || DEFAULT_TENANT_ID;
+// Last app path per tenant, so switching households restores each one's view
+let pathsByTenant = readStoredPaths();
+
+const savePaths = (nextPaths) => {
+  pathsByTenant = nextPaths;
+  writeStorage(PATHS_STORAGE_KEY, JSON.stringify(pathsByTenant));
+};
+
+const notify = () => {
+  listeners.forEach(listener => listener(activeTenantId));
+};
+
+const saveTenants = (nextTenants) => {
+  tenants = nextTenants;
+  writeStorage(TENANTS_STORAGE_KEY, JSON.stringify(tenants));
+  notify();
+};
+
+export const isValidTenantId = (tenantId) => TENANT_ID_PATTERN.test(tenantId || '');
+
+/**
+ * Store for the tenant sent in the X-Tenant-Id header.
+ * The active tenant, the list of known tenants (with friendly names) and the
+ * last view of each tenant are persisted in localStorage so a reload keeps
+ * the same household and switching back to another restores where it was.
+ */
+export const tenantStore = {
+  getTenantId() {
+    return activeTenantId;
+  },
+
+  setTenantId(tenantId) {
+    const nextTenantId = tenantId || DEFAULT_TENANT_ID;
+    if (nextTenantId === activeTenantId) return;
+
+    activeTenantId = nextTenantId;
+    writeStorage(STORAGE_KEY, activeTenantId);
+    notify();
+  },
+
+  getTenants() {
+    return tenants;
+  },
+
+  getLastPath(tenantId) {
+    return pathsByTenant[tenantId] || null;
+  },
+
+  setLastPath(tenantId, path) {
+    // A removed tenant has no view to come back to
+    if (pathsByTenant[tenantId] === path || !tenants.some(tenant => tenant.id === tenantId)) return;
+    savePaths({ ...pathsByTenant, [tenantId]: path });
+  },
+
+  getTenantName(tenantId) {
+    return tenants.find(tenant => tenant.id === tenantId)?.name || tenantId;
+  },
+
+  addTenant({ id, name }) {
+    const tenantId = id.trim().toLowerCase();
+    if (!isValidTenantId(tenantId)) {
+      throw new Error(`Invalid tenant ID: '${id}'. Must be a valid GUID.`);
+    }
+    if (tenants.some(tenant => tenant.id === tenantId)) {
+      throw new Error('This tenant is already in the list');
+    }
+    saveTenants([...tenants, { id: tenantId, name: name.trim() || tenantId }]);
+    return tenantId;
+  },
+
+  renameTenant(tenantId, name) {
+    saveTenants(tenants.map(tenant =>
+      tenant.id === tenantId ? { ...tenant, name: name.trim() || tenant.id } : tenant
+    ));
+  },
+
+  removeTenant(tenantId) {
+    const remaining = tenants.filter(tenant => tenant.id !== tenantId);
+    if (remaining.length === 0) return;
+
+    const { [tenantId]: _removedPath, ...otherPaths } = pathsByTenant;
+    savePaths(otherPaths);
+
+    if (tenantId === activeTenantId) {
+      activeTenantId = remaining[0].id;
+      writeStorage(STORAGE_KEY, activeTenantId);
+    }
+    saveTenants(remaining);
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+// Make sure the active tenant always appears in the switcher
+if (!tenants.some(tenant => tenant.id === activeTenantId)) {
+  tenants = [...tenants, { id: activeTenantId, name: activeTenantId === DEFAULT_TENANT_ID ? 'Default household' : activeTenantId }];
+}
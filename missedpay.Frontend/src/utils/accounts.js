@@ -0,0 +1,111 @@
+import { getAccountCurrency } from './money';
+
+/**
+ * Account types as Akahu names them. `kind` decides which side of net worth
+ * the account is on; TAX and unknown types go by the sign of the balance.
+ */
+export const ACCOUNT_TYPES = {
+  CHECKING: { label: 'Everyday', kind: 'asset', icon: '💳' },
+  SAVINGS: { label: 'Savings', kind: 'asset', icon: '🏦' },
+  TERMDEPOSIT: { label: 'Term deposits', kind: 'asset', icon: '🔒' },
+  KIWISAVER: { label: 'KiwiSaver', kind: 'asset', icon: '🥝' },
+  INVESTMENT: { label: 'Investments', kind: 'asset', icon: '📈' },
+  FOREIGN: { label: 'Foreign currency', kind: 'asset', icon: '💱' },
+  REWARDS: { label: 'Rewards', kind: 'asset', icon: '🎁' },
+  WALLET: { label: 'Wallets', kind: 'asset', icon: '👛' },
+  CREDITCARD: { label: 'Credit cards', kind: 'liability', icon: '💳' },
+  LOAN: { label: 'Loans', kind: 'liability', icon: '🏠' },
+  TAX: { label: 'Tax', kind: null, icon: '🧾' },
+};
+
+const OTHER_TYPE = { label: 'Other', kind: null, icon: '💼' };
+
+/**
+ * The API serializes the AccountType enum by member name ("CreditCard") while
+ * Akahu uses "CREDITCARD"; both normalize to the Akahu form.
+ */
+export const normalizeAccountType = (type) =>
+  typeof type === 'string' ? type.toUpperCase().replace(/[^A-Z]/g, '') : '';
+
+export const getAccountTypeInfo = (account) =>
+  ACCOUNT_TYPES[normalizeAccountType(account.type)] || OTHER_TYPE;
+
+export const getLoanDetails = (account) => account.meta?.loan_details || account.meta?.loanDetails || null;
+
+/**
+ * Which side of net worth an account sits on. Credit cards and loans are
+ * always liabilities whatever sign the bank reports their balance with.
+ */
+export const isLiability = (account) => {
+  const { kind } = getAccountTypeInfo(account);
+  if (kind) return kind === 'liability';
+  return (account.balance?.current || 0) < 0;
+};
+
+// A card paid beyond what's owed has more available than its limit
+const isOverpaid = (account) => {
+  const { available, limit } = account.balance || {};
+  return Boolean(limit) && available != null && available > limit;
+};
+
+/**
+ * What a liability owes at `balance` (the current balance by default),
+ * whatever sign the bank reports it with: the balance's magnitude. An
+ * overpaid card is in credit instead, so its balance counts as a negative
+ * amount owed. Past balances are read with the same sign as today's.
+ */
+export const getAmountOwed = (account, balance = account.balance?.current || 0) => {
+  const current = account.balance?.current || 0;
+  // Most banks report money owed as a negative balance; some as a positive one
+  const reportsDebtAsPositive = current !== 0 && (current > 0) !== isOverpaid(account);
+  return reportsDebtAsPositive ? balance : -balance;
+};
+
+// Positive value of an account on its side of the balance sheet; an overpaid liability is negative
+export const getNetWorthAmount = (account) =>
+  (isLiability(account) ? getAmountOwed(account) : account.balance?.current || 0);
+
+// Share of a credit limit in use, 0–1, or null without a limit
+export const getCreditUtilisation = (account) => {
+  const limit = account.balance?.limit;
+  if (!limit) return null;
+  return Math.min(1, Math.abs(account.balance.current || 0) / limit);
+};
+
+const buildSide = (accounts, toBase) => {
+  const groups = new Map();
+  let total = 0;
+
+  accounts.forEach(account => {
+    const typeKey = normalizeAccountType(account.type) || 'OTHER';
+    if (!groups.has(typeKey)) {
+      groups.set(typeKey, { type: typeKey, ...getAccountTypeInfo(account), accounts: [], total: 0 });
+    }
+    const converted = toBase(getNetWorthAmount(account), getAccountCurrency(account));
+    const group = groups.get(typeKey);
+    group.accounts.push(account);
+    group.total += converted ?? 0;
+    total += converted ?? 0;
+  });
+
+  return {
+    total,
+    groups: [...groups.values()].sort((a, b) => b.total - a.total),
+  };
+};
+
+/**
+ * Splits accounts into assets and liabilities grouped by type, with totals
+ * in the base currency via `toBase(amount, currency)` (see useMoney).
+ * Accounts whose currency has no rate are listed but left out of the totals.
+ */
+export const buildNetWorth = (accounts, toBase) => {
+  const assets = buildSide(accounts.filter(account => !isLiability(account)), toBase);
+  const liabilities = buildSide(accounts.filter(isLiability), toBase);
+
+  return {
+    assets,
+    liabilities,
+    netWorth: assets.total - liabilities.total,
+  };
+};
@@ -0,0 +1,45 @@
+import { ALL_TENANTS } from '../services/api';
+
+// Destructive admin requests, mildest first. `clears` lists what the server deletes.
+export const ADMIN_ACTIONS = [
+  {
+    id: 'clearTransactions',
+    label: 'Clear transactions',
+    description: 'Deletes every transaction. Accounts are kept and the next sync downloads transactions again.',
+    clears: ['transactions'],
+  },
+  {
+    id: 'clearAccounts',
+    label: 'Clear accounts',
+    description: 'Deletes every account along with its transactions.',
+    clears: ['accounts', 'transactions'],
+  },
+  {
+    id: 'clearAllData',
+    label: 'Clear all data',
+    description: 'Deletes all accounts and transactions.',
+    clears: ['accounts', 'transactions'],
+  },
+];
+
+export const getAdminAction = (actionId) => ADMIN_ACTIONS.find(action => action.id === actionId);
+
+/**
+ * What has to be typed to confirm an action: the household's name, or
+ * ALL when the action runs against every tenant.
+ */
+export const getConfirmationPhrase = (target, targetName) =>
+  (target === ALL_TENANTS ? ALL_TENANTS : targetName || target);
+
+export const isConfirmationMatch = (typed, phrase) => typed.trim() === phrase;
+
+const plural = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+
+// "Deleted 3 accounts and 120 transactions" for a finished action, or its error
+export const describeAdminResult = (entry) => {
+  if (entry.status === 'error') return entry.message;
+  const parts = [];
+  if (entry.accountsDeleted != null) parts.push(plural(entry.accountsDeleted, 'account'));
+  if (entry.transactionsDeleted != null) parts.push(plural(entry.transactionsDeleted, 'transaction'));
+  return parts.length > 0 ? `Deleted ${parts.join(' and ')}` : entry.message;
+};
@@ -0,0 +1,131 @@
+import { addCadence, median } from './recurring';
+import { startOfDay, toDateInputValue } from './dates';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A payment this far from the usual amount is flagged as a change
+export const DEFAULT_AMOUNT_CHANGE_PERCENT = 10;
+
+// Missed payments stop alerting after this many cycles; the series has most likely ended
+const MAX_MISSED_CYCLES = 2;
+
+/**
+ * Effective tolerances for a series: `lateDays` past the expected date before
+ * a payment counts as missed (the cadence's own tolerance by default) and
+ * `amountPercent` change from the usual amount before it's flagged.
+ */
+export const getSeriesTolerance = (series, overrides = {}) => ({
+  lateDays: overrides.lateDays ?? series.cadence.tolerance,
+  amountPercent: overrides.amountPercent ?? DEFAULT_AMOUNT_CHANGE_PERCENT,
+  muted: Boolean(overrides.muted),
+});
+
+/**
+ * A payment to the series' counterparty, due in the cycle after its last
+ * payment, that was left out of the series because its amount is too far from
+ * the usual one. Payments belonging to another series are ignored; the one
+ * closest to the expected date wins.
+ */
+const findOffAmountPayment = (s, seriesTransactionIds, deadline) => {
+  const earliest = new Date(s.nextDate.getFullYear(), s.nextDate.getMonth(), s.nextDate.getDate() - s.cadence.tolerance);
+  let best = null;
+  (s.counterpartyTransactions || []).forEach(transaction => {
+    if (seriesTransactionIds.has(transaction._id)) return;
+    const date = new Date(transaction.date);
+    if (date <= s.lastDate || startOfDay(date) < earliest || startOfDay(date) > deadline) return;
+    if (!best || Math.abs(date - s.nextDate) < Math.abs(new Date(best.date) - s.nextDate)) {
+      best = transaction;
+    }
+  });
+  return best;
+};
+
+/**
+ * Alerts for recurring series (from detectRecurringSeries):
+ *  - 'missed': nothing arrived within `lateDays` of the expected date
+ *  - 'amount': the latest payment differs from the usual amount by more than `amountPercent`
+ *
+ * Series only hold payments of a similar amount, so a payment that changed a
+ * lot is looked for among the counterparty's other payments in the expected
+ * cycle; it counts as that cycle's payment rather than a missed one.
+ *
+ * Alert ids include the expected date or payment, so the next cycle raises a
+ * fresh alert after one is dismissed. `seriesSettings` are the per-series overrides.
+ */
+export const buildPaymentAlerts = (series, seriesSettings = {}, now = new Date()) => {
+  const today = startOfDay(now);
+  const alerts = [];
+
+  // Transactions already in some series, per counterparty
+  const seriesTransactionIds = new Map();
+  series.forEach(s => {
+    if (!seriesTransactionIds.has(s.groupKey)) seriesTransactionIds.set(s.groupKey, new Set());
+    s.transactions.forEach(t => seriesTransactionIds.get(s.groupKey).add(t._id));
+  });
+
+  const buildAmountAlert = (base, s, payment, usual, amountPercent) => {
+    const actual = Math.abs(payment.amount);
+    const changePercent = usual > 0 ? ((actual - usual) / usual) * 100 : 0;
+    if (Math.abs(changePercent) <= amountPercent) return null;
+    return {
+      ...base,
+      id: `amount:${s.key}:${payment._id}`,
+      type: 'amount',
+      expectedAmount: usual,
+      actualAmount: actual,
+      changePercent,
+      date: new Date(payment.date),
+      transactionId: payment._id,
+    };
+  };
+
+  series.forEach(s => {
+    const tolerance = getSeriesTolerance(s, seriesSettings[s.key]);
+    if (tolerance.muted) return;
+
+    const base = {
+      seriesKey: s.key,
+      name: s.name,
+      direction: s.direction,
+      cadence: s.cadence,
+      currency: s.currency,
+      expectedAmount: s.typicalAmount,
+    };
+
+    const addLateDays = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + tolerance.lateDays);
+    const offAmountPayment = findOffAmountPayment(s, seriesTransactionIds.get(s.groupKey) || new Set(), addLateDays(s.nextDate));
+    // A payment that changed a lot still pays for its cycle; the next one is due a cycle later
+    const expectedDate = offAmountPayment ? addCadence(new Date(offAmountPayment.date), s.cadence) : s.nextDate;
+
+    const daysLate = Math.round((today - startOfDay(expectedDate)) / DAY_MS);
+    if (today > addLateDays(expectedDate) && daysLate <= s.cadence.days * MAX_MISSED_CYCLES) {
+      alerts.push({
+        ...base,
+        id: `missed:${s.key}:${toDateInputValue(expectedDate)}`,
+        type: 'missed',
+        expectedDate,
+        daysLate,
+      });
+    }
+
+    // Only the latest payment is compared, and only while it's the current cycle's
+    const previous = s.transactions.slice(0, -1).map(t => Math.abs(t.amount));
+    const latest = s.transactions[s.transactions.length - 1];
+    const alert = offAmountPayment
+      ? expectedDate >= today && buildAmountAlert(base, s, offAmountPayment, s.typicalAmount, tolerance.amountPercent)
+      : previous.length >= 2 && s.nextDate >= today && buildAmountAlert(base, s, latest, median(previous), tolerance.amountPercent);
+    if (alert) alerts.push(alert);
+  });
+
+  // Missed payments first, then the most recent
+  return alerts.sort((a, b) =>
+    (a.type === 'missed' ? 0 : 1) - (b.type === 'missed' ? 0 : 1)
+    || (b.expectedDate || b.date) - (a.expectedDate || a.date));
+};
+
+// Whether an alert is hidden by a dismissal or a snooze that hasn't run out
+export const isAlertHidden = (alert, state, now = new Date()) => {
+  if (state.dismissed[alert.id]) return true;
+  const snoozedUntil = state.snoozed[alert.id];
+  return Boolean(snoozedUntil) && new Date(snoozedUntil) > now;
+};
@@ -0,0 +1,40 @@
+const MINUTE_MS = 60 * 1000;
+
+export const AUTO_REFRESH_INTERVALS = [5, 15, 30, 60, 180];
+
+// Retries after failures back off to at most this long (or the interval, if longer)
+const MAX_BACKOFF_MS = 6 * 60 * MINUTE_MS;
+
+// Syncs at the head of the history that didn't fully succeed
+export const countConsecutiveFailures = (history) => {
+  const index = history.findIndex(entry => entry.status === 'success');
+  return index === -1 ? history.length : index;
+};
+
+/**
+ * Time to wait after the last sync: the interval, doubled for each
+ * consecutive failure up to the backoff limit.
+ */
+export const getRefreshDelay = (intervalMinutes, failures = 0) => {
+  const intervalMs = intervalMinutes * MINUTE_MS;
+  if (failures === 0) return intervalMs;
+  return Math.min(intervalMs * 2 ** failures, Math.max(intervalMs, MAX_BACKOFF_MS));
+};
+
+/**
+ * When the next automatic sync is due (ms since epoch) from the sync
+ * history, newest first. Due immediately when there's never been a sync.
+ */
+export const getNextRefreshAt = (history, intervalMinutes, now = Date.now()) => {
+  const lastSync = history[0];
+  if (!lastSync) return now;
+  return new Date(lastSync.finishedAt).getTime() + getRefreshDelay(intervalMinutes, countConsecutiveFailures(history));
+};
+
+// "in 12 min", "in 2 h", or "now"
+export const formatTimeUntil = (timestamp, now = Date.now()) => {
+  const remaining = timestamp - now;
+  if (remaining < MINUTE_MS) return 'now';
+  if (remaining < 60 * MINUTE_MS) return `in ${Math.round(remaining / MINUTE_MS)} min`;
+  return `in ${Math.round(remaining / (60 * MINUTE_MS))} h`;
+};
@@ -0,0 +1,118 @@
+import { getAccountCurrency } from './money';
+import { startOfDay } from './dates';
+import { getAccountTypeInfo, getAmountOwed, isLiability, normalizeAccountType } from './accounts';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayIndex = (date, firstDay) => Math.round((startOfDay(date) - firstDay) / DAY_MS);
+
+/**
+ * Balance after each of an account's transactions, newest first.
+ *
+ * Walks back from `account.balance.current`. A transaction's own `balance`
+ * (the bank's running balance) is used when present, and re-anchors the
+ * walk so one missing or pending transaction doesn't skew everything before it.
+ */
+export const reconstructRunningBalances = (account, transactions) => {
+  const sorted = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
+  let running = account.balance?.current || 0;
+
+  const points = sorted.map(transaction => {
+    const after = typeof transaction.balance === 'number' ? transaction.balance : running;
+    running = after - transaction.amount;
+    return { date: new Date(transaction.date), balance: after };
+  });
+
+  return { points, openingBalance: running };
+};
+
+/**
+ * End-of-day balances for one account over `days` (from eachDay). Days
+ * before the first transaction use the balance before it; `today` uses the
+ * account's current balance.
+ */
+export const buildDailyBalances = (account, transactions, days, today = new Date()) => {
+  if (days.length === 0) return [];
+
+  const { points, openingBalance } = reconstructRunningBalances(account, transactions);
+  const firstDay = days[0];
+  const values = new Array(days.length).fill(null);
+
+  // Balance carried into the range from before its first day
+  let carried = openingBalance;
+  // Points are newest first, so the first one seen for a day is its closing balance
+  for (const point of points) {
+    const index = dayIndex(point.date, firstDay);
+    if (index < 0) {
+      carried = point.balance;
+      break;
+    }
+    if (index < days.length && values[index] === null) {
+      values[index] = point.balance;
+    }
+  }
+
+  const todayStart = startOfDay(today);
+  return values.map((value, index) => {
+    if (days[index].getTime() === todayStart.getTime()) {
+      carried = account.balance?.current ?? carried;
+    } else if (value !== null) {
+      carried = value;
+    }
+    return carried;
+  });
+};
+
+export const groupTransactionsByAccount = (transactions) => {
+  const byAccount = new Map();
+  transactions.forEach(transaction => {
+    if (!byAccount.has(transaction._account)) byAccount.set(transaction._account, []);
+    byAccount.get(transaction._account).push(transaction);
+  });
+  return byAccount;
+};
+
+export const getEarliestTransactionDate = (transactions) => {
+  if (transactions.length === 0) return null;
+  return new Date(Math.min(...transactions.map(t => new Date(t.date).getTime())));
+};
+
+/**
+ * Net worth over `days` as stacked series by account type: assets above zero,
+ * liabilities below, in the base currency via `toBase`. Liabilities count
+ * what they owe (getAmountOwed) whatever sign the bank uses, so an overpaid
+ * card sits above zero, as in the net worth panel.
+ * Accounts whose currency has no rate are left out.
+ */
+export const buildNetWorthHistory = (accounts, transactions, days, toBase, today = new Date()) => {
+  const transactionsByAccount = groupTransactionsByAccount(transactions);
+  const seriesByType = new Map();
+
+  accounts.forEach(account => {
+    const rate = toBase(1, getAccountCurrency(account));
+    if (rate === null) return;
+
+    const typeKey = normalizeAccountType(account.type) || 'OTHER';
+    const liability = isLiability(account);
+    const key = `${liability ? 'liability' : 'asset'}-${typeKey}`;
+    if (!seriesByType.has(key)) {
+      seriesByType.set(key, {
+        key,
+        label: getAccountTypeInfo(account).label,
+        kind: liability ? 'liability' : 'asset',
+        values: new Array(days.length).fill(0),
+      });
+    }
+
+    const series = seriesByType.get(key);
+    const balances = buildDailyBalances(account, transactionsByAccount.get(account._id) || [], days, today);
+    balances.forEach((balance, index) => {
+      const value = liability ? -getAmountOwed(account, balance) : balance;
+      series.values[index] += value * rate;
+    });
+  });
+
+  const series = [...seriesByType.values()];
+  const netWorth = days.map((_, index) => series.reduce((sum, s) => sum + s.values[index], 0));
+  return { series, netWorth };
+};
@@ -0,0 +1,56 @@
+import { getBudgetId } from '../services/budgets';
+
+/**
+ * How far through the calendar month `now` is, as a fraction (0–1] of the
+ * month's length, with the month's day count.
+ */
+export const getMonthProgress = (now = new Date()) => {
+  const start = new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  const daysInMonth = Math.round((end - start) / (24 * 60 * 60 * 1000));
+  // Count at least one day so a purchase on the 1st doesn't project to infinity
+  const fraction = Math.max((now - start) / (end - start), 1 / daysInMonth);
+  return { fraction: Math.min(1, fraction), daysInMonth, daysLeft: daysInMonth - now.getDate() };
+};
+
+// Month-end spend if spending continues at the pace so far
+export const projectMonthEndSpend = (spentSoFar, now = new Date()) =>
+  spentSoFar / getMonthProgress(now).fraction;
+
+/**
+ * 'over' once spending passes the budget, 'at-risk' when the projection
+ * does, otherwise 'on-track'.
+ */
+export const getBudgetStatus = (spent, projected, amount) => {
+  if (spent > amount) return 'over';
+  if (projected > amount) return 'at-risk';
+  return 'on-track';
+};
+
+export const BUDGET_STATUS_COLORS = {
+  over: '#dc2626',
+  'at-risk': '#f59e0b',
+  'on-track': '#10b981',
+};
+
+/**
+ * Spending this month per personal_finance group and category id, in the
+ * base currency via `toBase`. `transactions` should already be limited to
+ * the current month.
+ */
+export const buildMonthlySpending = (transactions, toBase) => {
+  const spending = new Map();
+  const add = (id, amount) => spending.set(id, (spending.get(id) || 0) + amount);
+
+  transactions.forEach(transaction => {
+    if (transaction.amount >= 0) return;
+    const amount = toBase(Math.abs(transaction.amount), transaction.currency);
+    if (amount === null) return;
+
+    const groupId = transaction.category?.groups?.personal_finance?._id;
+    if (groupId) add(getBudgetId('group', groupId), amount);
+    if (transaction.category?._id) add(getBudgetId('category', transaction.category._id), amount);
+  });
+
+  return spending;
+};
@@ -0,0 +1,115 @@
+import { endOfDay, startOfDay } from './dates';
+
+export const DATE_RANGE_PRESETS = [
+  { id: 'last31Days', label: 'Last 31 days' },
+  { id: 'thisMonth', label: 'This month' },
+  { id: 'lastMonth', label: 'Last month' },
+  { id: 'last90Days', label: 'Last 90 days' },
+  { id: 'yearToDate', label: 'Year to date' },
+  { id: 'all', label: 'All time' },
+  { id: 'custom', label: 'Custom range' },
+];
+
+export const DEFAULT_DATE_RANGE = { preset: 'last31Days' };
+
+// URL search params holding the selected range, so a shared or reloaded link shows the same period
+export const DATE_RANGE_SEARCH_PARAMS = ['range', 'from', 'to'];
+
+// Parses a YYYY-MM-DD input value as a local date
+const parseDateInput = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Resolves a range ({ preset } or { preset: 'custom', start, end } with
+ * YYYY-MM-DD strings) to inclusive local Date bounds. `start` is null for 'all'.
+ */
+export const resolveDateRange = (range = DEFAULT_DATE_RANGE, now = new Date()) => {
+  const today = startOfDay(now);
+
+  switch (range.preset) {
+    case 'thisMonth':
+      return { start: new Date(today.getFullYear(), today.getMonth(), 1), end: endOfDay(now) };
+    case 'lastMonth':
+      return {
+        start: new Date(today.getFullYear(), today.getMonth() - 1, 1),
+        end: endOfDay(new Date(today.getFullYear(), today.getMonth(), 0)),
+      };
+    case 'last90Days': {
+      const start = new Date(now);
+      start.setDate(start.getDate() - 90);
+      return { start, end: endOfDay(now) };
+    }
+    case 'yearToDate':
+      return { start: new Date(today.getFullYear(), 0, 1), end: endOfDay(now) };
+    case 'all':
+      return { start: null, end: null };
+    case 'custom':
+      return {
+        start: parseDateInput(range.start),
+        end: range.end ? endOfDay(parseDateInput(range.end)) : null,
+      };
+    case 'last31Days':
+    default: {
+      const start = new Date(now);
+      start.setDate(start.getDate() - 31);
+      return { start, end: endOfDay(now) };
+    }
+  }
+};
+
+export const isInDateRange = (dateString, { start, end }) => {
+  const date = new Date(dateString);
+  return (!start || date >= start) && (!end || date <= end);
+};
+
+export const filterByDateRange = (transactions, range) => {
+  const bounds = resolveDateRange(range);
+  if (!bounds.start && !bounds.end) return transactions;
+  return transactions.filter(t => isInDateRange(t.date, bounds));
+};
+
+const DATE_INPUT_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The range in the URL: `range` is a preset id, and a custom range adds
+ * `from` and `to` (YYYY-MM-DD). Missing or invalid values give the default.
+ */
+export const dateRangeFromSearchParams = (searchParams) => {
+  const preset = searchParams.get('range');
+  if (preset === 'custom') {
+    const readDate = (param) => (DATE_INPUT_PATTERN.test(searchParams.get(param) || '') ? searchParams.get(param) : '');
+    return { preset, start: readDate('from'), end: readDate('to') };
+  }
+  return DATE_RANGE_PRESETS.some(p => p.id === preset) ? { preset } : DEFAULT_DATE_RANGE;
+};
+
+/**
+ * Writes the range into a copy of `searchParams`, leaving unrelated params
+ * alone. The default range isn't written so the usual URLs stay clean.
+ */
+export const dateRangeToSearchParams = (range, searchParams = new URLSearchParams()) => {
+  const next = new URLSearchParams(searchParams);
+  DATE_RANGE_SEARCH_PARAMS.forEach(param => next.delete(param));
+  if (range.preset !== DEFAULT_DATE_RANGE.preset) next.set('range', range.preset);
+  if (range.preset === 'custom') {
+    if (range.start) next.set('from', range.start);
+    if (range.end) next.set('to', range.end);
+  }
+  return next;
+};
+
+export const formatDateRangeLabel = (range = DEFAULT_DATE_RANGE) => {
+  if (range.preset !== 'custom') {
+    return DATE_RANGE_PRESETS.find(preset => preset.id === range.preset)?.label || DATE_RANGE_PRESETS[0].label;
+  }
+
+  const { start, end } = resolveDateRange(range);
+  const format = (date) => new Intl.DateTimeFormat('en-US', { day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+  if (start && end) return `${format(start)} – ${format(end)}`;
+  if (start) return `Since ${format(start)}`;
+  if (end) return `Until ${format(end)}`;
+  return 'All time';
+};
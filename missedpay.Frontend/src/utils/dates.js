@@ -0,0 +1,47 @@
+/**
+ * Short display date: "Today", "Yesterday", or "12 Mar" (with the year when
+ * it isn't the current year).
+ */
+export const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  const today = new Date();
+  const yesterday = new Date(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  if (date.toDateString() === today.toDateString()) {
+    return 'Today';
+  } else if (date.toDateString() === yesterday.toDateString()) {
+    return 'Yesterday';
+  } else {
+    return new Intl.DateTimeFormat('en-US', {
+      day: 'numeric',
+      month: 'short',
+      year: date.getFullYear() !== today.getFullYear() ? 'numeric' : undefined,
+    }).format(date);
+  }
+};
+
+// Local calendar day of a date, for grouping transactions by day
+export const getDayKey = (dateString) => new Date(dateString).toDateString();
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+export const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+// Every local day from `start` to `end` inclusive
+export const eachDay = (start, end) => {
+  const days = [];
+  const day = startOfDay(start);
+  const last = startOfDay(end);
+  while (day <= last) {
+    days.push(new Date(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+};
+
+// YYYY-MM-DD in local time, as used by date inputs
+export const toDateInputValue = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
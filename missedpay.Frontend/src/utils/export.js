@@ -0,0 +1,301 @@
+import { toDateInputValue } from './dates';
+import { normalizeAccountType } from './accounts';
+import { normalizeTransactionType } from './transactions';
+
+/**
+ * Columns available in CSV exports. `get(transaction, account)` returns the
+ * cell value; amounts and dates are formatted for spreadsheets, not display.
+ */
+export const EXPORT_COLUMNS = [
+  { id: 'date', label: 'Date', get: (t) => toDateInputValue(new Date(t.date)) },
+  { id: 'account', label: 'Account', get: (t, account) => account?.name || '' },
+  { id: 'accountNumber', label: 'Account number', get: (t, account) => account?.formatted_account || '' },
+  { id: 'description', label: 'Description', get: (t) => t.description || '' },
+  { id: 'merchant', label: 'Merchant', get: (t) => t.merchant?.name || '' },
+  { id: 'amount', label: 'Amount', get: (t) => formatExportAmount(t.amount), numeric: true },
+  { id: 'currency', label: 'Currency', get: (t) => t.currency || '' },
+  { id: 'balance', label: 'Balance', get: (t) => (t.balance === null || t.balance === undefined ? '' : formatExportAmount(t.balance)), numeric: true },
+  { id: 'type', label: 'Type', get: (t) => t.type || '' },
+  { id: 'category', label: 'Category', get: (t) => t.category?.name || '' },
+  { id: 'group', label: 'Group', get: (t) => t.category?.groups?.personal_finance?.name || '' },
+  { id: 'particulars', label: 'Particulars', get: (t) => t.meta?.particulars || '' },
+  { id: 'code', label: 'Code', get: (t) => t.meta?.code || '' },
+  { id: 'reference', label: 'Reference', get: (t) => t.meta?.reference || '' },
+  { id: 'otherAccount', label: 'Other account', get: (t) => t.meta?.other_account || '' },
+  { id: 'id', label: 'Transaction ID', get: (t) => t._id },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = ['date', 'account', 'description', 'merchant', 'amount', 'currency', 'category', 'group', 'particulars', 'code', 'reference'];
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'ofx', label: 'OFX', extension: 'ofx', mimeType: 'application/x-ofx' },
+  { id: 'qif', label: 'QIF', extension: 'qif', mimeType: 'application/qif' },
+];
+
+export const QIF_DATE_FORMATS = [
+  { id: 'dmy', label: 'DD/MM/YYYY' },
+  { id: 'mdy', label: 'MM/DD/YYYY' },
+];
+
+// Plain decimal with a dot and no grouping, which every spreadsheet and importer parses
+export const formatExportAmount = (amount) => Number(amount).toFixed(2);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const accountLookup = (accounts) => {
+  const byId = new Map(accounts.map(account => [account._id, account]));
+  return (transaction) => byId.get(transaction._account);
+};
+
+// ---- CSV ----
+
+const escapeCsv = (value, numeric) => {
+  let text = String(value ?? '');
+  // Stop spreadsheets evaluating text cells that look like formulas
+  if (!numeric && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV with a header row and the chosen columns, in `columnIds` order.
+ */
+export const toCsv = (transactions, { columnIds = DEFAULT_EXPORT_COLUMNS, accounts = [] } = {}) => {
+  const columns = columnIds.map(id => EXPORT_COLUMNS.find(c => c.id === id)).filter(Boolean);
+  const getAccount = accountLookup(accounts);
+
+  const rows = [
+    columns.map(column => escapeCsv(column.label)).join(','),
+    ...transactions.map(t => columns.map(column => escapeCsv(column.get(t, getAccount(t)), column.numeric)).join(',')),
+  ];
+  return `${rows.join('\r\n')}\r\n`;
+};
+
+// ---- OFX ----
+
+// SGML values end at the line break, so newlines are folded into spaces
+const escapeSgml = (value) => String(value ?? '')
+  .replace(/[\r\n]+/g, ' ')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const formatOfxDate = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+// Keyed by normalized type: the API sends enum names ("DirectCredit"), Akahu "DIRECT CREDIT"
+const OFX_TRANSACTION_TYPES = {
+  DIRECTDEBIT: 'DIRECTDEBIT',
+  DIRECTCREDIT: 'DIRECTDEP',
+  ATM: 'ATM',
+  EFTPOS: 'POS',
+  INTEREST: 'INT',
+  FEE: 'FEE',
+  TRANSFER: 'XFER',
+  PAYMENT: 'PAYMENT',
+  STANDINGORDER: 'REPEATPMT',
+};
+
+const getOfxType = (transaction) =>
+  OFX_TRANSACTION_TYPES[normalizeTransactionType(transaction.type)]
+    || (transaction.amount < 0 ? 'DEBIT' : 'CREDIT');
+
+// Splits an NZ account number (12-3456-7890123-00) into OFX bank and account ids
+const getOfxAccountIds = (account) => {
+  const parts = (account?.formatted_account || '').split('-');
+  if (parts.length === 4) {
+    return { bankId: `${parts[0]}${parts[1]}`, accountId: `${parts[2]}${parts[3]}` };
+  }
+  return { bankId: '', accountId: account?.formatted_account || account?._id || 'UNKNOWN' };
+};
+
+const OFX_ACCOUNT_TYPES = { CHECKING: 'CHECKING', SAVINGS: 'SAVINGS', LOAN: 'CREDITLINE' };
+
+/**
+ * OFX 1.02 (SGML), the version most accounting packages import, with one
+ * statement per account. Credit cards go in a credit card statement.
+ */
+export const toOfx = (transactions, { accounts = [], now = new Date() } = {}) => {
+  const getAccount = accountLookup(accounts);
+  const byAccount = new Map();
+  transactions.forEach(t => {
+    if (!byAccount.has(t._account)) byAccount.set(t._account, []);
+    byAccount.get(t._account).push(t);
+  });
+
+  const bankStatements = [];
+  const cardStatements = [];
+  let transactionUid = 0;
+
+  byAccount.forEach((accountTransactions, accountId) => {
+    const account = getAccount(accountTransactions[0]) || { _id: accountId };
+    const sorted = [...accountTransactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const { bankId, accountId: ofxAccountId } = getOfxAccountIds(account);
+    const isCard = normalizeAccountType(account.type) === 'CREDITCARD';
+    const currency = account.balance?.currency || sorted[0].currency || 'NZD';
+
+    const accountFrom = isCard
+      ? ['<CCACCTFROM>', `<ACCTID>${escapeSgml(ofxAccountId)}`, '</CCACCTFROM>']
+      : [
+        '<BANKACCTFROM>',
+        `<BANKID>${escapeSgml(bankId)}`,
+        `<ACCTID>${escapeSgml(ofxAccountId)}`,
+        `<ACCTTYPE>${OFX_ACCOUNT_TYPES[normalizeAccountType(account.type)] || 'CHECKING'}`,
+        '</BANKACCTFROM>',
+      ];
+
+    const entries = sorted.flatMap(t => {
+      const memo = [t.meta?.particulars, t.meta?.code, t.meta?.reference].filter(Boolean).join(' ');
+      return [
+        '<STMTTRN>',
+        `<TRNTYPE>${getOfxType(t)}`,
+        `<DTPOSTED>${formatOfxDate(new Date(t.date))}`,
+        `<TRNAMT>${formatExportAmount(t.amount)}`,
+        `<FITID>${escapeSgml(t._id)}`,
+        // NAME is limited to 32 characters by the spec
+        `<NAME>${escapeSgml((t.merchant?.name || t.description || '').slice(0, 32))}`,
+        ...(memo || t.description ? [`<MEMO>${escapeSgml(memo || t.description)}`] : []),
+        '</STMTTRN>',
+      ];
+    });
+
+    const statement = [
+      isCard ? '<CCSTMTTRNRS>' : '<STMTTRNRS>',
+      `<TRNUID>${++transactionUid}`,
+      '<STATUS>', '<CODE>0', '<SEVERITY>INFO', '</STATUS>',
+      isCard ? '<CCSTMTRS>' : '<STMTRS>',
+      `<CURDEF>${escapeSgml(currency)}`,
+      ...accountFrom,
+      '<BANKTRANLIST>',
+      `<DTSTART>${formatOfxDate(new Date(sorted[0].date))}`,
+      `<DTEND>${formatOfxDate(new Date(sorted[sorted.length - 1].date))}`,
+      ...entries,
+      '</BANKTRANLIST>',
+      ...(account.balance ? [
+        '<LEDGERBAL>',
+        `<BALAMT>${formatExportAmount(account.balance.current)}`,
+        `<DTASOF>${formatOfxDate(now)}`,
+        '</LEDGERBAL>',
+      ] : []),
+      isCard ? '</CCSTMTRS>' : '</STMTRS>',
+      isCard ? '</CCSTMTTRNRS>' : '</STMTTRNRS>',
+    ];
+    (isCard ? cardStatements : bankStatements).push(...statement);
+  });
+
+  const header = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    // downloadFile writes UTF-8, so macrons in payees and memos survive
+    'ENCODING:UTF-8',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+  ];
+  const body = [
+    '<OFX>',
+    '<SIGNONMSGSRSV1>', '<SONRS>',
+    '<STATUS>', '<CODE>0', '<SEVERITY>INFO', '</STATUS>',
+    `<DTSERVER>${formatOfxDate(now)}`,
+    '<LANGUAGE>ENG',
+    '</SONRS>', '</SIGNONMSGSRSV1>',
+    ...(bankStatements.length ? ['<BANKMSGSRSV1>', ...bankStatements, '</BANKMSGSRSV1>'] : []),
+    ...(cardStatements.length ? ['<CREDITCARDMSGSRSV1>', ...cardStatements, '</CREDITCARDMSGSRSV1>'] : []),
+    '</OFX>',
+  ];
+  return `${[...header, ...body].join('\r\n')}\r\n`;
+};
+
+// ---- QIF ----
+
+const formatQifDate = (date, dateFormat) => {
+  const day = pad(date.getDate());
+  const month = pad(date.getMonth() + 1);
+  return dateFormat === 'mdy' ? `${month}/${day}/${date.getFullYear()}` : `${day}/${month}/${date.getFullYear()}`;
+};
+
+const QIF_ACCOUNT_TYPES = { CREDITCARD: 'CCard', LOAN: 'Oth L' };
+
+// QIF fields are single lines
+const qifText = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ');
+
+/**
+ * QIF with one section per account. QIF has no standard date order, so it
+ * is chosen with `dateFormat` ('dmy' or 'mdy') to match the importing app.
+ */
+export const toQif = (transactions, { accounts = [], dateFormat = 'dmy' } = {}) => {
+  const getAccount = accountLookup(accounts);
+  const byAccount = new Map();
+  transactions.forEach(t => {
+    if (!byAccount.has(t._account)) byAccount.set(t._account, []);
+    byAccount.get(t._account).push(t);
+  });
+
+  const lines = [];
+  // Account headers let importers split a multi-account file
+  if (byAccount.size > 1) lines.push('!Option:AutoSwitch');
+
+  byAccount.forEach(accountTransactions => {
+    const account = getAccount(accountTransactions[0]);
+    const qifType = QIF_ACCOUNT_TYPES[normalizeAccountType(account?.type)] || 'Bank';
+
+    if (byAccount.size > 1) {
+      lines.push('!Account', `N${qifText(account?.name || 'Unknown account')}`, `T${qifType}`, '^');
+    }
+    lines.push(`!Type:${qifType}`);
+
+    [...accountTransactions]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(t => {
+        const memo = [t.meta?.particulars, t.meta?.code, t.meta?.reference].filter(Boolean).join(' ');
+        const category = [t.category?.groups?.personal_finance?.name, t.category?.name].filter(Boolean).join(':');
+        lines.push(
+          `D${formatQifDate(new Date(t.date), dateFormat)}`,
+          `T${formatExportAmount(t.amount)}`,
+          `P${qifText(t.merchant?.name || t.description)}`,
+          ...(memo || t.merchant?.name ? [`M${qifText(memo || t.description)}`] : []),
+          ...(t.meta?.reference ? [`N${qifText(t.meta.reference)}`] : []),
+          ...(category ? [`L${qifText(category)}`] : []),
+          '^'
+        );
+      });
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Builds the export file in `formatId` and returns { content, filename, mimeType }.
+ * `name` becomes part of the filename alongside today's date.
+ */
+export const buildExport = (formatId, transactions, { name = 'transactions', accounts = [], columnIds, qifDateFormat } = {}) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId) || EXPORT_FORMATS[0];
+  const content = format.id === 'ofx'
+    ? toOfx(transactions, { accounts })
+    : format.id === 'qif'
+      ? toQif(transactions, { accounts, dateFormat: qifDateFormat })
+      : toCsv(transactions, { accounts, columnIds });
+
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'transactions';
+  return {
+    content,
+    filename: `missedpay-${slug}-${toDateInputValue(new Date())}.${format.extension}`,
+    mimeType: format.mimeType,
+  };
+};
+
+// Saves `content` through a temporary object URL
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,104 @@
+import { addCadence } from './recurring';
+import { normalizeAccountType } from './accounts';
+import { eachDay, getDayKey, startOfDay } from './dates';
+
+export const FORECAST_DAYS = 60;
+
+// The account a series is paid from (or into): the one used for its latest payment
+const getSeriesAccountId = (series) => series.transactions[series.transactions.length - 1]._account;
+
+/**
+ * Expected payments over the next `days` days from active recurring series.
+ * A payment that is due but hasn't arrived yet is placed on today and
+ * flagged `isOverdue`. Amounts are signed like transactions (debits negative).
+ */
+export const buildExpectedEvents = (series, { days = FORECAST_DAYS, now = new Date() } = {}) => {
+  const today = startOfDay(now);
+  const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days - 1);
+  const events = [];
+
+  series.filter(s => s.isActive).forEach(s => {
+    const amount = s.direction === 'debit' ? -s.typicalAmount : s.typicalAmount;
+    const base = {
+      seriesKey: s.key,
+      name: s.name,
+      amount,
+      currency: s.currency,
+      accountId: getSeriesAccountId(s),
+      cadence: s.cadence,
+    };
+
+    for (let cycle = 1; ; cycle += 1) {
+      const expected = addCadence(s.lastDate, s.cadence, cycle);
+      if (expected > end) break;
+      const isOverdue = expected < today;
+      events.push({
+        ...base,
+        id: `${s.key}:${cycle}`,
+        date: isOverdue ? today : expected,
+        expectedDate: expected,
+        isOverdue,
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.date - b.date || a.amount - b.amount);
+};
+
+export const isCheckingAccount = (account) => normalizeAccountType(account.type) === 'CHECKING';
+
+// Spendable balance to project from: available where the bank reports it
+export const getStartingBalance = (account) =>
+  account.balance?.available ?? account.balance?.current ?? 0;
+
+/**
+ * Daily projected balance per account from today, applying each expected
+ * event on its day. Only accounts with expected events, plus checking
+ * accounts, are projected. `firstNegativeDate` is set for checking accounts
+ * forecast to go below zero.
+ */
+export const buildCashFlowForecast = (accounts, events, { days = FORECAST_DAYS, now = new Date() } = {}) => {
+  const today = startOfDay(now);
+  const forecastDays = eachDay(today, new Date(today.getFullYear(), today.getMonth(), today.getDate() + days - 1));
+
+  const eventsByAccount = new Map();
+  events.forEach(event => {
+    if (!eventsByAccount.has(event.accountId)) eventsByAccount.set(event.accountId, new Map());
+    const byDay = eventsByAccount.get(event.accountId);
+    const key = getDayKey(event.date);
+    byDay.set(key, (byDay.get(key) || 0) + event.amount);
+  });
+
+  const projections = accounts
+    .filter(account => eventsByAccount.has(account._id) || isCheckingAccount(account))
+    .map(account => {
+      const byDay = eventsByAccount.get(account._id) || new Map();
+      let balance = getStartingBalance(account);
+      const values = forecastDays.map(day => {
+        balance += byDay.get(getDayKey(day)) || 0;
+        return balance;
+      });
+
+      const checking = isCheckingAccount(account);
+      const firstNegativeIndex = checking ? values.findIndex(value => value < 0) : -1;
+      return {
+        account,
+        isChecking: checking,
+        startingBalance: getStartingBalance(account),
+        values,
+        endBalance: values[values.length - 1],
+        lowestBalance: Math.min(...values),
+        firstNegativeDate: firstNegativeIndex >= 0 ? forecastDays[firstNegativeIndex] : null,
+      };
+    });
+
+  // Days on which any checking account is projected below zero
+  const negativeDays = new Set();
+  projections.filter(p => p.isChecking).forEach(p => {
+    p.values.forEach((value, index) => {
+      if (value < 0) negativeDays.add(getDayKey(forecastDays[index]));
+    });
+  });
+
+  return { days: forecastDays, projections, negativeDays };
+};
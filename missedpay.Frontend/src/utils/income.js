@@ -0,0 +1,96 @@
+import { CADENCES, detectRecurringSeries, getCounterparty, getNextOccurrence } from './recurring';
+import { normalizeTransactionType } from './transactions';
+
+// Pay cycles recognised by salary detection
+export const PAY_FREQUENCIES = CADENCES.filter(cadence => cadence.id !== 'annual');
+
+// Pay amounts may vary by up to this fraction (overtime, tax changes)
+const SALARY_AMOUNT_TOLERANCE = 0.25;
+
+export const isIncome = (transaction) => transaction.amount > 0;
+
+/**
+ * Credits grouped by source, largest total first. Totals are in the base
+ * currency via `toBase`; credits without an exchange rate are left out of the
+ * totals but still listed.
+ */
+export const buildIncomeSources = (transactions, toBase) => {
+  const sources = new Map();
+
+  transactions.filter(isIncome).forEach(transaction => {
+    const source = getCounterparty(transaction);
+    if (!sources.has(source.key)) {
+      sources.set(source.key, { ...source, total: 0, count: 0, types: new Set(), transactions: [] });
+    }
+
+    const entry = sources.get(source.key);
+    entry.total += toBase(transaction.amount, transaction.currency) ?? 0;
+    entry.count += 1;
+    if (transaction.type) entry.types.add(transaction.type);
+    entry.transactions.push(transaction);
+  });
+
+  return [...sources.values()]
+    .map(source => {
+      const sorted = source.transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+      // Name the source after its latest credit
+      return { ...source, name: getCounterparty(sorted[0]).name, types: [...source.types].sort(), transactions: sorted };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Sources that pay a similar amount on a weekly, fortnightly or monthly
+ * cycle. Direct credits are listed first since that's how most employers pay.
+ * Pass the full transaction history; short ranges rarely have enough payments.
+ */
+export const detectSalaries = (transactions, now = new Date()) =>
+  detectRecurringSeries(transactions.filter(isIncome), {
+    cadences: PAY_FREQUENCIES,
+    amountTolerance: SALARY_AMOUNT_TOLERANCE,
+    now,
+  })
+    .map(series => ({
+      key: series.key,
+      name: series.name,
+      frequency: series.cadence,
+      typicalAmount: series.typicalAmount,
+      currency: series.currency,
+      isDirectCredit: series.transactions.some(t => normalizeTransactionType(t.type) === 'DIRECTCREDIT'),
+      paymentCount: series.transactions.length,
+      lastDate: series.lastDate,
+      // A late pay day shouldn't show an expected date in the past
+      nextDate: getNextOccurrence(series.lastDate, series.cadence, now),
+    }))
+    .sort((a, b) => (b.isDirectCredit - a.isDirectCredit) || (b.typicalAmount - a.typicalAmount));
+
+const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Income, expenses, net and savings rate per calendar month, oldest first,
+ * in the base currency. `savingsRate` is net / income, or null with no income.
+ */
+export const buildMonthlyCashFlow = (transactions, toBase) => {
+  const months = new Map();
+
+  transactions.forEach(transaction => {
+    const amount = toBase(Math.abs(transaction.amount), transaction.currency);
+    if (amount === null || transaction.amount === 0) return;
+
+    const date = new Date(transaction.date);
+    const key = getMonthKey(date);
+    if (!months.has(key)) {
+      months.set(key, { key, month: new Date(date.getFullYear(), date.getMonth(), 1), income: 0, expenses: 0 });
+    }
+    const month = months.get(key);
+    if (transaction.amount > 0) month.income += amount;
+    else month.expenses += amount;
+  });
+
+  return [...months.values()]
+    .sort((a, b) => a.month - b.month)
+    .map(month => {
+      const net = month.income - month.expenses;
+      return { ...month, net, savingsRate: month.income > 0 ? net / month.income : null };
+    });
+};
@@ -0,0 +1,130 @@
+export const DEFAULT_CURRENCY = 'NZD';
+export const DEFAULT_LOCALE = 'en-NZ';
+
+export const LOCALE_OPTIONS = [
+  { id: 'en-NZ', label: 'English (New Zealand)' },
+  { id: 'en-AU', label: 'English (Australia)' },
+  { id: 'en-US', label: 'English (United States)' },
+  { id: 'en-GB', label: 'English (United Kingdom)' },
+];
+
+const formatters = new Map();
+
+const getFormatter = (currency, locale) => {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    } catch {
+      // Unknown ISO code from the bank feed: show the code rather than failing the render
+      const number = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      formatter = { format: (amount) => `${currency} ${number.format(amount)}` };
+    }
+    formatters.set(key, formatter);
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Formats an amount in its ISO currency for the given locale, e.g. "$1,234.50"
+ * for NZD and "A$1,234.50" for AUD in en-NZ.
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) =>
+  getFormatter(currency || DEFAULT_CURRENCY, locale).format(amount);
+
+const compactFormatters = new Map();
+
+// Short axis labels such as "$12K" or "-$1.2M"
+export const formatCompactMoney = (amount, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) => {
+  const key = `${locale}|${currency}`;
+  if (!compactFormatters.has(key)) {
+    try {
+      compactFormatters.set(key, new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        notation: 'compact',
+        maximumFractionDigits: 1,
+      }));
+    } catch {
+      compactFormatters.set(key, getFormatter(currency, locale));
+    }
+  }
+  return compactFormatters.get(key).format(amount);
+};
+
+export const isValidCurrencyCode = (code) => /^[A-Z]{3}$/.test(code);
+
+export const getAccountCurrency = (account) => account?.balance?.currency || DEFAULT_CURRENCY;
+
+/**
+ * Tags each transaction with its account's currency as `currency`. Amounts are
+ * in the account's currency; the API doesn't store one on the transaction.
+ */
+export const withAccountCurrency = (transactions, accounts) => {
+  if (accounts.length === 0) return transactions;
+
+  const currencies = new Map(accounts.map(account => [account._id, getAccountCurrency(account)]));
+  return transactions.map(transaction => ({
+    ...transaction,
+    currency: currencies.get(transaction._account) || DEFAULT_CURRENCY,
+  }));
+};
+
+// The original foreign amount of a transaction made in another currency, if any
+export const getConversion = (transaction) => {
+  const conversion = transaction.meta?.conversion;
+  return conversion?.currency ? conversion : null;
+};
+
+/**
+ * e.g. "US$12.00 at 1.6543" for a card purchase converted by the bank.
+ */
+export const formatConversion = (conversion, locale = DEFAULT_LOCALE) => {
+  const amount = formatMoney(Math.abs(conversion.amount), conversion.currency, locale);
+  return conversion.rate ? `${amount} at ${conversion.rate}` : amount;
+};
+
+/**
+ * Converts an amount to the base currency with a rate table of
+ * { [currency]: value of 1 unit in the base currency }. Returns null when
+ * there is no rate, so callers can exclude it rather than guess.
+ */
+export const convertToBase = (amount, currency, { baseCurrency, rates }) => {
+  if (!currency || currency === baseCurrency) return amount;
+  const rate = rates[currency];
+  return rate ? amount * rate : null;
+};
+
+/**
+ * Sums [{ amount, currency }] in the base currency. Amounts without a rate
+ * are left out and their currencies listed in `missingCurrencies`.
+ */
+export const sumInBaseCurrency = (entries, settings) => {
+  const missing = new Set();
+  const total = entries.reduce((sum, { amount, currency }) => {
+    const converted = convertToBase(amount, currency, settings);
+    if (converted === null) {
+      missing.add(currency);
+      return sum;
+    }
+    return sum + converted;
+  }, 0);
+  return { total, missingCurrencies: [...missing].sort() };
+};
+
+/**
+ * Re-expresses a rate table against a new base currency, so switching base
+ * keeps the rates already entered. Rates that can't be derived are dropped.
+ */
+export const rebaseRates = (rates, fromBase, toBase) => {
+  if (fromBase === toBase) return rates;
+  const pivot = rates[toBase];
+  if (!pivot) return {};
+
+  const rebased = { [fromBase]: Number((1 / pivot).toPrecision(6)) };
+  Object.entries(rates).forEach(([currency, rate]) => {
+    if (currency !== toBase) rebased[currency] = Number((rate / pivot).toPrecision(6));
+  });
+  return rebased;
+};
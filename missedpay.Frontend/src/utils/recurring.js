@@ -0,0 +1,190 @@
+import { startOfDay } from './dates';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Cadences the detector recognises. `tolerance` is how many days early or
+ * late a payment can be and still fit; `minOccurrences` is how many payments
+ * are needed before a series is believable.
+ */
+export const CADENCES = [
+  { id: 'weekly', label: 'Weekly', days: 7, tolerance: 1, minOccurrences: 3 },
+  { id: 'fortnightly', label: 'Fortnightly', days: 14, tolerance: 2, minOccurrences: 3 },
+  { id: 'monthly', label: 'Monthly', days: 30.44, months: 1, tolerance: 4, minOccurrences: 3 },
+  { id: 'annual', label: 'Annual', days: DAYS_PER_YEAR, months: 12, tolerance: 14, minOccurrences: 2 },
+];
+
+// Share of gaps between payments that must fit the cadence for a series to count as regular
+const REGULARITY_THRESHOLD = 0.75;
+
+/**
+ * Who a transaction is with: the merchant, else the other party's account
+ * number (`meta.other_account`), else the description with digits and
+ * references stripped so that "SALARY 0423" and "SALARY 0507" group together.
+ */
+export const getCounterparty = (transaction) => {
+  if (transaction.merchant?.name) {
+    return { key: `merchant:${transaction.merchant.name}`, name: transaction.merchant.name };
+  }
+
+  const otherAccount = transaction.meta?.other_account;
+  if (otherAccount) {
+    return {
+      key: `account:${otherAccount}`,
+      name: transaction.description || otherAccount,
+      otherAccount,
+    };
+  }
+
+  const description = (transaction.description || 'Unknown').trim();
+  const normalized = description.toLowerCase().replace(/[\d/#-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return { key: `description:${normalized || description}`, name: description };
+};
+
+export const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  // Clamp to the end of shorter months (paid on the 31st -> 30th)
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+};
+
+// The date `cycles` cadences after `date`, keeping the day of month for monthly and annual
+export const addCadence = (date, cadence, cycles = 1) => {
+  const day = startOfDay(date);
+  return cadence.months
+    ? addMonths(day, cadence.months * cycles)
+    : new Date(day.getFullYear(), day.getMonth(), day.getDate() + cadence.days * cycles);
+};
+
+/**
+ * The first date on the cadence after `lastDate` that isn't before `now`;
+ * skips cycles that have already passed.
+ */
+export const getNextOccurrence = (lastDate, cadence, now = new Date()) => {
+  const today = startOfDay(now);
+  let cycles = 1;
+  let next = addCadence(lastDate, cadence, cycles);
+  while (next < today) {
+    cycles += 1;
+    next = addCadence(lastDate, cadence, cycles);
+  }
+  return next;
+};
+
+const detectCadence = (dates, cadences) => {
+  const gaps = dates.slice(1).map((date, i) => (date - dates[i]) / DAY_MS);
+  const typicalGap = median(gaps);
+  const cadence = cadences.find(c => Math.abs(typicalGap - c.days) <= c.tolerance);
+  if (!cadence || dates.length < cadence.minOccurrences) return null;
+
+  // Allow the odd early or late payment, but most gaps must fit the cadence
+  const regularGaps = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance);
+  return regularGaps.length / gaps.length >= REGULARITY_THRESHOLD ? cadence : null;
+};
+
+/**
+ * Splits one counterparty's transactions into runs of similar amounts, so a
+ * $15.99 subscription and occasional $60 purchases from the same merchant
+ * are considered separately. Amounts within `tolerance` (a fraction, with a
+ * $1 floor) of the smallest in the run group together.
+ */
+const clusterByAmount = (transactions, tolerance) => {
+  const sorted = [...transactions].sort((a, b) => Math.abs(a.amount) - Math.abs(b.amount));
+  const clusters = [];
+  let current = null;
+
+  sorted.forEach(transaction => {
+    const amount = Math.abs(transaction.amount);
+    if (current && amount <= current.floor + Math.max(current.floor * tolerance, 1)) {
+      current.transactions.push(transaction);
+    } else {
+      current = { floor: amount, transactions: [transaction] };
+      clusters.push(current);
+    }
+  });
+
+  return clusters.map(cluster => cluster.transactions);
+};
+
+/**
+ * Finds recurring series: payments to (or from) the same counterparty, of a
+ * similar amount, on a regular cadence. Pass the full history; short date
+ * ranges rarely hold enough occurrences.
+ *
+ * Each series has { key, groupKey, name, direction, cadence, averageAmount,
+ * typicalAmount, annualAmount, currency, transactions (oldest first),
+ * counterpartyTransactions, lastDate, nextDate, isActive }. Amounts are
+ * positive in the series' currency; `nextDate` is one cycle after the last
+ * payment and may be in the past, in which case `isActive` is false once the
+ * cadence tolerance is used up. `counterpartyTransactions` are all the
+ * counterparty's payments in the same direction and currency, whatever the
+ * amount, and are shared by the series with the same `groupKey`.
+ */
+export const detectRecurringSeries = (transactions, {
+  cadences = CADENCES,
+  amountTolerance = 0.2,
+  now = new Date(),
+} = {}) => {
+  const groups = new Map();
+  transactions.forEach(transaction => {
+    if (!transaction.amount) return;
+    const direction = transaction.amount < 0 ? 'debit' : 'credit';
+    const counterparty = getCounterparty(transaction);
+    const key = `${direction}|${transaction.currency || ''}|${counterparty.key}`;
+    if (!groups.has(key)) groups.set(key, { key, direction, transactions: [] });
+    groups.get(key).transactions.push(transaction);
+  });
+
+  const today = startOfDay(now);
+  const series = [];
+
+  groups.forEach(group => {
+    const seenCadences = new Map();
+    clusterByAmount(group.transactions, amountTolerance).forEach(cluster => {
+      const payments = [...cluster].sort((a, b) => new Date(a.date) - new Date(b.date));
+      const cadence = detectCadence(payments.map(t => startOfDay(new Date(t.date))), cadences);
+      if (!cadence) return;
+
+      const amounts = payments.map(t => Math.abs(t.amount));
+      const averageAmount = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+      const last = payments[payments.length - 1];
+      const lastDate = new Date(last.date);
+      const nextDate = addCadence(lastDate, cadence);
+      const graceEnd = new Date(nextDate.getFullYear(), nextDate.getMonth(), nextDate.getDate() + cadence.tolerance);
+
+      // Keys stay stable as amounts drift; a second series on the same cadence gets a suffix
+      const occurrence = (seenCadences.get(cadence.id) || 0) + 1;
+      seenCadences.set(cadence.id, occurrence);
+
+      series.push({
+        key: `${group.key}|${cadence.id}${occurrence > 1 ? `#${occurrence}` : ''}`,
+        groupKey: group.key,
+        // Named after the latest payment, in case the description changed
+        name: getCounterparty(last).name,
+        direction: group.direction,
+        cadence,
+        averageAmount,
+        typicalAmount: median(amounts),
+        annualAmount: averageAmount * (DAYS_PER_YEAR / cadence.days),
+        currency: last.currency,
+        transactions: payments,
+        counterpartyTransactions: group.transactions,
+        firstDate: new Date(payments[0].date),
+        lastDate,
+        nextDate,
+        isActive: graceEnd >= today,
+      });
+    });
+  });
+
+  return series.sort((a, b) => b.annualAmount - a.annualAmount);
+};
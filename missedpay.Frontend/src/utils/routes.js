@@ -0,0 +1,58 @@
+const segment = (value) => encodeURIComponent(value);
+
+/**
+ * Path builders for the app's routes:
+ *   /accounts[/:accountId]
+ *   /budgeting[/:groupId[/:categoryId]]
+ *   /income
+ *   /subscriptions
+ *   /calendar
+ *   /admin (only reachable in admin mode)
+ */
+export const routes = {
+  accounts: (accountId) => (accountId ? `/accounts/${segment(accountId)}` : '/accounts'),
+
+  budgeting: (groupId, categoryId) => {
+    if (!groupId) return '/budgeting';
+    if (!categoryId) return `/budgeting/${segment(groupId)}`;
+    return `/budgeting/${segment(groupId)}/${segment(categoryId)}`;
+  },
+
+  income: () => '/income',
+
+  subscriptions: () => '/subscriptions',
+
+  calendar: () => '/calendar',
+
+  admin: () => '/admin',
+};
+
+const decodeSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Unknown paths (including '/') fall back to the accounts view
+export const parseRoute = (path) => {
+  const [view, ...params] = path.split('/').filter(Boolean).map(decodeSegment);
+
+  if (view === 'budgeting') {
+    return {
+      view,
+      groupId: params[0] || null,
+      categoryId: params[0] ? params[1] || null : null,
+    };
+  }
+
+  if (view === 'income' || view === 'subscriptions' || view === 'calendar' || view === 'admin') {
+    return { view };
+  }
+
+  return {
+    view: 'accounts',
+    accountId: view === 'accounts' ? params[0] || null : null,
+  };
+};
@@ -0,0 +1,583 @@
+import { getDayKey } from './dates';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+
+export const DATE_FORMATS = [
+  { id: 'dmy', label: 'DD/MM/YYYY' },
+  { id: 'mdy', label: 'MM/DD/YYYY' },
+  { id: 'ymd', label: 'YYYY-MM-DD' },
+];
+
+/**
+ * Statement fields a CSV column can be mapped to. A row needs a date, a
+ * description and either an amount or debit/credit columns.
+ */
+export const CSV_FIELDS = [
+  { id: 'date', label: 'Date', required: true },
+  { id: 'description', label: 'Description', required: true },
+  { id: 'amount', label: 'Amount' },
+  { id: 'debit', label: 'Debit (money out)' },
+  { id: 'credit', label: 'Credit (money in)' },
+  { id: 'balance', label: 'Balance' },
+  { id: 'particulars', label: 'Particulars' },
+  { id: 'code', label: 'Code' },
+  { id: 'reference', label: 'Reference' },
+  { id: 'otherAccount', label: 'Other account' },
+];
+
+// Header names banks commonly use, to pre-fill the mapping for a new file
+const FIELD_HEADER_HINTS = {
+  date: /^(transaction |posted |value )?date$/,
+  description: /^(description|details|payee|narrative|memo|transaction details|name)$/,
+  amount: /^(amount|value|transaction amount)( \(\w+\))?$/,
+  debit: /^(debit|withdrawals?|money out|paid out)( amount)?$/,
+  credit: /^(credit|deposits?|money in|paid in)( amount)?$/,
+  balance: /^(running )?balance$/,
+  particulars: /^particulars$/,
+  code: /^(analysis )?code$/,
+  reference: /^reference$/,
+  otherAccount: /^(other party account|other account|account number)$/,
+};
+
+/**
+ * Picks the format from the file name, then the content.
+ */
+export const detectFormat = (filename = '', text = '') => {
+  const extension = filename.toLowerCase().split('.').pop();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  // QFX is Quicken's name for OFX
+  if (extension === 'qfx') return 'ofx';
+  if (/<OFX>|OFXHEADER/i.test(text)) return 'ofx';
+  if (/^!(Type|Account|Option)/im.test(text)) return 'qif';
+  return 'csv';
+};
+
+// ---- Values ----
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day);
+  // Reject rollovers such as 31/02
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Parses a statement date to local midnight, or null. Year-first dates are
+ * always read as YYYY-MM-DD; otherwise `dateFormat` ('dmy' or 'mdy') decides
+ * which part is the day. Month names ("5 Oct 2026") are understood too.
+ */
+export const parseStatementDate = (value, dateFormat = 'dmy') => {
+  const text = String(value ?? '').trim().replace(/'/g, '/').replace(/\s*\/\s*/g, '/');
+
+  const yearFirst = text.match(/^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})/);
+  if (yearFirst) return toDate(Number(yearFirst[1]), Number(yearFirst[2]), Number(yearFirst[3]));
+
+  const numeric = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (numeric) {
+    const [first, second, year] = numeric.slice(1).map(Number);
+    return dateFormat === 'mdy' ? toDate(year, first, second) : toDate(year, second, first);
+  }
+
+  const named = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})/);
+  if (named) {
+    const month = MONTHS.indexOf(named[2].toLowerCase()) + 1;
+    return month ? toDate(Number(named[3]), month, Number(named[1])) : null;
+  }
+  return null;
+};
+
+/**
+ * Guesses 'dmy' or 'mdy' from sample dates: a first part over 12 must be a
+ * day, a second part over 12 must be a day. Defaults to 'dmy', or 'ymd'
+ * when the dates are year-first.
+ */
+export const guessDateFormat = (values) => {
+  for (const value of values) {
+    const match = String(value ?? '').trim().replace(/'/g, '/').match(/^(\d{1,2})[-/.]\s*(\d{1,2})[-/.]/);
+    if (!match) continue;
+    if (Number(match[1]) > 12) return 'dmy';
+    if (Number(match[2]) > 12) return 'mdy';
+  }
+  return values.some(value => /^\d{4}/.test(String(value ?? '').trim())) ? 'ymd' : 'dmy';
+};
+
+/**
+ * Parses "1,234.56", "-$5.00", "(12.00)", "12.00 DR" and "12.00-" to a
+ * number, or null when blank or not a number.
+ */
+export const parseAmount = (value) => {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/\s*DR$/i.test(text)) {
+    negative = true;
+    text = text.replace(/\s*DR$/i, '');
+  } else {
+    text = text.replace(/\s*CR$/i, '');
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const number = Number(text.replace(/[^\d.-]/g, ''));
+  if (text.replace(/[^\d]/g, '') === '' || Number.isNaN(number)) return null;
+  return negative ? -Math.abs(number) : number;
+};
+
+// ---- CSV ----
+
+/**
+ * Picks the delimiter used most consistently across the first lines.
+ */
+export const detectDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 10);
+  const candidates = [',', ';', '\t', '|'];
+  const scored = candidates.map(delimiter => {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    const consistent = counts.every(count => count === counts[0]);
+    return { delimiter, score: consistent ? counts[0] : 0 };
+  });
+  return scored.sort((a, b) => b.score - a.score)[0].score > 0 ? scored[0].delimiter : ',';
+};
+
+/**
+ * RFC 4180 parser: quoted fields may contain delimiters, quotes ("") and
+ * line breaks. Blank lines are dropped.
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Best guess at a column mapping from the header row: { [fieldId]: columnIndex }.
+ */
+export const guessCsvMapping = (headers) => {
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    const index = headers.findIndex(header => FIELD_HEADER_HINTS[field.id].test(header.trim().toLowerCase()));
+    if (index >= 0 && !Object.values(mapping).includes(index)) mapping[field.id] = index;
+  });
+  return mapping;
+};
+
+// What's missing from a mapping before rows can be read, or null
+export const getMappingError = (mapping) => {
+  if (mapping.date === undefined) return 'Choose the date column';
+  if (mapping.description === undefined) return 'Choose the description column';
+  if (mapping.amount === undefined && mapping.debit === undefined && mapping.credit === undefined) {
+    return 'Choose an amount column, or debit and credit columns';
+  }
+  return null;
+};
+
+/**
+ * Reads CSV rows into statement records using a profile:
+ * { hasHeader, skipRows, dateFormat, invertAmounts, mapping }.
+ * Rows that can't be read are returned in `errors` with their line number.
+ */
+export const mapCsvRows = (rows, profile) => {
+  const { mapping, dateFormat = 'dmy', hasHeader = true, skipRows = 0, invertAmounts = false } = profile;
+  const firstRow = skipRows + (hasHeader ? 1 : 0);
+  const records = [];
+  const errors = [];
+
+  rows.slice(firstRow).forEach((row, index) => {
+    const line = firstRow + index + 1;
+    const cell = (fieldId) => (mapping[fieldId] === undefined ? '' : (row[mapping[fieldId]] ?? '').trim());
+
+    const date = parseStatementDate(cell('date'), dateFormat);
+    if (!date) {
+      errors.push({ line, message: `Unreadable date '${cell('date')}'` });
+      return;
+    }
+
+    let amount = parseAmount(cell('amount'));
+    if (amount === null) {
+      const debit = parseAmount(cell('debit'));
+      const credit = parseAmount(cell('credit'));
+      if (debit === null && credit === null) {
+        errors.push({ line, message: 'No amount' });
+        return;
+      }
+      amount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+    }
+    if (invertAmounts) amount = -amount;
+
+    records.push({
+      line,
+      date,
+      amount,
+      description: cell('description'),
+      balance: parseAmount(cell('balance')),
+      particulars: cell('particulars'),
+      code: cell('code'),
+      reference: cell('reference'),
+      otherAccount: cell('otherAccount'),
+      type: null,
+      externalId: null,
+    });
+  });
+
+  return { records, errors };
+};
+
+// ---- OFX ----
+
+// OFX transaction types to the API's TransactionType names
+const OFX_TYPES = {
+  POS: 'Eftpos',
+  ATM: 'Atm',
+  FEE: 'Fee',
+  SRVCHG: 'Fee',
+  INT: 'Interest',
+  DIV: 'Interest',
+  XFER: 'Transfer',
+  DIRECTDEBIT: 'DirectDebit',
+  DIRECTDEP: 'DirectCredit',
+  REPEATPMT: 'StandingOrder',
+  PAYMENT: 'Payment',
+  CHECK: 'Payment',
+};
+
+// Value of an OFX element; works for both SGML (no closing tags) and XML
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&') : '';
+};
+
+const parseOfxDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? toDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+};
+
+/**
+ * Parses OFX 1.x (SGML) or 2.x (XML) into statements, one per account:
+ * { accountNumber, accountType, currency, balance, records }.
+ */
+export const parseOfx = (text) => {
+  const statements = text.split(/<(?:CC)?STMTRS>/i).slice(1).map(block => {
+    const isCard = /<CCACCTFROM>/i.test(block);
+    const bankId = ofxValue(block, 'BANKID');
+    const accountId = ofxValue(block, 'ACCTID');
+    const ledger = block.match(/<LEDGERBAL>([\s\S]*?)<\/LEDGERBAL>/i);
+
+    const records = [];
+    const errors = [];
+    block.split(/<STMTTRN>/i).slice(1).forEach((entry, index) => {
+      const date = parseOfxDate(ofxValue(entry, 'DTPOSTED'));
+      const amount = parseAmount(ofxValue(entry, 'TRNAMT'));
+      if (!date || amount === null) {
+        errors.push({ line: index + 1, message: 'Missing date or amount' });
+        return;
+      }
+      const name = ofxValue(entry, 'NAME') || ofxValue(entry, 'PAYEE');
+      const memo = ofxValue(entry, 'MEMO');
+      records.push({
+        line: index + 1,
+        date,
+        amount,
+        description: name || memo,
+        balance: null,
+        particulars: '',
+        code: '',
+        // Banks put the particulars, code and reference in MEMO when there's a NAME
+        reference: ofxValue(entry, 'REFNUM') || ofxValue(entry, 'CHECKNUM') || (name && memo !== name ? memo : ''),
+        otherAccount: '',
+        type: OFX_TYPES[ofxValue(entry, 'TRNTYPE').toUpperCase()] || null,
+        externalId: ofxValue(entry, 'FITID') || null,
+      });
+    });
+
+    return {
+      accountNumber: bankId ? `${bankId}-${accountId}` : accountId,
+      accountType: isCard ? 'CreditCard' : ({ SAVINGS: 'Savings', CREDITLINE: 'Loan' }[ofxValue(block, 'ACCTTYPE').toUpperCase()] || 'Checking'),
+      currency: ofxValue(block, 'CURDEF') || null,
+      balance: ledger ? parseAmount(ofxValue(ledger[1], 'BALAMT')) : null,
+      records,
+      errors,
+    };
+  });
+
+  return statements;
+};
+
+// ---- QIF ----
+
+const QIF_ACCOUNT_TYPES = { CCARD: 'CreditCard', 'OTH L': 'Loan', BANK: 'Checking', CASH: 'Checking' };
+
+/**
+ * Parses QIF into statements, one per !Account section (or one for the
+ * whole file). QIF dates have no fixed order, so `dateFormat` says how to
+ * read them. Investment sections are skipped.
+ */
+export const parseQif = (text, { dateFormat = 'dmy' } = {}) => {
+  const statements = [];
+  let current = null;
+  let pendingAccount = null;
+  let section = null;
+  let entry = {};
+  let line = 0;
+
+  const startStatement = (name = '', type = 'Checking') => {
+    current = { accountNumber: '', name, accountType: type, currency: null, balance: null, records: [], errors: [] };
+    statements.push(current);
+  };
+
+  const finishEntry = () => {
+    if (section === 'account') {
+      pendingAccount = entry;
+    } else if (section === 'transactions' && Object.keys(entry).length > 0) {
+      if (!current) startStatement();
+      const date = parseStatementDate(entry.D, dateFormat);
+      const amount = parseAmount(entry.T ?? entry.U);
+      if (!date || amount === null) {
+        current.errors.push({ line, message: `Unreadable entry${entry.D ? ` dated '${entry.D}'` : ''}` });
+      } else {
+        current.records.push({
+          line,
+          date,
+          amount,
+          description: entry.P || entry.M || '',
+          balance: null,
+          particulars: '',
+          code: '',
+          reference: entry.N || '',
+          otherAccount: '',
+          type: null,
+          externalId: null,
+        });
+      }
+    }
+    entry = {};
+  };
+
+  text.split(/\r?\n/).forEach(raw => {
+    line += 1;
+    const value = raw.trim();
+    if (!value) return;
+
+    if (value.startsWith('!')) {
+      const header = value.slice(1).toLowerCase();
+      if (header === 'account') {
+        section = 'account';
+      } else if (header.startsWith('type:')) {
+        const type = value.slice(6).trim().toUpperCase();
+        if (type === 'INVST' || !(type in QIF_ACCOUNT_TYPES)) {
+          section = null;
+        } else {
+          section = 'transactions';
+          // A new !Type after an !Account header starts that account's statement
+          if (pendingAccount || !current) {
+            startStatement(pendingAccount?.N, QIF_ACCOUNT_TYPES[type]);
+            pendingAccount = null;
+          }
+        }
+      }
+      return;
+    }
+
+    if (value === '^') {
+      finishEntry();
+      return;
+    }
+    entry[value[0]] = value.slice(1).trim();
+  });
+
+  return statements;
+};
+
+// ---- Duplicates ----
+
+const normalizeDescription = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// FNV-1a, for stable ids built from a record's contents
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Stable transaction id for an imported record, so importing the same file
+ * twice produces the same ids. OFX records use their FITID; others hash the
+ * date, amount, description and how many identical rows came before.
+ */
+export const getImportedTransactionId = (accountId, record, occurrence = 0) => {
+  if (record.externalId) return `import_${hashString(`${accountId}|fitid|${record.externalId}`)}`;
+  const key = `${accountId}|${getDayKey(record.date)}|${toCents(record.amount)}|${normalizeDescription(record.description)}|${occurrence}`;
+  return `import_${hashString(key)}${hashString(`${key}|2`)}`;
+};
+
+/**
+ * Compares records with the account's existing transactions. Each existing
+ * transaction matches at most one record:
+ *  - 'exact': same id, or same day, amount and description
+ *  - 'possible': same amount within a day either side, different description
+ * Records are returned with `id`, `duplicate` and `matchedTransactionId`.
+ */
+export const findDuplicates = (records, existingTransactions, accountId) => {
+  const byCents = new Map();
+  existingTransactions.forEach(t => {
+    const cents = toCents(t.amount);
+    if (!byCents.has(cents)) byCents.set(cents, []);
+    byCents.get(cents).push(t);
+  });
+  const existingIds = new Set(existingTransactions.map(t => t._id));
+  const used = new Set();
+  const occurrences = new Map();
+
+  const withIds = records.map(record => {
+    const key = `${getDayKey(record.date)}|${toCents(record.amount)}|${normalizeDescription(record.description)}`;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    return { ...record, id: getImportedTransactionId(accountId, record, occurrence) };
+  });
+
+  const claim = (record, predicate) => {
+    const match = (byCents.get(toCents(record.amount)) || []).find(t => !used.has(t._id) && predicate(t));
+    if (match) used.add(match._id);
+    return match;
+  };
+
+  // Exact matches first so a looser match can't take a transaction an exact one needs
+  const exact = withIds.map(record => {
+    if (existingIds.has(record.id)) {
+      used.add(record.id);
+      return record.id;
+    }
+    const description = normalizeDescription(record.description);
+    return claim(record, t =>
+      getDayKey(new Date(t.date)) === getDayKey(record.date) && normalizeDescription(t.description) === description)?._id || null;
+  });
+
+  return withIds.map((record, index) => {
+    if (exact[index]) return { ...record, duplicate: 'exact', matchedTransactionId: exact[index] };
+    const possible = claim(record, t => Math.abs(new Date(t.date) - record.date) <= DAY_MS * 1.5);
+    return possible
+      ? { ...record, duplicate: 'possible', matchedTransactionId: possible._id }
+      : { ...record, duplicate: null, matchedTransactionId: null };
+  });
+};
+
+// ---- API payloads ----
+
+// Accounts created by an import aren't linked to a bank connection
+export const MANUAL_CONNECTION = Object.freeze({
+  _id: 'manual-import',
+  name: 'Imported statements',
+  logo: '',
+  connection_type: 'Classic',
+});
+
+const transactionType = (record) => record.type || (record.amount < 0 ? 'Debit' : 'Credit');
+
+/**
+ * The POST /Transaction body for an imported record (from findDuplicates).
+ */
+export const buildImportedTransaction = (record, account, now = new Date()) => {
+  const meta = {
+    particulars: record.particulars || undefined,
+    code: record.code || undefined,
+    reference: record.reference || undefined,
+    other_account: record.otherAccount || undefined,
+  };
+  return {
+    _id: record.id,
+    _account: account._id,
+    _connection: account.connection?._id || MANUAL_CONNECTION._id,
+    created_at: now.toISOString(),
+    date: record.date.toISOString(),
+    description: record.description,
+    amount: record.amount,
+    balance: record.balance ?? null,
+    type: transactionType(record),
+    meta: Object.values(meta).some(Boolean) ? meta : null,
+  };
+};
+
+export const IMPORT_ACCOUNT_TYPES = [
+  { id: 'Checking', label: 'Everyday' },
+  { id: 'Savings', label: 'Savings' },
+  { id: 'CreditCard', label: 'Credit card' },
+  { id: 'Foreign', label: 'Foreign currency' },
+  { id: 'Loan', label: 'Loan' },
+];
+
+/**
+ * The POST /Account body for an account that only gets data from imports.
+ */
+export const buildImportedAccount = ({ id, name, type, currency, accountNumber, balance }) => ({
+  _id: id,
+  _authorisation: MANUAL_CONNECTION._id,
+  connection: { ...MANUAL_CONNECTION },
+  name,
+  status: 'Active',
+  formatted_account: accountNumber || null,
+  balance: { current: balance ?? 0, currency },
+  type,
+  attributes: ['Transactions'],
+});
+
+/**
+ * Closing balance for a new account: the statement's own balance, else the
+ * last running balance in the file, else the sum of the records.
+ */
+export const getStatementBalance = (statement) => {
+  if (statement.balance !== null && statement.balance !== undefined) return statement.balance;
+  const sorted = [...statement.records].sort((a, b) => a.date - b.date);
+  const withBalance = sorted.filter(r => r.balance !== null && r.balance !== undefined);
+  if (withBalance.length > 0) return withBalance[withBalance.length - 1].balance;
+  return Math.round(sorted.reduce((sum, r) => sum + r.amount, 0) * 100) / 100;
+};
@@ -0,0 +1,104 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Account data older than this is flagged as stale
+export const STALE_AFTER_MS = DAY_MS;
+
+export const SYNC_STEPS = {
+  accounts: { id: 'accounts', label: 'Accounts', noun: 'account' },
+  transactions: { id: 'transactions', label: 'Transactions', noun: 'transaction' },
+};
+
+export const SYNC_SCOPES = [
+  { id: 'all', label: 'Everything', steps: ['accounts', 'transactions'] },
+  { id: 'accounts', label: 'Accounts only', steps: ['accounts'] },
+  { id: 'transactions', label: 'Transactions only', steps: ['transactions'] },
+];
+
+export const getScopeSteps = (scopeId) =>
+  (SYNC_SCOPES.find(scope => scope.id === scopeId) || SYNC_SCOPES[0]).steps;
+
+/**
+ * Counts from a refresh response for one step. Accepts the refresh-accounts
+ * and refresh-transactions bodies, the flat refresh-all body, and a nested
+ * { accountsResult, transactionsResult } body.
+ */
+export const readStepResult = (stepId, response = {}) => {
+  if (stepId === 'accounts') {
+    const body = response.accountsResult || response;
+    return {
+      success: body.success !== false,
+      created: body.accountsCreated ?? 0,
+      updated: body.accountsUpdated ?? 0,
+      skipped: 0,
+      total: body.totalAccounts ?? null,
+      message: body.message || '',
+    };
+  }
+  const body = response.transactionsResult || response;
+  return {
+    success: body.success !== false,
+    created: body.transactionsCreated ?? 0,
+    updated: body.transactionsUpdated ?? 0,
+    skipped: body.transactionsSkipped ?? 0,
+    total: body.totalTransactions ?? null,
+    message: body.message || '',
+  };
+};
+
+const plural = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+
+// "3 new transactions, 12 updated" for one finished step
+export const describeStep = (step) => {
+  if (step.status === 'error') return step.message;
+  const { noun } = SYNC_STEPS[step.id];
+  const parts = [`${plural(step.created, `new ${noun}`)}`, `${step.updated} updated`];
+  if (step.skipped) parts.push(`${step.skipped} skipped`);
+  return parts.join(', ');
+};
+
+// One-line outcome of a whole sync, for the status message
+export const describeSync = (entry) => {
+  const failed = entry.steps.filter(step => step.status === 'error');
+  if (failed.length === entry.steps.length) {
+    return `Failed to refresh: ${failed.map(step => step.message).join('; ')}`;
+  }
+  const summary = entry.steps.map(step => `${SYNC_STEPS[step.id].label}: ${describeStep(step)}`).join('. ');
+  return failed.length > 0 ? `Partly refreshed. ${summary}.` : `Successfully refreshed! ${summary}.`;
+};
+
+/**
+ * "just now", "5 min ago", "3 h ago", "2 days ago", or null when there's no date.
+ */
+export const formatTimeAgo = (value, now = new Date()) => {
+  if (!value) return null;
+  const elapsed = now - new Date(value);
+  if (elapsed < MINUTE_MS) return 'just now';
+  if (elapsed < HOUR_MS) return `${Math.floor(elapsed / MINUTE_MS)} min ago`;
+  if (elapsed < DAY_MS) return `${Math.floor(elapsed / HOUR_MS)} h ago`;
+  const days = Math.floor(elapsed / DAY_MS);
+  return `${days} day${days !== 1 ? 's' : ''} ago`;
+};
+
+export const ACCOUNT_REFRESH_FIELDS = [
+  { id: 'balance', label: 'Balance' },
+  { id: 'transactions', label: 'Transactions' },
+  { id: 'meta', label: 'Details' },
+];
+
+/**
+ * When Akahu last refreshed an account's data (the account's `refreshed`
+ * timestamps). `oldest` is the stalest of balance and transactions, the two
+ * that matter for the totals; `isStale` is set when it's older than a day.
+ */
+export const getAccountFreshness = (account, now = new Date()) => {
+  const refreshed = account.refreshed || {};
+  const relevant = [refreshed.balance, refreshed.transactions].filter(Boolean).map(value => new Date(value));
+  const oldest = relevant.length > 0 ? new Date(Math.min(...relevant)) : null;
+  return {
+    refreshed,
+    oldest,
+    isStale: !oldest || now - oldest > STALE_AFTER_MS,
+  };
+};
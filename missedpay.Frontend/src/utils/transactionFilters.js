@@ -0,0 +1,122 @@
+import { getMerchantName, isCategorized, normalizeTransactionType } from './transactions';
+
+export const UNCATEGORIZED_FILTER = 'uncategorized';
+
+export const EMPTY_FILTERS = {
+  search: '',
+  minAmount: '',
+  maxAmount: '',
+  direction: '',
+  type: '',
+  category: '',
+};
+
+// Filter field -> URL search param
+const SEARCH_PARAMS = {
+  search: 'q',
+  minAmount: 'min',
+  maxAmount: 'max',
+  direction: 'dir',
+  type: 'type',
+  category: 'category',
+};
+
+const DIRECTIONS = ['income', 'expense'];
+
+export const filtersFromSearchParams = (searchParams) => {
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(SEARCH_PARAMS).forEach(([field, param]) => {
+    filters[field] = searchParams.get(param) || '';
+  });
+  if (!DIRECTIONS.includes(filters.direction)) filters.direction = '';
+  return filters;
+};
+
+/**
+ * Writes the filters into a copy of `searchParams`, leaving unrelated params
+ * alone and dropping empty filters so unfiltered URLs stay clean.
+ */
+export const filtersToSearchParams = (filters, searchParams = new URLSearchParams()) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(SEARCH_PARAMS).forEach(([field, param]) => {
+    const value = String(filters[field] ?? '').trim();
+    if (value) {
+      next.set(param, value);
+    } else {
+      next.delete(param);
+    }
+  });
+  return next;
+};
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(EMPTY_FILTERS).some(field => String(filters[field] ?? '').trim() !== '');
+
+const parseAmount = (value) => {
+  if (value === '' || value == null) return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const getSearchableText = (transaction) => [
+  getMerchantName(transaction),
+  transaction.description,
+  transaction.meta?.particulars,
+  transaction.meta?.code,
+  transaction.meta?.reference,
+].filter(Boolean).join(' ').toLowerCase();
+
+/**
+ * Applies the filter bar to a list of transactions. The amount range compares
+ * the absolute amount, so "min 50" finds both $50+ spending and $50+ income;
+ * use `direction` to narrow to one side.
+ */
+export const filterTransactions = (transactions, filters) => {
+  if (!hasActiveFilters(filters)) return transactions;
+
+  const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+  const minAmount = parseAmount(filters.minAmount);
+  const maxAmount = parseAmount(filters.maxAmount);
+
+  return transactions.filter(transaction => {
+    if (terms.length > 0) {
+      const text = getSearchableText(transaction);
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    const amount = Math.abs(transaction.amount);
+    if (minAmount !== null && amount < minAmount) return false;
+    if (maxAmount !== null && amount > maxAmount) return false;
+
+    if (filters.direction === 'income' && transaction.amount <= 0) return false;
+    if (filters.direction === 'expense' && transaction.amount >= 0) return false;
+
+    // Types come as enum names ("DirectCredit") from the API and spaced ("DIRECT CREDIT") from Akahu
+    if (filters.type && normalizeTransactionType(transaction.type) !== normalizeTransactionType(filters.type)) return false;
+
+    if (filters.category === UNCATEGORIZED_FILTER) {
+      if (isCategorized(transaction)) return false;
+    } else if (filters.category && transaction.category?._id !== filters.category) {
+      return false;
+    }
+
+    return true;
+  });
+};
+
+// Distinct transaction types (EFTPOS, DIRECTCREDIT, ...) for the type dropdown
+export const getTransactionTypes = (transactions) =>
+  [...new Set(transactions.map(t => t.type).filter(Boolean))].sort();
+
+// Distinct categories for the category dropdown, sorted by name
+export const getCategoryOptions = (transactions) => {
+  const categories = new Map();
+  transactions.forEach(transaction => {
+    if (!isCategorized(transaction)) return;
+    const { _id: id, name } = transaction.category;
+    if (id && !categories.has(id)) {
+      categories.set(id, { id, name });
+    }
+  });
+  return [...categories.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,74 @@
+/**
+ * Merchant name used for categorization. Matches the API, which falls back to
+ * the description when Akahu has no merchant (TransactionController.ApplyCachedCategorizations).
+ */
+export const getMerchantName = (transaction) => transaction.merchant?.name || transaction.description;
+
+/**
+ * Comparable form of a transaction type. The API sends .NET enum names
+ * ("DirectCredit") and Akahu sends "DIRECT CREDIT"; both become "DIRECTCREDIT".
+ */
+export const normalizeTransactionType = (type) => String(type || '').toUpperCase().replace(/[^A-Z]/g, '');
+
+export const isCategorized = (transaction) => {
+  const personalFinanceGroup = transaction.category?.groups?.personal_finance;
+  return Boolean(personalFinanceGroup && personalFinanceGroup.name !== 'Uncategorized');
+};
+
+/**
+ * Returns a copy of the transaction with the given category, in the same shape
+ * the API produces when it applies a cached merchant categorization.
+ * `category` is a CategoryPicker entry: { id, name, groupId, groupName }.
+ */
+export const applyCategory = (transaction, category) => ({
+  ...transaction,
+  category: {
+    ...transaction.category,
+    _id: category.id,
+    name: category.name,
+    groups: {
+      ...transaction.category?.groups,
+      personal_finance: {
+        _id: category.groupId,
+        name: category.groupName,
+      },
+    },
+  },
+});
+
+// Overrides saved before the original category was kept are the category itself
+const readOverride = (override) =>
+  ('originalCategory' in override ? override : { category: override, originalCategory: null });
+
+/**
+ * Layers per-transaction category overrides over the API data.
+ * Overridden transactions keep the merchant's category in `merchantCategory`
+ * and are flagged with `isCategoryOverride`.
+ *
+ * The override is also saved on the transaction, so without a merchant mapping
+ * the API returns it as the transaction's own category. The category from
+ * before the override is used as the merchant's category then.
+ */
+export const applyCategoryOverrides = (transactions, overrides) => {
+  if (!overrides || Object.keys(overrides).length === 0) return transactions;
+
+  return transactions.map(transaction => {
+    if (!overrides[transaction._id]) return transaction;
+    const { category, originalCategory } = readOverride(overrides[transaction._id]);
+    const isSavedOverride = !transaction.category || transaction.category._id === category._id;
+    return {
+      ...transaction,
+      category,
+      merchantCategory: (isSavedOverride ? originalCategory : transaction.category) || null,
+      isCategoryOverride: true,
+    };
+  });
+};
+
+// Removes the fields added by applyCategoryOverrides, restoring the merchant category
+export const withoutCategoryOverride = (transaction) => {
+  if (!transaction.isCategoryOverride) return transaction;
+
+  const { merchantCategory, isCategoryOverride: _isCategoryOverride, ...rest } = transaction;
+  return { ...rest, category: merchantCategory };
+};
@@ -0,0 +1,127 @@
+import { normalizeTransactionType } from './transactions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Both sides of a transfer usually post within a day or two; allow for weekends
+export const TRANSFER_WINDOW_DAYS = 3;
+
+/**
+ * Comparable form of a bank account number. NZ numbers are written with a
+ * two- or three-digit suffix (12-3456-7890123-00 vs -000), so the suffix is
+ * compared as a number.
+ */
+export const normalizeAccountNumber = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 15 || digits.length === 16) {
+    return `${digits.slice(0, 13)}-${Number(digits.slice(13))}`;
+  }
+  return digits;
+};
+
+// Own accounts keyed by normalized account number
+const buildAccountNumberIndex = (accounts) => {
+  const index = new Map();
+  accounts.forEach(account => {
+    const number = normalizeAccountNumber(account.formatted_account);
+    if (number) index.set(number, account._id);
+  });
+  return index;
+};
+
+const getOtherAccountId = (transaction, accountNumbers) => {
+  const number = normalizeAccountNumber(transaction.meta?.other_account);
+  return number ? accountNumbers.get(number) || null : null;
+};
+
+// Debits and credits that could pair share a key: same currency and absolute amount in cents
+const getAmountKey = (transaction) => `${transaction.currency}:${Math.round(Math.abs(transaction.amount) * 100)}`;
+
+/**
+ * Finds money moved between our own accounts. A debit and a credit of equal
+ * amount on two different accounts within `windowDays` are paired when either
+ * side is a TRANSFER or names the other account in `meta.other_account`.
+ * A transaction whose `meta.other_account` is one of our accounts counts as a
+ * transfer even when the other side hasn't been imported.
+ *
+ * Returns a Map of transaction id -> { pairId, otherAccountId }.
+ */
+export const findInternalTransfers = (transactions, accounts, { windowDays = TRANSFER_WINDOW_DAYS } = {}) => {
+  const accountNumbers = buildAccountNumberIndex(accounts);
+  const transfers = new Map();
+
+  const isCandidate = (transaction) =>
+    normalizeTransactionType(transaction.type) === 'TRANSFER' || getOtherAccountId(transaction, accountNumbers) !== null;
+
+  const creditsByAmount = new Map();
+  transactions.filter(t => t.amount > 0).forEach(credit => {
+    const key = getAmountKey(credit);
+    if (!creditsByAmount.has(key)) creditsByAmount.set(key, []);
+    creditsByAmount.get(key).push(credit);
+  });
+  const debits = transactions
+    .filter(t => t.amount < 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  debits.forEach(debit => {
+    const debitTime = new Date(debit.date).getTime();
+    const debitOtherAccountId = getOtherAccountId(debit, accountNumbers);
+
+    let best = null;
+    let bestScore = Infinity;
+    (creditsByAmount.get(getAmountKey(debit)) || []).forEach(credit => {
+      if (transfers.has(credit._id) || credit._account === debit._account) return;
+      if (!isCandidate(debit) && !isCandidate(credit)) return;
+
+      const gapDays = Math.abs(new Date(credit.date).getTime() - debitTime) / DAY_MS;
+      if (gapDays > windowDays) return;
+
+      // Prefer a credit that names the debit's account (or vice versa), then the closest date
+      const namesEachOther = debitOtherAccountId === credit._account
+        || getOtherAccountId(credit, accountNumbers) === debit._account;
+      const score = gapDays - (namesEachOther ? windowDays + 1 : 0);
+      if (score < bestScore) {
+        best = credit;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      transfers.set(debit._id, { pairId: best._id, otherAccountId: best._account });
+      transfers.set(best._id, { pairId: debit._id, otherAccountId: debit._account });
+    }
+  });
+
+  // One-sided transfers: the other account is ours but its side isn't in the data
+  transactions.forEach(transaction => {
+    if (transfers.has(transaction._id)) return;
+    const otherAccountId = getOtherAccountId(transaction, accountNumbers);
+    if (otherAccountId && otherAccountId !== transaction._account) {
+      transfers.set(transaction._id, { pairId: null, otherAccountId });
+    }
+  });
+
+  return transfers;
+};
+
+/**
+ * Flags internal transfers with `isInternalTransfer`, plus `transferPairId`
+ * and `transferAccountId` for the other side.
+ */
+export const markInternalTransfers = (transactions, accounts) => {
+  const transfers = findInternalTransfers(transactions, accounts);
+  if (transfers.size === 0) return transactions;
+
+  return transactions.map(transaction => {
+    const transfer = transfers.get(transaction._id);
+    if (!transfer) return transaction;
+    return {
+      ...transaction,
+      isInternalTransfer: true,
+      transferPairId: transfer.pairId,
+      transferAccountId: transfer.otherAccountId,
+    };
+  });
+};
+
+export const withoutInternalTransfers = (transactions) =>
+  transactions.filter(transaction => !transaction.isInternalTransfer);